@@ -0,0 +1,27 @@
+const dotenv = require("dotenv");
+dotenv.config();
+
+// Token lifetimes and password rules, overridable through the environment.
+module.exports = {
+  // Any value jsonwebtoken's `expiresIn` accepts, e.g. "15m" or "1h"
+  accessTokenTtl: process.env.ACCESS_TOKEN_TTL || "15m",
+  refreshTokenDays: parseInt(process.env.REFRESH_TOKEN_DAYS) || 30,
+  resetTokenHours: parseInt(process.env.RESET_TOKEN_HOURS) || 1,
+  inviteTokenHours: parseInt(process.env.INVITE_TOKEN_HOURS) || 72,
+  minPasswordLength: 8,
+  // Front-end page that accepts ?token= to set a new password
+  passwordResetUrl: process.env.PASSWORD_RESET_URL || "http://localhost:3000/reset-password",
+
+  // Brute-force protection for /api/auth/login and /api/auth/student/login
+  login: {
+    // Failures on one account before it is locked, and for how long
+    maxFailures: parseInt(process.env.LOGIN_MAX_FAILURES) || 5,
+    lockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES) || 15,
+    // Failures from one IP address, across all accounts, before it is refused
+    ipMaxFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 30,
+    windowMinutes: parseInt(process.env.LOGIN_WINDOW_MINUTES) || 15,
+    // Delay before answering, doubling with each recent failure
+    baseDelayMs: 250,
+    maxDelayMs: 8000,
+  },
+};
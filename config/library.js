@@ -0,0 +1,49 @@
+const dotenv = require("dotenv");
+dotenv.config();
+
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const toFloat = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+// Library-wide circulation settings, overridable through the environment.
+module.exports = {
+  loans: {
+    // Used when neither the book nor any of its categories sets loan_days
+    defaultDays: toInt(process.env.LOAN_DEFAULT_DAYS, 14),
+    maxRenewals: toInt(process.env.LOAN_MAX_RENEWALS, 2),
+  },
+  fines: {
+    // Charged per calendar day a book is returned late, capped per loan
+    dailyRate: toFloat(process.env.FINE_DAILY_RATE, 0.25),
+    maxAmount: toFloat(process.env.FINE_MAX_AMOUNT, 10),
+    // Students owing more than this cannot borrow
+    blockThreshold: toFloat(process.env.FINE_BLOCK_THRESHOLD, 5),
+  },
+  policies: {
+    // Concurrent loans per student unless their class has its own limit
+    maxActiveLoans: toInt(process.env.POLICY_MAX_ACTIVE_LOANS, 5),
+    allowDuplicateLoans: process.env.POLICY_ALLOW_DUPLICATE_LOANS === "true",
+  },
+  holds: {
+    // Days a student has to collect a copy set aside for their hold
+    pickupDays: toInt(process.env.HOLD_PICKUP_DAYS, 3),
+  },
+  imports: {
+    // Limits for CSV/XLSX uploads to /api/students/import and /api/books/import
+    maxFileBytes: toInt(process.env.IMPORT_MAX_FILE_BYTES, 5 * 1024 * 1024),
+    maxRows: toInt(process.env.IMPORT_MAX_ROWS, 5000),
+  },
+  documents: {
+    // Printed at the top of receipts, library cards and overdue notices
+    libraryName: process.env.LIBRARY_NAME || "School Library",
+    // A TrueType font for names the built-in Helvetica cannot draw, such as
+    // non-Latin scripts; Helvetica is used when empty
+    fontFile: process.env.DOCUMENT_FONT_FILE || "",
+  },
+};
@@ -0,0 +1,10 @@
+const path = require("path");
+const dotenv = require("dotenv");
+dotenv.config();
+
+module.exports = {
+  // "console" prints messages, "file" writes each one to MAIL_DIR
+  transport: process.env.MAIL_TRANSPORT || "console",
+  from: process.env.MAIL_FROM || "library@localhost",
+  dir: process.env.MAIL_DIR || path.join(__dirname, "..", "tmp", "mail"),
+};
@@ -0,0 +1,11 @@
+const path = require("path");
+const dotenv = require("dotenv");
+dotenv.config();
+
+module.exports = {
+  // "fixture" answers from a local JSON file, "openlibrary" asks openlibrary.org
+  provider: process.env.METADATA_PROVIDER || "fixture",
+  fixtureFile: process.env.METADATA_FIXTURE_FILE || path.join(__dirname, "..", "db", "fixtures", "book-metadata.json"),
+  openLibraryUrl: process.env.OPENLIBRARY_URL || "https://openlibrary.org",
+  timeoutMs: parseInt(process.env.METADATA_TIMEOUT_MS) || 5000,
+};
@@ -0,0 +1,106 @@
+const fs = require("fs");
+const path = require("path");
+const db = require("./connection");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+
+// Usage: node db/migrate.js [up|down|status]
+//   up      run every pending migration as one batch (default)
+//   down    roll back the most recent batch
+//   status  list migrations and whether they have been applied
+
+const listMigrationFiles = () =>
+  fs.readdirSync(MIGRATIONS_DIR)
+    .filter((file) => /^\d+_.+\.js$/.test(file))
+    .sort();
+
+const ensureMigrationsTable = async (conn) => {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS migrations (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      batch INT NOT NULL,
+      run_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_migrations_name (name)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+const getApplied = async (conn) => {
+  const [rows] = await conn.query("SELECT name, batch FROM migrations ORDER BY id");
+  return rows;
+};
+
+const up = async (conn) => {
+  const applied = new Set((await getApplied(conn)).map((row) => row.name));
+  const pending = listMigrationFiles().filter((file) => !applied.has(file));
+
+  if (pending.length === 0) {
+    console.log("Nothing to migrate");
+    return;
+  }
+
+  const [[{ lastBatch }]] = await conn.query("SELECT COALESCE(MAX(batch), 0) AS lastBatch FROM migrations");
+  const batch = lastBatch + 1;
+
+  for (const file of pending) {
+    const migration = require(path.join(MIGRATIONS_DIR, file));
+    console.log(`Migrating: ${file}`);
+    await migration.up(conn);
+    await conn.query("INSERT INTO migrations (name, batch) VALUES (?, ?)", [file, batch]);
+  }
+
+  console.log(`Batch ${batch}: ${pending.length} migration(s) applied`);
+};
+
+const down = async (conn) => {
+  const [[{ lastBatch }]] = await conn.query("SELECT MAX(batch) AS lastBatch FROM migrations");
+  if (!lastBatch) {
+    console.log("Nothing to roll back");
+    return;
+  }
+
+  const [rows] = await conn.query("SELECT name FROM migrations WHERE batch = ? ORDER BY id DESC", [lastBatch]);
+  for (const { name } of rows) {
+    const migration = require(path.join(MIGRATIONS_DIR, name));
+    console.log(`Rolling back: ${name}`);
+    await migration.down(conn);
+    await conn.query("DELETE FROM migrations WHERE name = ?", [name]);
+  }
+
+  console.log(`Batch ${lastBatch}: ${rows.length} migration(s) rolled back`);
+};
+
+const status = async (conn) => {
+  const applied = new Map((await getApplied(conn)).map((row) => [row.name, row.batch]));
+  for (const file of listMigrationFiles()) {
+    const batch = applied.get(file);
+    console.log(`${batch ? `[batch ${batch}]` : "[pending]"} ${file}`);
+  }
+};
+
+const commands = { up, down, status };
+
+const run = async () => {
+  const command = process.argv[2] || "up";
+  if (!commands[command]) {
+    console.error(`Unknown command '${command}', expected one of: ${Object.keys(commands).join(", ")}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const conn = await db.getConnection();
+  try {
+    await ensureMigrationsTable(conn);
+    await commands[command](conn);
+  } finally {
+    conn.release();
+  }
+};
+
+run()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => db.end());
@@ -0,0 +1,89 @@
+// Core tables used by the routes in routes/*.js.
+
+exports.up = async (db) => {
+  await db.query(`
+    CREATE TABLE users (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      full_name VARCHAR(100) NOT NULL,
+      username VARCHAR(50) NOT NULL,
+      password VARCHAR(255) NOT NULL,
+      role VARCHAR(20) NOT NULL DEFAULT 'liberian',
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_users_username (username)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE authors (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      full_name VARCHAR(150) NOT NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE categories (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE students (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      full_name VARCHAR(150) NOT NULL,
+      id_card VARCHAR(50) NOT NULL,
+      class VARCHAR(50),
+      created_by INT NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_students_id_card (id_card),
+      CONSTRAINT fk_students_created_by FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE books (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      title VARCHAR(255) NOT NULL,
+      description TEXT,
+      author_id INT NULL,
+      category_id INT NULL,
+      quantity INT NOT NULL DEFAULT 0,
+      created_by INT NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      KEY idx_books_author_id (author_id),
+      KEY idx_books_category_id (category_id),
+      CONSTRAINT fk_books_author FOREIGN KEY (author_id) REFERENCES authors (id),
+      CONSTRAINT fk_books_category FOREIGN KEY (category_id) REFERENCES categories (id),
+      CONSTRAINT fk_books_created_by FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE borrows (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      student_id INT NOT NULL,
+      book_id INT NOT NULL,
+      borrow_date DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      return_date DATETIME NULL,
+      created_by INT NULL,
+      KEY idx_borrows_student_id (student_id),
+      KEY idx_borrows_book_id (book_id),
+      KEY idx_borrows_borrow_date (borrow_date),
+      KEY idx_borrows_return_date (return_date),
+      CONSTRAINT fk_borrows_student FOREIGN KEY (student_id) REFERENCES students (id),
+      CONSTRAINT fk_borrows_book FOREIGN KEY (book_id) REFERENCES books (id),
+      CONSTRAINT fk_borrows_created_by FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+exports.down = async (db) => {
+  await db.query("DROP TABLE IF EXISTS borrows");
+  await db.query("DROP TABLE IF EXISTS books");
+  await db.query("DROP TABLE IF EXISTS students");
+  await db.query("DROP TABLE IF EXISTS categories");
+  await db.query("DROP TABLE IF EXISTS authors");
+  await db.query("DROP TABLE IF EXISTS users");
+};
@@ -0,0 +1,21 @@
+exports.up = async (db) => {
+  await db.query(`
+    ALTER TABLE authors
+      ADD COLUMN biography TEXT NULL AFTER full_name,
+      ADD COLUMN nationality VARCHAR(100) NULL AFTER biography,
+      ADD COLUMN birth_year SMALLINT NULL AFTER nationality,
+      ADD COLUMN created_by INT NULL,
+      ADD CONSTRAINT fk_authors_created_by FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+  `);
+};
+
+exports.down = async (db) => {
+  await db.query("ALTER TABLE authors DROP FOREIGN KEY fk_authors_created_by");
+  await db.query(`
+    ALTER TABLE authors
+      DROP COLUMN created_by,
+      DROP COLUMN birth_year,
+      DROP COLUMN nationality,
+      DROP COLUMN biography
+  `);
+};
@@ -0,0 +1,16 @@
+exports.up = async (db) => {
+  await db.query(`
+    ALTER TABLE categories
+      ADD COLUMN parent_id INT NULL AFTER name,
+      ADD COLUMN created_by INT NULL,
+      ADD KEY idx_categories_parent_id (parent_id),
+      ADD CONSTRAINT fk_categories_parent FOREIGN KEY (parent_id) REFERENCES categories (id),
+      ADD CONSTRAINT fk_categories_created_by FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+  `);
+};
+
+exports.down = async (db) => {
+  await db.query("ALTER TABLE categories DROP FOREIGN KEY fk_categories_created_by");
+  await db.query("ALTER TABLE categories DROP FOREIGN KEY fk_categories_parent");
+  await db.query("ALTER TABLE categories DROP COLUMN created_by, DROP COLUMN parent_id");
+};
@@ -0,0 +1,24 @@
+const { loans } = require("../../config/library");
+
+exports.up = async (db) => {
+  await db.query("ALTER TABLE categories ADD COLUMN loan_days SMALLINT NULL AFTER parent_id");
+  await db.query("ALTER TABLE books ADD COLUMN loan_days SMALLINT NULL AFTER quantity");
+
+  await db.query(`
+    ALTER TABLE borrows
+      ADD COLUMN due_date DATETIME NULL AFTER borrow_date,
+      ADD COLUMN renew_count INT NOT NULL DEFAULT 0 AFTER due_date
+  `);
+  await db.query("UPDATE borrows SET due_date = DATE_ADD(borrow_date, INTERVAL ? DAY)", [loans.defaultDays]);
+  await db.query(`
+    ALTER TABLE borrows
+      MODIFY due_date DATETIME NOT NULL,
+      ADD KEY idx_borrows_due_date (due_date)
+  `);
+};
+
+exports.down = async (db) => {
+  await db.query("ALTER TABLE borrows DROP KEY idx_borrows_due_date, DROP COLUMN renew_count, DROP COLUMN due_date");
+  await db.query("ALTER TABLE books DROP COLUMN loan_days");
+  await db.query("ALTER TABLE categories DROP COLUMN loan_days");
+};
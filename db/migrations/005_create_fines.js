@@ -0,0 +1,41 @@
+exports.up = async (db) => {
+  await db.query(`
+    CREATE TABLE fines (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      borrow_id INT NOT NULL,
+      student_id INT NOT NULL,
+      days_late INT NOT NULL,
+      amount DECIMAL(10, 2) NOT NULL,
+      paid_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+      status ENUM('unpaid', 'partially_paid', 'paid', 'waived') NOT NULL DEFAULT 'unpaid',
+      waived_reason VARCHAR(255) NULL,
+      waived_by INT NULL,
+      waived_at DATETIME NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_fines_borrow_id (borrow_id),
+      KEY idx_fines_student_status (student_id, status),
+      CONSTRAINT fk_fines_borrow FOREIGN KEY (borrow_id) REFERENCES borrows (id),
+      CONSTRAINT fk_fines_student FOREIGN KEY (student_id) REFERENCES students (id),
+      CONSTRAINT fk_fines_waived_by FOREIGN KEY (waived_by) REFERENCES users (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE fine_payments (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      fine_id INT NOT NULL,
+      amount DECIMAL(10, 2) NOT NULL,
+      note VARCHAR(255) NULL,
+      received_by INT NULL,
+      paid_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      KEY idx_fine_payments_fine_id (fine_id),
+      CONSTRAINT fk_fine_payments_fine FOREIGN KEY (fine_id) REFERENCES fines (id),
+      CONSTRAINT fk_fine_payments_received_by FOREIGN KEY (received_by) REFERENCES users (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+exports.down = async (db) => {
+  await db.query("DROP TABLE IF EXISTS fine_payments");
+  await db.query("DROP TABLE IF EXISTS fines");
+};
@@ -0,0 +1,27 @@
+exports.up = async (db) => {
+  await db.query(`
+    CREATE TABLE holds (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      book_id INT NOT NULL,
+      student_id INT NOT NULL,
+      status ENUM('waiting', 'ready', 'fulfilled', 'cancelled', 'expired') NOT NULL DEFAULT 'waiting',
+      borrow_id INT NULL,
+      created_by INT NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      ready_at DATETIME NULL,
+      expires_at DATETIME NULL,
+      closed_at DATETIME NULL,
+      KEY idx_holds_book_queue (book_id, status, created_at),
+      KEY idx_holds_student_status (student_id, status),
+      KEY idx_holds_status_expires (status, expires_at),
+      CONSTRAINT fk_holds_book FOREIGN KEY (book_id) REFERENCES books (id),
+      CONSTRAINT fk_holds_student FOREIGN KEY (student_id) REFERENCES students (id),
+      CONSTRAINT fk_holds_borrow FOREIGN KEY (borrow_id) REFERENCES borrows (id),
+      CONSTRAINT fk_holds_created_by FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+exports.down = async (db) => {
+  await db.query("DROP TABLE IF EXISTS holds");
+};
@@ -0,0 +1,23 @@
+exports.up = async (db) => {
+  await db.query(`
+    CREATE TABLE class_loan_limits (
+      class VARCHAR(50) PRIMARY KEY,
+      max_active_loans INT NOT NULL,
+      updated_by INT NULL,
+      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      CONSTRAINT fk_class_loan_limits_updated_by FOREIGN KEY (updated_by) REFERENCES users (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    ALTER TABLE students
+      ADD COLUMN suspended_at DATETIME NULL,
+      ADD COLUMN suspended_until DATETIME NULL,
+      ADD COLUMN suspension_reason VARCHAR(255) NULL
+  `);
+};
+
+exports.down = async (db) => {
+  await db.query("ALTER TABLE students DROP COLUMN suspension_reason, DROP COLUMN suspended_until, DROP COLUMN suspended_at");
+  await db.query("DROP TABLE IF EXISTS class_loan_limits");
+};
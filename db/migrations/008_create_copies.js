@@ -0,0 +1,81 @@
+// Replaces books.quantity with one row per physical copy. Existing stock is
+// converted into copies with generated barcodes: one available copy per unit
+// of quantity, one on-loan copy per active borrow and one on-hold copy per
+// hold that is ready for pickup.
+
+const createCopy = async (db, bookId, status) => {
+  const [result] = await db.query(
+    "INSERT INTO copies (book_id, barcode, status) VALUES (?, CONCAT('TMP-', UUID()), ?)",
+    [bookId, status]
+  );
+  await db.query("UPDATE copies SET barcode = CONCAT('C', LPAD(id, 8, '0')) WHERE id = ?", [result.insertId]);
+  return result.insertId;
+};
+
+exports.up = async (db) => {
+  await db.query(`
+    CREATE TABLE copies (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      book_id INT NOT NULL,
+      barcode VARCHAR(64) NOT NULL,
+      shelf_location VARCHAR(100) NULL,
+      copy_condition ENUM('new', 'good', 'fair', 'poor', 'damaged') NOT NULL DEFAULT 'good',
+      status ENUM('available', 'on_loan', 'on_hold', 'withdrawn', 'lost') NOT NULL DEFAULT 'available',
+      withdrawn_reason VARCHAR(255) NULL,
+      withdrawn_at DATETIME NULL,
+      created_by INT NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_copies_barcode (barcode),
+      KEY idx_copies_book_status (book_id, status),
+      CONSTRAINT fk_copies_book FOREIGN KEY (book_id) REFERENCES books (id),
+      CONSTRAINT fk_copies_created_by FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    ALTER TABLE borrows
+      ADD COLUMN copy_id INT NULL AFTER book_id,
+      ADD CONSTRAINT fk_borrows_copy FOREIGN KEY (copy_id) REFERENCES copies (id)
+  `);
+  await db.query(`
+    ALTER TABLE holds
+      ADD COLUMN copy_id INT NULL AFTER book_id,
+      ADD CONSTRAINT fk_holds_copy FOREIGN KEY (copy_id) REFERENCES copies (id)
+  `);
+
+  const [books] = await db.query("SELECT id, quantity FROM books");
+  for (const book of books) {
+    for (let i = 0; i < book.quantity; i++) {
+      await createCopy(db, book.id, "available");
+    }
+  }
+
+  const [borrows] = await db.query("SELECT id, book_id FROM borrows WHERE return_date IS NULL");
+  for (const borrow of borrows) {
+    const copyId = await createCopy(db, borrow.book_id, "on_loan");
+    await db.query("UPDATE borrows SET copy_id = ? WHERE id = ?", [copyId, borrow.id]);
+  }
+
+  const [holds] = await db.query("SELECT id, book_id FROM holds WHERE status = 'ready'");
+  for (const hold of holds) {
+    const copyId = await createCopy(db, hold.book_id, "on_hold");
+    await db.query("UPDATE holds SET copy_id = ? WHERE id = ?", [copyId, hold.id]);
+  }
+
+  await db.query("ALTER TABLE books DROP COLUMN quantity");
+};
+
+exports.down = async (db) => {
+  await db.query("ALTER TABLE books ADD COLUMN quantity INT NOT NULL DEFAULT 0 AFTER category_id");
+  await db.query(`
+    UPDATE books SET quantity = (
+      SELECT COUNT(*) FROM copies WHERE copies.book_id = books.id AND copies.status = 'available'
+    )
+  `);
+
+  await db.query("ALTER TABLE holds DROP FOREIGN KEY fk_holds_copy");
+  await db.query("ALTER TABLE holds DROP COLUMN copy_id");
+  await db.query("ALTER TABLE borrows DROP FOREIGN KEY fk_borrows_copy");
+  await db.query("ALTER TABLE borrows DROP COLUMN copy_id");
+  await db.query("DROP TABLE IF EXISTS copies");
+};
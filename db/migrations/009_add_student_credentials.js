@@ -0,0 +1,11 @@
+exports.up = async (db) => {
+  await db.query(`
+    ALTER TABLE students
+      ADD COLUMN password VARCHAR(255) NULL AFTER class,
+      ADD COLUMN last_login_at DATETIME NULL
+  `);
+};
+
+exports.down = async (db) => {
+  await db.query("ALTER TABLE students DROP COLUMN last_login_at, DROP COLUMN password");
+};
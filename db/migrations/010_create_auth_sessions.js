@@ -0,0 +1,40 @@
+exports.up = async (db) => {
+  await db.query("ALTER TABLE users ADD COLUMN is_active TINYINT(1) NOT NULL DEFAULT 1 AFTER role");
+
+  // One row per login; access tokens carry the session id so revoking the
+  // session cuts off every token issued from that login.
+  await db.query(`
+    CREATE TABLE auth_sessions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      subject_type ENUM('user', 'student') NOT NULL,
+      subject_id INT NOT NULL,
+      ip VARCHAR(45) NULL,
+      user_agent VARCHAR(255) NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      last_used_at DATETIME NULL,
+      revoked_at DATETIME NULL,
+      KEY idx_auth_sessions_subject (subject_type, subject_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  // Refresh tokens are single use: each refresh marks the old one used and
+  // issues a new one in the same session. Only a SHA-256 hash is stored.
+  await db.query(`
+    CREATE TABLE refresh_tokens (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      session_id INT NOT NULL,
+      token_hash CHAR(64) NOT NULL,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_refresh_tokens_hash (token_hash),
+      CONSTRAINT fk_refresh_tokens_session FOREIGN KEY (session_id) REFERENCES auth_sessions (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+exports.down = async (db) => {
+  await db.query("DROP TABLE IF EXISTS refresh_tokens");
+  await db.query("DROP TABLE IF EXISTS auth_sessions");
+  await db.query("ALTER TABLE users DROP COLUMN is_active");
+};
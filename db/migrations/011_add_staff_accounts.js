@@ -0,0 +1,42 @@
+exports.up = async (db) => {
+  await db.query(`
+    ALTER TABLE users
+      ADD COLUMN email VARCHAR(255) NULL AFTER username,
+      ADD COLUMN password_changed_at DATETIME NULL AFTER password,
+      ADD COLUMN created_by INT NULL,
+      ADD UNIQUE KEY uq_users_email (email),
+      ADD CONSTRAINT fk_users_created_by FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+  `);
+
+  // Existing accounts were all created with a password someone chose
+  await db.query("UPDATE users SET password_changed_at = created_at");
+
+  // Single-use tokens mailed to staff, either to reset a forgotten password
+  // or to set one for the first time after being invited. Only a SHA-256
+  // hash is stored.
+  await db.query(`
+    CREATE TABLE password_resets (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      purpose ENUM('reset', 'invite') NOT NULL DEFAULT 'reset',
+      token_hash CHAR(64) NOT NULL,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_password_resets_hash (token_hash),
+      CONSTRAINT fk_password_resets_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+exports.down = async (db) => {
+  await db.query("DROP TABLE IF EXISTS password_resets");
+  await db.query(`
+    ALTER TABLE users
+      DROP FOREIGN KEY fk_users_created_by,
+      DROP INDEX uq_users_email,
+      DROP COLUMN created_by,
+      DROP COLUMN password_changed_at,
+      DROP COLUMN email
+  `);
+};
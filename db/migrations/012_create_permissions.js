@@ -0,0 +1,106 @@
+// Permissions are fixed by the code that checks them; roles group them and
+// can be created and edited through /api/roles. Later migrations that add
+// permissions should grant them to `admin` as well.
+const PERMISSIONS = [
+  ["catalog:read", "View books, copies, authors and categories"],
+  ["books:write", "Create and edit books and their copies"],
+  ["books:delete", "Delete books"],
+  ["authors:write", "Create and edit authors"],
+  ["authors:delete", "Delete authors"],
+  ["categories:write", "Create and edit categories"],
+  ["categories:delete", "Delete categories"],
+  ["students:read", "View students"],
+  ["students:write", "Create and edit students, set passwords, suspend and reinstate"],
+  ["students:delete", "Delete students"],
+  ["borrows:read", "View loans, overdue lists and borrowing policies"],
+  ["borrows:checkout", "Check books out and renew loans"],
+  ["borrows:return", "Check books back in"],
+  ["holds:read", "View holds"],
+  ["holds:write", "Place and cancel holds"],
+  ["fines:read", "View fines"],
+  ["fines:collect", "Record fine payments"],
+  ["fines:waive", "Waive fines"],
+  ["policies:manage", "Change borrowing limits per class"],
+  ["dashboard:read", "View the dashboard"],
+  ["users:manage", "Create, edit and deactivate staff accounts"],
+  ["roles:manage", "Create roles and change their permissions"],
+];
+
+const ROLES = {
+  admin: {
+    description: "Full access, including staff accounts and roles",
+    permissions: PERMISSIONS.map(([name]) => name),
+  },
+  liberian: {
+    description: "Day-to-day library work",
+    permissions: PERMISSIONS.map(([name]) => name).filter((name) => !["users:manage", "roles:manage"].includes(name)),
+  },
+  volunteer: {
+    description: "Circulation desk only: check in and out, no deleting",
+    permissions: [
+      "catalog:read", "students:read", "borrows:read", "borrows:checkout", "borrows:return",
+      "holds:read", "holds:write", "fines:read",
+    ],
+  },
+};
+
+exports.up = async (db) => {
+  await db.query(`
+    CREATE TABLE roles (
+      name VARCHAR(20) PRIMARY KEY,
+      description VARCHAR(255) NULL,
+      is_system TINYINT(1) NOT NULL DEFAULT 0,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE permissions (
+      name VARCHAR(50) PRIMARY KEY,
+      description VARCHAR(255) NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE role_permissions (
+      role VARCHAR(20) NOT NULL,
+      permission VARCHAR(50) NOT NULL,
+      PRIMARY KEY (role, permission),
+      CONSTRAINT fk_role_permissions_role FOREIGN KEY (role) REFERENCES roles (name) ON DELETE CASCADE ON UPDATE CASCADE,
+      CONSTRAINT fk_role_permissions_permission FOREIGN KEY (permission) REFERENCES permissions (name) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query("INSERT INTO permissions (name, description) VALUES ?", [PERMISSIONS]);
+
+  for (const [name, role] of Object.entries(ROLES)) {
+    await db.query(
+      "INSERT INTO roles (name, description, is_system) VALUES (?, ?, ?)",
+      [name, role.description, name === "volunteer" ? 0 : 1]
+    );
+    await db.query(
+      "INSERT INTO role_permissions (role, permission) VALUES ?",
+      [role.permissions.map((permission) => [name, permission])]
+    );
+  }
+
+  // Any role already handed out by hand keeps working, with no permissions
+  // until an admin grants some.
+  await db.query(`
+    INSERT INTO roles (name, description)
+    SELECT DISTINCT role, NULL FROM users WHERE role NOT IN (SELECT name FROM roles)
+  `);
+
+  await db.query(`
+    ALTER TABLE users
+      ADD CONSTRAINT fk_users_role FOREIGN KEY (role) REFERENCES roles (name) ON UPDATE CASCADE
+  `);
+};
+
+exports.down = async (db) => {
+  await db.query("ALTER TABLE users DROP FOREIGN KEY fk_users_role");
+  await db.query("ALTER TABLE users DROP INDEX fk_users_role");
+  await db.query("DROP TABLE IF EXISTS role_permissions");
+  await db.query("DROP TABLE IF EXISTS permissions");
+  await db.query("DROP TABLE IF EXISTS roles");
+};
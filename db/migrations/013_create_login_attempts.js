@@ -0,0 +1,36 @@
+exports.up = async (db) => {
+  // Every login attempt, kept for throttling and for staff to review.
+  // `identifier` is the username, or the ID card for student logins.
+  await db.query(`
+    CREATE TABLE login_attempts (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      subject_type ENUM('user', 'student') NOT NULL,
+      identifier VARCHAR(100) NOT NULL,
+      ip VARCHAR(45) NULL,
+      user_agent VARCHAR(255) NULL,
+      outcome ENUM('success', 'bad_password', 'unknown_user', 'locked', 'deactivated', 'throttled') NOT NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      KEY idx_login_attempts_identifier (identifier, created_at),
+      KEY idx_login_attempts_ip (ip, created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  for (const table of ["users", "students"]) {
+    await db.query(`
+      ALTER TABLE ${table}
+        ADD COLUMN failed_login_count INT NOT NULL DEFAULT 0,
+        ADD COLUMN locked_until DATETIME NULL
+    `);
+  }
+
+  await db.query("INSERT INTO permissions (name, description) VALUES ('security:read', 'Review login attempts')");
+  await db.query("INSERT INTO role_permissions (role, permission) VALUES ('admin', 'security:read'), ('liberian', 'security:read')");
+};
+
+exports.down = async (db) => {
+  await db.query("DELETE FROM permissions WHERE name = 'security:read'");
+  for (const table of ["users", "students"]) {
+    await db.query(`ALTER TABLE ${table} DROP COLUMN locked_until, DROP COLUMN failed_login_count`);
+  }
+  await db.query("DROP TABLE IF EXISTS login_attempts");
+};
@@ -0,0 +1,30 @@
+exports.up = async (db) => {
+  // One row per write made through the API. `entity_id` is a string because
+  // some entities (class loan limits, roles) are keyed by name. Before and
+  // after hold the row as it was and as it ended up, without secrets.
+  await db.query(`
+    CREATE TABLE audit_logs (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      actor_type ENUM('user', 'student') NULL,
+      actor_id INT NULL,
+      action VARCHAR(50) NOT NULL,
+      entity VARCHAR(30) NOT NULL,
+      entity_id VARCHAR(50) NULL,
+      before_data JSON NULL,
+      after_data JSON NULL,
+      ip VARCHAR(45) NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      KEY idx_audit_logs_entity (entity, entity_id, created_at),
+      KEY idx_audit_logs_actor (actor_type, actor_id, created_at),
+      KEY idx_audit_logs_created (created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query("INSERT INTO permissions (name, description) VALUES ('audit:read', 'Review the audit log')");
+  await db.query("INSERT INTO role_permissions (role, permission) VALUES ('admin', 'audit:read'), ('liberian', 'audit:read')");
+};
+
+exports.down = async (db) => {
+  await db.query("DELETE FROM permissions WHERE name = 'audit:read'");
+  await db.query("DROP TABLE IF EXISTS audit_logs");
+};
@@ -0,0 +1,20 @@
+// Books and students are archived rather than deleted so their loans, fines
+// and holds keep pointing at something.
+exports.up = async (db) => {
+  for (const table of ["books", "students"]) {
+    await db.query(`
+      ALTER TABLE ${table}
+        ADD COLUMN deleted_at DATETIME NULL,
+        ADD COLUMN deleted_by INT NULL,
+        ADD KEY idx_${table}_deleted_at (deleted_at),
+        ADD CONSTRAINT fk_${table}_deleted_by FOREIGN KEY (deleted_by) REFERENCES users (id) ON DELETE SET NULL
+    `);
+  }
+};
+
+exports.down = async (db) => {
+  for (const table of ["books", "students"]) {
+    await db.query(`ALTER TABLE ${table} DROP FOREIGN KEY fk_${table}_deleted_by`);
+    await db.query(`ALTER TABLE ${table} DROP KEY idx_${table}_deleted_at, DROP COLUMN deleted_by, DROP COLUMN deleted_at`);
+  }
+};
@@ -0,0 +1,21 @@
+// Full-text indexes behind GET /api/books/search. InnoDB builds one FULLTEXT
+// index per ALTER TABLE, hence a statement each. The title gets an index of
+// its own so a title match can weigh more than a description match.
+const INDEXES = [
+  ["books", "ft_books_title", "title"],
+  ["books", "ft_books_text", "title, description"],
+  ["authors", "ft_authors_name", "full_name"],
+  ["categories", "ft_categories_name", "name"],
+];
+
+exports.up = async (db) => {
+  for (const [table, name, columns] of INDEXES) {
+    await db.query(`ALTER TABLE ${table} ADD FULLTEXT INDEX ${name} (${columns})`);
+  }
+};
+
+exports.down = async (db) => {
+  for (const [table, name] of INDEXES) {
+    await db.query(`ALTER TABLE ${table} DROP INDEX ${name}`);
+  }
+};
@@ -0,0 +1,25 @@
+// Bibliographic details for books. The ISBN is stored as ISBN-13 without
+// hyphens and is unique, so the same edition cannot be catalogued twice.
+exports.up = async (db) => {
+  await db.query(`
+    ALTER TABLE books
+      ADD COLUMN isbn CHAR(13) NULL AFTER title,
+      ADD COLUMN publisher VARCHAR(255) NULL AFTER description,
+      ADD COLUMN edition VARCHAR(50) NULL AFTER publisher,
+      ADD COLUMN published_year SMALLINT NULL AFTER edition,
+      ADD COLUMN language VARCHAR(35) NULL AFTER published_year,
+      ADD UNIQUE KEY uq_books_isbn (isbn)
+  `);
+};
+
+exports.down = async (db) => {
+  await db.query(`
+    ALTER TABLE books
+      DROP KEY uq_books_isbn,
+      DROP COLUMN language,
+      DROP COLUMN published_year,
+      DROP COLUMN edition,
+      DROP COLUMN publisher,
+      DROP COLUMN isbn
+  `);
+};
@@ -0,0 +1,41 @@
+// Books can have several authors, editors and translators, listed in the
+// order given by `position`. Replaces books.author_id; each book's existing
+// author becomes its first `author` entry.
+exports.up = async (db) => {
+  await db.query(`
+    CREATE TABLE book_authors (
+      book_id INT NOT NULL,
+      author_id INT NOT NULL,
+      role ENUM('author', 'editor', 'translator') NOT NULL DEFAULT 'author',
+      position SMALLINT NOT NULL DEFAULT 1,
+      PRIMARY KEY (book_id, author_id, role),
+      KEY idx_book_authors_author_id (author_id),
+      CONSTRAINT fk_book_authors_book FOREIGN KEY (book_id) REFERENCES books (id) ON DELETE CASCADE,
+      CONSTRAINT fk_book_authors_author FOREIGN KEY (author_id) REFERENCES authors (id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    INSERT INTO book_authors (book_id, author_id, role, position)
+    SELECT id, author_id, 'author', 1 FROM books WHERE author_id IS NOT NULL
+  `);
+
+  await db.query("ALTER TABLE books DROP FOREIGN KEY fk_books_author");
+  await db.query("ALTER TABLE books DROP KEY idx_books_author_id, DROP COLUMN author_id");
+};
+
+// Only the first-listed person of each book survives a rollback
+exports.down = async (db) => {
+  await db.query("ALTER TABLE books ADD COLUMN author_id INT NULL AFTER description, ADD KEY idx_books_author_id (author_id)");
+  await db.query(`
+    UPDATE books
+    SET author_id = (
+      SELECT author_id FROM book_authors
+      WHERE book_authors.book_id = books.id
+      ORDER BY position, role
+      LIMIT 1
+    )
+  `);
+  await db.query("ALTER TABLE books ADD CONSTRAINT fk_books_author FOREIGN KEY (author_id) REFERENCES authors (id)");
+  await db.query("DROP TABLE book_authors");
+};
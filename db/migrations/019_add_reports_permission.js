@@ -0,0 +1,10 @@
+exports.up = async (db) => {
+  // Reports show which students borrow what, so they get their own permission
+  // rather than riding on dashboard:read
+  await db.query("INSERT INTO permissions (name, description) VALUES ('reports:read', 'View and download circulation reports')");
+  await db.query("INSERT INTO role_permissions (role, permission) VALUES ('admin', 'reports:read'), ('liberian', 'reports:read')");
+};
+
+exports.down = async (db) => {
+  await db.query("DELETE FROM permissions WHERE name = 'reports:read'");
+};
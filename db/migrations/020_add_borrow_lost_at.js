@@ -0,0 +1,9 @@
+// When a copy on loan is reported lost the loan stays open, so the student
+// remains responsible for it, and `lost_at` records when it was reported.
+exports.up = async (db) => {
+  await db.query("ALTER TABLE borrows ADD COLUMN lost_at DATETIME NULL AFTER return_date");
+};
+
+exports.down = async (db) => {
+  await db.query("ALTER TABLE borrows DROP COLUMN lost_at");
+};
@@ -0,0 +1,41 @@
+const bcrypt = require("bcryptjs");
+const db = require("./connection");
+const { roleExists } = require("../services/permissions");
+
+// Creates the first staff account so someone can log in via /api/auth/login.
+// Credentials come from SEED_USERNAME / SEED_PASSWORD / SEED_FULL_NAME, and
+// SEED_ROLE picks the role (use `admin` so that account can manage the rest).
+const seed = async () => {
+  const username = process.env.SEED_USERNAME || "liberian1";
+  const password = process.env.SEED_PASSWORD;
+  const fullName = process.env.SEED_FULL_NAME || "Librarian";
+  const role = process.env.SEED_ROLE || "liberian";
+
+  if (!password) {
+    throw new Error("SEED_PASSWORD must be set");
+  }
+
+  if (!(await roleExists(role))) {
+    throw new Error(`SEED_ROLE '${role}' does not exist; run the migrations first`);
+  }
+
+  const [existing] = await db.execute("SELECT id FROM users WHERE username = ?", [username]);
+  if (existing.length > 0) {
+    console.log(`User '${username}' already exists, skipping`);
+    return;
+  }
+
+  const hash = await bcrypt.hash(password, 10);
+  await db.execute(
+    "INSERT INTO users (full_name, username, password, password_changed_at, role) VALUES (?, ?, ?, NOW(), ?)",
+    [fullName, username, hash, role]
+  );
+  console.log(`Created ${role} user '${username}'`);
+};
+
+seed()
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.end());
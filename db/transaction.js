@@ -0,0 +1,27 @@
+const db = require("./connection");
+
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Runs `fn(conn)` on a dedicated pool connection inside a transaction,
+ * committing when it resolves and rolling back when it throws. Transactions
+ * picked as a deadlock victim by InnoDB are retried from the start.
+ */
+const withTransaction = async (fn) => {
+  for (let attempt = 1; ; attempt++) {
+    const conn = await db.getConnection();
+    try {
+      await conn.beginTransaction();
+      const result = await fn(conn);
+      await conn.commit();
+      return result;
+    } catch (err) {
+      await conn.rollback();
+      if (err.code !== "ER_LOCK_DEADLOCK" || attempt >= MAX_ATTEMPTS) throw err;
+    } finally {
+      conn.release();
+    }
+  }
+};
+
+module.exports = withTransaction;
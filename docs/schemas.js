@@ -0,0 +1,417 @@
+const { minPasswordLength } = require("../config/auth");
+
+// Request body schemas. docs/swagger.js publishes them under
+// components/schemas and middleware/validate.js enforces them, so the docs
+// and the checks cannot drift apart. Response-only schemas stay in the
+// @swagger blocks next to their routes.
+
+module.exports = {
+  Error: {
+    type: "object",
+    description: "Every error response has this shape",
+    required: ["error", "code"],
+    properties: {
+      error: {
+        type: "string",
+        description: "What went wrong, for people",
+        example: "Request validation failed",
+      },
+      code: {
+        type: "string",
+        description: "Stable UPPER_SNAKE_CASE code to branch on, e.g. VALIDATION_FAILED, NOT_FOUND, CHECKOUT_REFUSED",
+        example: "VALIDATION_FAILED",
+      },
+      details: {
+        description: "For VALIDATION_FAILED and other refusals with several causes, a list of ErrorDetail; otherwise an object with facts about the error",
+        oneOf: [
+          { type: "array", items: { $ref: "#/components/schemas/ErrorDetail" } },
+          { type: "object" },
+        ],
+      },
+    },
+  },
+
+  ErrorDetail: {
+    type: "object",
+    properties: {
+      field: {
+        type: "string",
+        nullable: true,
+        description: "The offending field, e.g. `title` or `authors[1].id`; null when it is about the request as a whole",
+        example: "title",
+      },
+      code: {
+        type: "string",
+        description: "REQUIRED, INVALID_TYPE, INVALID_VALUE, INVALID_FORMAT, TOO_SHORT, TOO_LONG, TOO_SMALL, TOO_LARGE, UNKNOWN_FIELD, or a business rule code",
+        example: "REQUIRED",
+      },
+      message: {
+        type: "string",
+        example: "title is required",
+      },
+    },
+  },
+
+  AuthorInput: {
+    type: "object",
+    required: ["full_name"],
+    properties: {
+      full_name: { type: "string", minLength: 1, maxLength: 150, example: "Robert C. Martin" },
+      biography: { type: "string", nullable: true, example: "Software engineer and author" },
+      nationality: { type: "string", nullable: true, maxLength: 100, example: "American" },
+      birth_year: { type: "integer", nullable: true, minimum: 1, maximum: 9999, example: 1952 },
+    },
+  },
+
+  CategoryInput: {
+    type: "object",
+    required: ["name"],
+    properties: {
+      name: { type: "string", minLength: 1, maxLength: 100, example: "Physics" },
+      parent_id: { type: "integer", nullable: true, minimum: 1, description: "Parent category; null for a top-level category", example: 1 },
+      loan_days: { type: "integer", nullable: true, minimum: 1, maximum: 365, description: "Loan period for books in this category and its subcategories" },
+    },
+  },
+
+  CopyInput: {
+    type: "object",
+    properties: {
+      barcode: { type: "string", minLength: 1, maxLength: 64, description: "Barcode or accession number; generated when omitted", example: "ACC-2024-0001" },
+      shelf_location: { type: "string", nullable: true, maxLength: 100, example: "Shelf B3" },
+      condition: { type: "string", enum: ["new", "good", "fair", "poor", "damaged"], example: "new" },
+    },
+  },
+
+  CopyWithdrawal: {
+    type: "object",
+    required: ["reason"],
+    properties: {
+      reason: { type: "string", minLength: 1, maxLength: 255, example: "Water damaged" },
+      lost: { type: "boolean", description: "Mark the copy as lost rather than withdrawn; allowed while it is on loan" },
+    },
+  },
+
+  BookInput: {
+    type: "object",
+    required: ["title"],
+    properties: {
+      title: { type: "string", minLength: 1, maxLength: 255, example: "Data Structures" },
+      isbn: {
+        type: "string",
+        nullable: true,
+        format: "isbn",
+        description: "ISBN-10 or ISBN-13, hyphens allowed; stored as ISBN-13 and unique across books",
+        example: "978-0-13-235088-4",
+      },
+      description: { type: "string", nullable: true, example: "Intro to data structures" },
+      publisher: { type: "string", nullable: true, maxLength: 255, example: "Prentice Hall" },
+      edition: { type: "string", nullable: true, maxLength: 50, example: "2nd" },
+      published_year: { type: "integer", nullable: true, minimum: 1, maximum: 9999, example: 2008 },
+      language: { type: "string", nullable: true, maxLength: 35, description: "Language code such as `en` or `km`", example: "en" },
+      authors: {
+        type: "array",
+        maxItems: 50,
+        description: "Authors, editors and translators in the order they are credited; an update without `authors` or `author_id` keeps the current ones",
+        items: { $ref: "#/components/schemas/BookAuthorInput" },
+      },
+      author_id: {
+        type: "integer",
+        nullable: true,
+        minimum: 1,
+        deprecated: true,
+        description: "Single author, for older clients; ignored when `authors` is given",
+      },
+      category_id: { type: "integer", nullable: true, minimum: 1, example: 3 },
+      loan_days: {
+        type: "integer",
+        nullable: true,
+        minimum: 1,
+        maximum: 365,
+        description: "Loan period for this book, overriding its category and the library default",
+      },
+      quantity: {
+        type: "integer",
+        minimum: 0,
+        maximum: 500,
+        description: "On create, the number of copies to add with generated barcodes when `copies` is not given; ignored on update",
+        example: 5,
+      },
+      copies: {
+        type: "array",
+        maxItems: 500,
+        description: "On create, the copies to add; ignored on update",
+        items: { $ref: "#/components/schemas/CopyInput" },
+      },
+    },
+  },
+
+  BookAuthorInput: {
+    type: "object",
+    required: ["id"],
+    properties: {
+      id: { type: "integer", minimum: 1, description: "Author ID", example: 1 },
+      role: { type: "string", enum: ["author", "editor", "translator"], default: "author" },
+    },
+  },
+
+  CheckoutInput: {
+    type: "object",
+    required: ["student_id"],
+    properties: {
+      student_id: { type: "integer", minimum: 1 },
+      book_id: { type: "integer", minimum: 1 },
+      copy_id: { type: "integer", minimum: 1 },
+      barcode: { type: "string", minLength: 1, maxLength: 64, description: "Barcode of the copy being lent" },
+    },
+    anyOf: [{ required: ["book_id"] }, { required: ["copy_id"] }, { required: ["barcode"] }],
+  },
+
+  ScanCheckoutInput: {
+    type: "object",
+    required: ["id_card", "barcode"],
+    additionalProperties: false,
+    properties: {
+      id_card: { type: "string", minLength: 1, maxLength: 50, description: "Scanned from the student's library card", example: "STU0001" },
+      barcode: { type: "string", minLength: 1, maxLength: 64, description: "Barcode of a copy, or the book's ISBN" },
+    },
+  },
+
+  ScanReturnInput: {
+    type: "object",
+    required: ["barcode"],
+    additionalProperties: false,
+    properties: {
+      barcode: { type: "string", minLength: 1, maxLength: 64, description: "Barcode of a copy, or the book's ISBN" },
+      id_card: {
+        type: "string",
+        minLength: 1,
+        maxLength: 50,
+        description: "Required to return by ISBN; otherwise checked against the student the copy is lent to",
+      },
+    },
+  },
+
+  ScanSessionInput: {
+    type: "object",
+    required: ["id_card", "barcodes"],
+    additionalProperties: false,
+    properties: {
+      id_card: { type: "string", minLength: 1, maxLength: 50, description: "Scanned from the student's library card", example: "STU0001" },
+      barcodes: {
+        type: "array",
+        minItems: 1,
+        maxItems: 20,
+        items: { type: "string", minLength: 1, maxLength: 64 },
+        description: "Items scanned after the card, in order: copy barcodes or ISBNs",
+      },
+    },
+  },
+
+  FinePayment: {
+    type: "object",
+    required: ["amount"],
+    properties: {
+      amount: { type: "number", minimum: 0.01, example: 1.5 },
+      note: { type: "string", nullable: true, maxLength: 255 },
+    },
+  },
+
+  FineWaiver: {
+    type: "object",
+    required: ["reason"],
+    properties: {
+      reason: { type: "string", minLength: 1, maxLength: 255, example: "Student was ill" },
+    },
+  },
+
+  HoldInput: {
+    type: "object",
+    required: ["student_id", "book_id"],
+    properties: {
+      student_id: { type: "integer", minimum: 1 },
+      book_id: { type: "integer", minimum: 1 },
+    },
+  },
+
+  ClassLimitInput: {
+    type: "object",
+    required: ["max_active_loans"],
+    properties: {
+      max_active_loans: { type: "integer", minimum: 0, maximum: 1000, example: 3 },
+    },
+  },
+
+  LoginInput: {
+    type: "object",
+    required: ["username", "password"],
+    properties: {
+      username: { type: "string", maxLength: 50, example: "liberian1" },
+      password: { type: "string", example: "password123" },
+    },
+  },
+
+  StudentLoginInput: {
+    type: "object",
+    required: ["id_card", "password"],
+    properties: {
+      id_card: { type: "string", maxLength: 50, example: "STU0001" },
+      password: { type: "string", example: "password123" },
+    },
+  },
+
+  RefreshInput: {
+    type: "object",
+    required: ["refresh_token"],
+    properties: {
+      refresh_token: { type: "string" },
+    },
+  },
+
+  LogoutInput: {
+    type: "object",
+    properties: {
+      all: { type: "boolean", description: "Log out of every session, not just this one" },
+    },
+  },
+
+  PasswordChange: {
+    type: "object",
+    required: ["current_password", "new_password"],
+    properties: {
+      current_password: { type: "string" },
+      // bcrypt ignores anything past 72 bytes
+      new_password: { type: "string", minLength: minPasswordLength, maxLength: 72 },
+    },
+  },
+
+  PasswordForgot: {
+    type: "object",
+    required: ["login"],
+    properties: {
+      login: { type: "string", maxLength: 255, description: "Username or email address" },
+    },
+  },
+
+  PasswordReset: {
+    type: "object",
+    required: ["token", "password"],
+    properties: {
+      token: { type: "string" },
+      password: { type: "string", minLength: minPasswordLength, maxLength: 72 },
+    },
+  },
+
+  RoleInput: {
+    type: "object",
+    required: ["name"],
+    properties: {
+      name: { type: "string", pattern: "^[a-z][a-z0-9_-]{1,19}$", description: "2-20 lowercase letters, digits, `_` or `-`", example: "cataloguer" },
+      description: { type: "string", nullable: true, maxLength: 255, example: "Adds and edits books" },
+      permissions: { type: "array", items: { type: "string" }, example: ["catalog:read", "books:write", "authors:write"] },
+    },
+  },
+
+  RoleUpdate: {
+    type: "object",
+    properties: {
+      description: { type: "string", nullable: true, maxLength: 255 },
+      permissions: { type: "array", items: { type: "string" }, description: "Replaces the whole list" },
+    },
+  },
+
+  StaffUserInput: {
+    type: "object",
+    required: ["full_name", "username"],
+    properties: {
+      full_name: { type: "string", minLength: 1, maxLength: 100, example: "Dara Sok" },
+      username: { type: "string", minLength: 1, maxLength: 50, example: "dara" },
+      email: { type: "string", format: "email", maxLength: 255, description: "Required when no password is given, to send the invite", example: "dara@example.com" },
+      role: { type: "string", maxLength: 20, default: "liberian", description: "Name of a role from /api/roles", example: "liberian" },
+      password: { type: "string", minLength: minPasswordLength, maxLength: 72, description: "Omit to email an invite instead" },
+    },
+  },
+
+  UserUpdate: {
+    type: "object",
+    properties: {
+      full_name: { type: "string", minLength: 1, maxLength: 100 },
+      email: { type: "string", format: "email", maxLength: 255 },
+    },
+  },
+
+  RoleAssignment: {
+    type: "object",
+    required: ["role"],
+    properties: {
+      role: { type: "string", maxLength: 20, description: "Name of a role from /api/roles", example: "assistant" },
+    },
+  },
+
+  StudentInput: {
+    type: "object",
+    required: ["full_name", "id_card"],
+    additionalProperties: false,
+    properties: {
+      full_name: { type: "string", minLength: 1, maxLength: 150, example: "kakada" },
+      id_card: { type: "string", minLength: 1, maxLength: 50, description: "Student ID card number", example: "STU0001" },
+      student_class: { type: "string", nullable: true, maxLength: 50, description: "Class of the student", example: "wmad" },
+    },
+  },
+
+  StudentPassword: {
+    type: "object",
+    required: ["password"],
+    properties: {
+      password: { type: "string", minLength: minPasswordLength, maxLength: 72 },
+    },
+  },
+
+  Suspension: {
+    type: "object",
+    required: ["reason"],
+    properties: {
+      reason: { type: "string", minLength: 1, maxLength: 255, example: "Damaged a borrowed book" },
+      until: { type: "string", format: "date-time", description: "End of the suspension; omit to suspend until reinstated" },
+    },
+  },
+
+  BookImportRow: {
+    type: "object",
+    description: "One row of a book import file; column names are matched case-insensitively",
+    required: ["title"],
+    properties: {
+      title: { type: "string", minLength: 1, maxLength: 255 },
+      isbn: { type: "string", format: "isbn" },
+      description: { type: "string" },
+      publisher: { type: "string", maxLength: 255 },
+      edition: { type: "string", maxLength: 50 },
+      published_year: { type: "integer", minimum: 1, maximum: 9999 },
+      language: { type: "string", maxLength: 35 },
+      authors: { type: "string", description: "Author names separated by `;`; authors not in the catalogue yet are created" },
+      category: { type: "string", maxLength: 100, description: "Category name" },
+      category_id: { type: "integer", minimum: 1, description: "Category ID, for names used by more than one category" },
+      loan_days: { type: "integer", minimum: 1, maximum: 365 },
+      quantity: { type: "integer", minimum: 0, maximum: 500, description: "Copies to add with generated barcodes" },
+    },
+  },
+
+  ImportReport: {
+    type: "object",
+    properties: {
+      dry_run: { type: "boolean" },
+      total_rows: { type: "integer" },
+      valid_rows: { type: "integer" },
+      created: { type: "integer", description: "Records saved; 0 on a dry run" },
+      errors: {
+        type: "array",
+        description: "Problems by row; on a real run any error means nothing was saved",
+        items: {
+          allOf: [
+            { $ref: "#/components/schemas/ErrorDetail" },
+            { type: "object", properties: { row: { type: "integer", description: "Row number in the file, the header being row 1" } } },
+          ],
+        },
+      },
+    },
+  },
+};
@@ -1,4 +1,14 @@
 const swaggerJsDoc = require("swagger-jsdoc");
+const schemas = require("./schemas");
+
+const errorResponse = (description) => ({
+  description,
+  content: {
+    "application/json": {
+      schema: { $ref: "#/components/schemas/Error" }
+    }
+  }
+});
 
 const options = {
   definition: {
@@ -15,6 +25,14 @@ const options = {
           scheme: "bearer",
           bearerFormat: "JWT"
         }
+      },
+      schemas,
+      responses: {
+        ValidationError: errorResponse("Invalid input; `details` lists each problem (code VALIDATION_FAILED)"),
+        Unauthorized: errorResponse("Missing, expired or revoked token"),
+        Forbidden: errorResponse("The logged-in user may not do this"),
+        NotFound: errorResponse("Record not found (code NOT_FOUND)"),
+        Conflict: errorResponse("The request clashes with the current state of the record")
       }
     },
     security: [
@@ -3,6 +3,7 @@ const cors = require("cors");
 const dotenv = require("dotenv");
 const swaggerUi = require("swagger-ui-express");
 const swaggerSpec = require("./docs/swagger");
+const { unknownRoute, handleErrors } = require("./middleware/errors");
 
 dotenv.config();
 const app = express();
@@ -11,13 +12,25 @@ app.use(cors());
 app.use(express.json());
 
 app.use("/api/auth", require("./routes/auth"));
+app.use("/api/users", require("./routes/users"));
+app.use("/api/roles", require("./routes/roles"));
+app.use("/api/audit", require("./routes/audit"));
 app.use("/api/students", require("./routes/students"));
+app.use("/api/me", require("./routes/me"));
 app.use("/api/books", require("./routes/books"));
+app.use("/api/copies", require("./routes/copies"));
 app.use("/api/borrows", require("./routes/borrows"));
 app.use("/api/dashboard", require("./routes/dashboard"));
+app.use("/api/reports", require("./routes/reports"));
 app.use("/api/categories", require("./routes/categories"));
 app.use("/api/authors", require("./routes/authors"));
+app.use("/api/fines", require("./routes/fines"));
+app.use("/api/holds", require("./routes/holds"));
+app.use("/api/policies", require("./routes/policies"));
 app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
+app.use("/api", unknownRoute);
+app.use(handleErrors);
+
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
@@ -0,0 +1,48 @@
+const { AppError } = require("../utils/errors");
+
+// Database errors a client can cause, e.g. by reusing a unique value or
+// pointing at a row that does not exist. Routes that can say more catch
+// these themselves.
+const DB_ERRORS = {
+  ER_DUP_ENTRY: [409, "DUPLICATE_ENTRY", "A record with this value already exists"],
+  ER_NO_REFERENCED_ROW_2: [400, "INVALID_REFERENCE", "A referenced record does not exist"],
+  ER_ROW_IS_REFERENCED_2: [409, "IN_USE", "Record is still referenced by other records"],
+};
+
+// Errors raised by express.json() before any route runs
+const BODY_ERRORS = {
+  "entity.parse.failed": [400, "INVALID_JSON", "Request body is not valid JSON"],
+  "entity.too.large": [413, "PAYLOAD_TOO_LARGE", "Request body is too large"],
+};
+
+const toAppError = (err) => {
+  if (err instanceof AppError) return err;
+
+  const known = DB_ERRORS[err.code] || BODY_ERRORS[err.type];
+  return known ? new AppError(...known) : null;
+};
+
+/** Answers requests under /api that no route matched. */
+const unknownRoute = (req, res) => {
+  res.status(404).json({ error: `No route for ${req.method} ${req.originalUrl}`, code: "ROUTE_NOT_FOUND" });
+};
+
+/**
+ * Sends every error in the same shape, `{ error, code, details? }`. Anything
+ * that is not an AppError or a known client mistake is logged and reported
+ * as a 500 without internals. Express only treats it as an error handler
+ * because it takes four arguments, so `next` stays even though it is unused.
+ */
+const handleErrors = (err, req, res, next) => {
+  const appError = toAppError(err);
+  if (!appError) {
+    console.error(err);
+    return res.status(500).json({ error: "Something went wrong", code: "INTERNAL_ERROR" });
+  }
+
+  const body = { error: appError.message, code: appError.code };
+  if (appError.details !== undefined) body.details = appError.details;
+  res.status(appError.status).json(body);
+};
+
+module.exports = { unknownRoute, handleErrors };
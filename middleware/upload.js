@@ -0,0 +1,29 @@
+const multer = require("multer");
+const { imports } = require("../config/library");
+const { AppError, badRequest } = require("../utils/errors");
+
+// Uploads are small and parsed straight away, so they never touch the disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: imports.maxFileBytes, files: 1 },
+});
+
+/**
+ * Accepts one multipart file in the field `field` as `req.file`, turning
+ * multer's errors into the standard error response.
+ */
+const uploadFile = (field = "file") => (req, res, next) => {
+  upload.single(field)(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      if (err.code === "LIMIT_FILE_SIZE") {
+        return next(new AppError(413, "FILE_TOO_LARGE", `File is larger than ${imports.maxFileBytes} bytes`));
+      }
+      return next(badRequest(`Upload the file in the "${field}" field`, "INVALID_UPLOAD"));
+    }
+    if (err) return next(err);
+    if (!req.file) return next(badRequest(`Upload the file in the "${field}" field`, "FILE_REQUIRED"));
+    next();
+  });
+};
+
+module.exports = { uploadFile };
@@ -0,0 +1,195 @@
+const schemas = require("../docs/schemas");
+const { badRequest } = require("../utils/errors");
+const { isValidIsbn } = require("../utils/isbn");
+
+// Request schemas are the OpenAPI ones from docs/schemas.js, so what the docs
+// describe is what gets enforced. Supported keywords: type, nullable, enum,
+// minLength, maxLength, pattern, format, minimum, maximum, items, minItems,
+// maxItems, properties, required, additionalProperties: false, anyOf and $ref.
+
+const REF_PREFIX = "#/components/schemas/";
+
+// Query parameters every paged list takes, for validate()
+const PAGE_QUERY_PROPERTIES = {
+  page: { type: "integer", minimum: 1 },
+  limit: { type: "integer", minimum: 1, maximum: 100 },
+};
+
+const FORMATS = {
+  email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  date: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  "date-time": (value) => !Number.isNaN(Date.parse(value)),
+  // ISBN-10 or ISBN-13 with a correct check digit, hyphens allowed
+  isbn: isValidIsbn,
+};
+
+const resolve = (schema) => {
+  if (typeof schema === "string") return schemas[schema];
+  if (schema.$ref) return schemas[schema.$ref.slice(REF_PREFIX.length)];
+  return schema;
+};
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === "string",
+  integer: (value) => Number.isInteger(value),
+  number: (value) => typeof value === "number" && Number.isFinite(value),
+  boolean: (value) => typeof value === "boolean",
+  array: (value) => Array.isArray(value),
+  object: (value) => typeof value === "object" && value !== null && !Array.isArray(value),
+};
+
+const TYPE_NAMES = {
+  string: "a string",
+  integer: "an integer",
+  number: "a number",
+  boolean: "true or false",
+  array: "an array",
+  object: "an object",
+};
+
+// Query strings and path segments only carry strings
+const coerce = (type, value) => {
+  if (typeof value !== "string") return value;
+  if ((type === "integer" || type === "number") && /^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  if (type === "boolean" && (value === "true" || value === "false")) return value === "true";
+  return value;
+};
+
+const childField = (field, key) => (field ? `${field}.${key}` : key);
+
+// Pushes `{ field, code, message }` onto `errors` for every rule `value` breaks
+const check = (schema, value, field, errors, fromString) => {
+  schema = resolve(schema);
+  const label = field || "Request body";
+  const fail = (code, message) => errors.push({ field: field || null, code, message: `${label} ${message}` });
+
+  if (value === null) {
+    if (!schema.nullable) fail("INVALID_TYPE", "must not be null");
+    return;
+  }
+
+  if (schema.type) {
+    if (fromString) value = coerce(schema.type, value);
+    if (!TYPE_CHECKS[schema.type](value)) return fail("INVALID_TYPE", `must be ${TYPE_NAMES[schema.type]}`);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail("INVALID_VALUE", `must be one of: ${schema.enum.join(", ")}`);
+  }
+
+  if (typeof value === "string") {
+    // minLength 1 means "not blank", so whitespace alone does not count
+    if (schema.minLength === 1 && value.trim() === "") {
+      fail("REQUIRED", "must not be blank");
+    } else if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail("TOO_SHORT", `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail("TOO_LONG", `must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail("INVALID_FORMAT", "is not in the expected format");
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      fail("INVALID_FORMAT", `must be a valid ${schema.format}`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) fail("TOO_SMALL", `must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail("TOO_LARGE", `must be at most ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail("TOO_SHORT", `must have at least ${schema.minItems} item${schema.minItems === 1 ? "" : "s"}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail("TOO_LONG", `must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) value.forEach((item, i) => check(schema.items, item, `${field}[${i}]`, errors, fromString));
+  }
+
+  if (TYPE_CHECKS.object(value)) {
+    const properties = schema.properties || {};
+    for (const name of schema.required || []) {
+      if (value[name] === undefined || value[name] === "") {
+        errors.push({ field: childField(field, name), code: "REQUIRED", message: `${childField(field, name)} is required` });
+      }
+    }
+    for (const [name, item] of Object.entries(value)) {
+      if (properties[name]) {
+        if (item !== undefined && item !== "") check(properties[name], item, childField(field, name), errors, fromString);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: childField(field, name), code: "UNKNOWN_FIELD", message: `${childField(field, name)} is not allowed` });
+      }
+    }
+  }
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some((option) => {
+      const optionErrors = [];
+      check(option, value, field, optionErrors, fromString);
+      return optionErrors.length === 0;
+    });
+    if (!matches) {
+      // The usual case is "at least one of these fields"
+      const names = schema.anyOf.flatMap((option) => resolve(option).required || []);
+      if (names.length) {
+        errors.push({ field: field || null, code: "REQUIRED", message: `One of ${names.join(", ")} is required` });
+      } else {
+        fail("INVALID_VALUE", "does not match any allowed form");
+      }
+    }
+  }
+};
+
+/**
+ * Checks `req.body`, `req.query` and `req.params` against schemas, given as
+ * a name from docs/schemas.js or an inline schema, e.g.
+ * `validate({ body: "BookInput" })`. Fails with 400 VALIDATION_FAILED and
+ * one detail per broken rule. Nothing is coerced in place: handlers still
+ * parse query values themselves.
+ */
+const validate = (parts) => (req, res, next) => {
+  const errors = [];
+  for (const [part, schema] of Object.entries(parts)) {
+    check(schema, req[part] ?? {}, "", errors, part !== "body");
+  }
+  if (errors.length) throw badRequest("Request validation failed", "VALIDATION_FAILED", errors);
+  next();
+};
+
+/**
+ * Checks one record read from an uploaded file against a schema. Cells
+ * arrive as text, so values are converted to the property types first;
+ * blank cells count as missing and columns the schema does not know are
+ * dropped. Returns the converted record and the problems found, in the same
+ * form as VALIDATION_FAILED details.
+ */
+const checkRecord = (schema, record) => {
+  const properties = resolve(schema).properties || {};
+  const value = {};
+  for (const [name, cell] of Object.entries(record)) {
+    if (!properties[name] || cell === undefined || cell === null || String(cell).trim() === "") continue;
+    const { type } = resolve(properties[name]);
+    value[name] = type === "string" ? String(cell).trim() : coerce(type, String(cell).trim());
+  }
+
+  const errors = [];
+  check(schema, value, "", errors, false);
+  return { value, errors };
+};
+
+/**
+ * `router.param` callback for numeric ids, so `/books/abc` is a 400 rather
+ * than a lookup that cannot match.
+ */
+const validateId = (req, res, next, value, name) => {
+  if (!/^[1-9]\d*$/.test(value)) {
+    throw badRequest("Request validation failed", "VALIDATION_FAILED", [
+      { field: name, code: "INVALID_TYPE", message: `${name} must be a positive integer` }
+    ]);
+  }
+  next();
+};
+
+module.exports = { validate, validateId, checkRecord, PAGE_QUERY_PROPERTIES };
@@ -0,0 +1,236 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db/connection");
+const { permit } = require("../middleware/auth");
+const { validate, PAGE_QUERY_PROPERTIES } = require("../middleware/validate");
+
+// What recordAudit() is called with across the API
+const ENTITIES = ["author", "book", "borrow", "category", "class_loan_limit", "copy", "fine", "hold", "role", "student", "user"];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Audit
+ *   description: Who changed what, and when
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         actor_type:
+ *           type: string
+ *           enum: [user, student]
+ *           nullable: true
+ *           description: Empty for changes made without logging in, such as password resets
+ *         actor_id:
+ *           type: integer
+ *           nullable: true
+ *         actor_name:
+ *           type: string
+ *           nullable: true
+ *         action:
+ *           type: string
+ *           example: update
+ *         entity:
+ *           type: string
+ *           example: book
+ *         entity_id:
+ *           type: string
+ *           example: "42"
+ *         before:
+ *           type: object
+ *           nullable: true
+ *         after:
+ *           type: object
+ *           nullable: true
+ *         changed_fields:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Fields whose value differs between before and after
+ *         ip:
+ *           type: string
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+// Keys present in both snapshots whose values differ
+const changedFields = (before, after) => {
+  if (!before || !after) return [];
+  return Object.keys(after).filter(
+    (key) => key in before && JSON.stringify(before[key]) !== JSON.stringify(after[key])
+  );
+};
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Search the audit log
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Limit per page
+ *       - in: query
+ *         name: entity
+ *         schema:
+ *           type: string
+ *           enum: [author, book, borrow, category, class_loan_limit, copy, fine, hold, role, student, user]
+ *       - in: query
+ *         name: entity_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: book_id
+ *         schema:
+ *           type: integer
+ *         description: >
+ *           Everything that touched a book's stock: the book itself and its
+ *           copies, loans and holds
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: e.g. create, update, delete, checkout, return
+ *       - in: query
+ *         name: actor_type
+ *         schema:
+ *           type: string
+ *           enum: [user, student]
+ *       - in: query
+ *         name: actor_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Audit entries with pagination, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 currentPage:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 totalEntries:
+ *                   type: integer
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditEntry'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get("/", permit("audit:read"), validate({
+  query: {
+    type: "object",
+    properties: {
+      entity: { type: "string", enum: ENTITIES },
+      entity_id: { type: "string", maxLength: 50 },
+      book_id: { type: "integer", minimum: 1 },
+      action: { type: "string", maxLength: 50 },
+      actor_type: { type: "string", enum: ["user", "student"] },
+      actor_id: { type: "integer", minimum: 1 },
+      from: { type: "string", format: "date-time" },
+      to: { type: "string", format: "date-time" },
+      ...PAGE_QUERY_PROPERTIES,
+    }
+  }
+}), async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const offset = (page - 1) * limit;
+
+  const filters = {
+    entity: "a.entity = ?",
+    entity_id: "a.entity_id = ?",
+    action: "a.action = ?",
+    actor_type: "a.actor_type = ?",
+    actor_id: "a.actor_id = ?",
+    from: "a.created_at >= ?",
+    to: "a.created_at <= ?"
+  };
+  const conditions = [];
+  const params = [];
+  for (const [name, condition] of Object.entries(filters)) {
+    if (req.query[name]) {
+      conditions.push(condition);
+      params.push(req.query[name]);
+    }
+  }
+  if (req.query.book_id) {
+    conditions.push(
+      `((a.entity = 'book' AND a.entity_id = ?)
+        OR (a.entity IN ('copy', 'borrow', 'hold')
+          AND JSON_EXTRACT(COALESCE(a.after_data, a.before_data), '$.book_id') = ?))`
+    );
+    params.push(String(req.query.book_id), parseInt(req.query.book_id) || 0);
+  }
+  const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+
+  const [[{ total }]] = await db.execute(`SELECT COUNT(*) AS total FROM audit_logs a ${where}`, params);
+  const totalPages = Math.ceil(total / limit);
+
+  const [rows] = await db.execute(
+    `SELECT a.id, a.actor_type, a.actor_id,
+       CASE a.actor_type WHEN 'user' THEN u.full_name WHEN 'student' THEN s.full_name END AS actor_name,
+       a.action, a.entity, a.entity_id, a.before_data, a.after_data, a.ip, a.created_at
+     FROM audit_logs a
+     LEFT JOIN users u ON a.actor_type = 'user' AND u.id = a.actor_id
+     LEFT JOIN students s ON a.actor_type = 'student' AND s.id = a.actor_id
+     ${where}
+     ORDER BY a.created_at DESC, a.id DESC
+     LIMIT ${limit} OFFSET ${offset}`,
+    params
+  );
+
+  const entries = rows.map(({ before_data, after_data, ...entry }) => ({
+    ...entry,
+    before: before_data,
+    after: after_data,
+    changed_fields: changedFields(before_data, after_data)
+  }));
+
+  res.json({
+    currentPage: page,
+    limit: limit,
+    totalPages: totalPages,
+    totalEntries: total,
+    entries: entries
+  });
+});
+
+module.exports = router;
@@ -1,7 +1,16 @@
 const express = require("express");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const db = require("../db/connection");
+const auth = require("../middleware/auth");
+const { permit } = auth;
+const { validate, PAGE_QUERY_PROPERTIES } = require("../middleware/validate");
+const withTransaction = require("../db/transaction");
+const { startSession, rotateRefreshToken, revokeSession, revokeAllSessions } = require("../services/sessions");
+const { setUserPassword, createPasswordToken, redeemPasswordToken, sendPasswordEmail } = require("../services/passwords");
+const { getRolePermissions } = require("../services/permissions");
+const { recordAudit } = require("../services/audit");
+const { sleep, checkThrottle, recordAttempt, registerFailure, clearFailures } = require("../services/loginGuard");
+const { AppError, badRequest, unauthorized, forbidden } = require("../utils/errors");
 const router = express.Router();
 
 /**
@@ -11,6 +20,23 @@ const router = express.Router();
  *   description: Admin authentication
  */
 
+// Refuses the attempt outright with a 429 when its IP has failed too often,
+// and otherwise waits longer the more recent failures there were.
+const throttle = async (attempt, res) => {
+  const guard = await checkThrottle(attempt.identifier, attempt.req.ip || null);
+  if (guard.blocked) {
+    await recordAttempt(attempt, "throttled");
+    res.set("Retry-After", String(guard.retryAfter));
+    throw new AppError(429, "TOO_MANY_ATTEMPTS", "Too many failed login attempts, try again later");
+  }
+
+  await sleep(guard.delayMs);
+};
+
+const invalidCredentials = () => unauthorized("Invalid credentials", "INVALID_CREDENTIALS");
+
+const accountLocked = (lockedUntil) =>
+  new AppError(423, "ACCOUNT_LOCKED", "Account is temporarily locked", { locked_until: lockedUntil });
 
 /**
  * @swagger
@@ -23,44 +49,483 @@ const router = express.Router();
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/Users'
+ *             $ref: '#/components/schemas/LoginInput'
  *     responses:
  *       201:
  *         description: Login successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TokenPair'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Invalid credentials (code INVALID_CREDENTIALS)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Account is deactivated (code ACCOUNT_DEACTIVATED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       423:
+ *         description: >
+ *           Too many wrong passwords; the account is locked until
+ *           `details.locked_until` (code ACCOUNT_LOCKED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: >
+ *           Too many failed attempts from this address; see the Retry-After
+ *           header (code TOO_MANY_ATTEMPTS)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 
 /**
  * @swagger
  * components:
  *   schemas:
- *     Users:
+ *     TokenPair:
  *       type: object
- *       required:
- *         - username
- *         - password
  *       properties:
- *         username:
+ *         token:
  *           type: string
- *         password:
+ *           description: Short-lived access token for the Authorization header
+ *         refresh_token:
  *           type: string
- *       example:
- *         username: liberian1
- *         password: password123
+ *           description: Single-use token for /api/auth/refresh
+ *         expires_in:
+ *           type: integer
+ *           description: Seconds until the access token expires
  */
-router.post("/login", async (req, res) => {
+router.post("/login", validate({ body: "LoginInput" }), async (req, res) => {
   const { username, password } = req.body;
+  const attempt = { subjectType: "user", identifier: username, req };
+
+  await throttle(attempt, res);
+
+  const [rows] = await db.execute("SELECT *, locked_until > NOW() AS is_locked FROM users WHERE username = ?", [username]);
+  const user = rows[0];
+  if (!user) {
+    await recordAttempt(attempt, "unknown_user");
+    throw invalidCredentials();
+  }
+  if (user.is_locked) {
+    await recordAttempt(attempt, "locked");
+    throw accountLocked(user.locked_until);
+  }
+  if (!(await bcrypt.compare(password, user.password))) {
+    await registerFailure("user", user.id);
+    await recordAttempt(attempt, "bad_password");
+    throw invalidCredentials();
+  }
+  if (!user.is_active) {
+    await recordAttempt(attempt, "deactivated");
+    throw forbidden("Account is deactivated", "ACCOUNT_DEACTIVATED");
+  }
+
+  await clearFailures("user", user.id);
+  await recordAttempt(attempt, "success");
+
+  const tokens = await startSession(user, req);
+  const permissions = [...(await getRolePermissions(user.role))];
+  res.json({
+    ...tokens,
+    user: { id: user.id, full_name: user.full_name, username: user.username, role: user.role, permissions }
+  });
+});
+
+/**
+ * @swagger
+ * /api/auth/student/login:
+ *   post:
+ *     summary: Student login with ID card and password
+ *     tags: [Admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StudentLoginInput'
+ *     responses:
+ *       200:
+ *         description: Login successfully, token carries the `student` role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TokenPair'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Invalid credentials (code INVALID_CREDENTIALS)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       423:
+ *         description: >
+ *           Too many wrong passwords; the account is locked until
+ *           `details.locked_until` (code ACCOUNT_LOCKED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: >
+ *           Too many failed attempts from this address; see the Retry-After
+ *           header (code TOO_MANY_ATTEMPTS)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/student/login", validate({ body: "StudentLoginInput" }), async (req, res) => {
+  const { id_card, password } = req.body;
+  const attempt = { subjectType: "student", identifier: id_card, req };
+
+  await throttle(attempt, res);
+
+  const [rows] = await db.execute(
+    "SELECT id, full_name, id_card, class, password, locked_until, locked_until > NOW() AS is_locked FROM students WHERE id_card = ? AND deleted_at IS NULL",
+    [id_card]
+  );
+  const student = rows[0];
+  if (!student || !student.password) {
+    await recordAttempt(attempt, "unknown_user");
+    throw invalidCredentials();
+  }
+  if (student.is_locked) {
+    await recordAttempt(attempt, "locked");
+    throw accountLocked(student.locked_until);
+  }
+  if (!(await bcrypt.compare(password, student.password))) {
+    await registerFailure("student", student.id);
+    await recordAttempt(attempt, "bad_password");
+    throw invalidCredentials();
+  }
+
+  await clearFailures("student", student.id);
+  await recordAttempt(attempt, "success");
+  await db.execute("UPDATE students SET last_login_at = NOW() WHERE id = ?", [student.id]);
 
-  try {
-    const [rows] = await db.execute("SELECT * FROM users WHERE username = ?", [username]);
-    const user = rows[0];
-    if (!user || !(await bcrypt.compare(password, user.password)))
-      return res.status(401).json({ message: "Invalid credentials" });
+  const tokens = await startSession({ id: student.id, role: "student" }, req);
+  res.json({
+    ...tokens,
+    student: { id: student.id, full_name: student.full_name, id_card: student.id_card, class: student.class, role: "student" }
+  });
+});
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token
+ *     description: >
+ *       Refresh tokens are single use; the response carries a new one. Reusing
+ *       an old refresh token logs the whole session out.
+ *     tags: [Admin]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshInput'
+ *     responses:
+ *       200:
+ *         description: New token pair
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TokenPair'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Refresh token is invalid, expired, reused or revoked (code INVALID_REFRESH_TOKEN)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/refresh", validate({ body: "RefreshInput" }), async (req, res) => {
+  const tokens = await rotateRefreshToken(req.body.refresh_token);
+  if (!tokens) throw unauthorized("Invalid refresh token", "INVALID_REFRESH_TOKEN");
+
+  res.json(tokens);
+});
 
-    const token = jwt.sign({ id: user.id, role: user.role }, process.env.JWT_SECRET);
-    res.json({ token, user: { id: user.id, full_name: user.full_name, username: user.username, role: user.role } });
-  } catch (err) {
-    res.status(500).json({ error: "Something went wrong" });
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out, revoking the current session's tokens
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LogoutInput'
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post("/logout", auth([auth.STAFF, "student"]), validate({ body: "LogoutInput" }), async (req, res) => {
+  if (req.body && req.body.all) {
+    await revokeAllSessions(req.user.role, req.user.id);
+  } else {
+    await revokeSession(req.user.sid);
   }
+  res.json({ message: "Logged out" });
+});
+
+/**
+ * @swagger
+ * /api/auth/password:
+ *   put:
+ *     summary: Change the logged-in staff member's password
+ *     description: Every other session of the account is logged out; the current one stays.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PasswordChange'
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Current password is wrong (code WRONG_PASSWORD)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put("/password", auth(), validate({ body: "PasswordChange" }), async (req, res) => {
+  const { current_password, new_password } = req.body;
+
+  const [[user]] = await db.execute("SELECT password FROM users WHERE id = ?", [req.user.id]);
+  if (!user || !(await bcrypt.compare(current_password, user.password))) {
+    throw unauthorized("Current password is incorrect", "WRONG_PASSWORD");
+  }
+
+  await withTransaction(async (conn) => {
+    await setUserPassword(req.user.id, new_password, conn);
+    await revokeAllSessions(req.user.role, req.user.id, conn, req.user.sid);
+    await recordAudit(req, { action: "change_password", entity: "user", entityId: req.user.id }, conn);
+  });
+  res.json({ message: "Password changed" });
+});
+
+/**
+ * @swagger
+ * /api/auth/password/forgot:
+ *   post:
+ *     summary: Email a staff member a link to reset their password
+ *     description: >
+ *       Always answers the same way, whether or not the account exists, so it
+ *       cannot be used to find out usernames.
+ *     tags: [Admin]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PasswordForgot'
+ *     responses:
+ *       200:
+ *         description: If the account exists and has an email, a reset link was sent
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post("/password/forgot", validate({ body: "PasswordForgot" }), async (req, res) => {
+  const { login } = req.body;
+  const reply = { message: "If the account exists, a password reset link has been emailed" };
+
+  const [[user]] = await db.execute(
+    `SELECT id, full_name, username, email FROM users
+     WHERE (username = ? OR email = ?) AND is_active = 1 AND email IS NOT NULL`,
+    [login, login]
+  );
+
+  if (user) {
+    const token = await createPasswordToken(user.id, "reset");
+    // A failed send must not tell the caller that the account exists
+    await sendPasswordEmail(user, "reset", token).catch((err) => console.error(err));
+  }
+  res.json(reply);
+});
+
+/**
+ * @swagger
+ * /api/auth/password/reset:
+ *   post:
+ *     summary: Set a new password with a token from a reset or invite email
+ *     description: The token works once. Every session of the account is logged out.
+ *     tags: [Admin]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PasswordReset'
+ *     responses:
+ *       200:
+ *         description: Password set; log in with the new password
+ *       400:
+ *         description: >
+ *           The password is too short (VALIDATION_FAILED), or the token is
+ *           invalid, used or expired (INVALID_TOKEN)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/password/reset", validate({ body: "PasswordReset" }), async (req, res) => {
+  const { token, password } = req.body;
+
+  const redeemed = await withTransaction(async (conn) => {
+    const row = await redeemPasswordToken(token, conn);
+    if (!row) return false;
+
+    await setUserPassword(row.user_id, password, conn);
+    await revokeAllSessions("user", row.user_id, conn);
+    // Nobody is logged in here; the token itself identifies the user
+    await recordAudit(req, {
+      action: row.purpose === "invite" ? "accept_invite" : "reset_password", entity: "user", entityId: row.user_id
+    }, conn);
+    return true;
+  });
+  if (!redeemed) throw badRequest("Invalid or expired token", "INVALID_TOKEN");
+
+  res.json({ message: "Password has been set" });
+});
+
+/**
+ * @swagger
+ * /api/auth/attempts:
+ *   get:
+ *     summary: Review login attempts
+ *     description: Failed attempts only, unless `outcome` asks for something else.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Limit per page
+ *       - in: query
+ *         name: identifier
+ *         schema:
+ *           type: string
+ *         description: Username or student ID card
+ *       - in: query
+ *         name: ip
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [success, bad_password, unknown_user, locked, deactivated, throttled, all]
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Login attempts, newest first
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get("/attempts", permit("security:read"), validate({
+  query: {
+    type: "object",
+    properties: {
+      identifier: { type: "string", maxLength: 100 },
+      ip: { type: "string", maxLength: 45 },
+      outcome: { type: "string", enum: ["success", "bad_password", "unknown_user", "locked", "deactivated", "throttled", "all"] },
+      since: { type: "string", format: "date-time" },
+      ...PAGE_QUERY_PROPERTIES,
+    }
+  }
+}), async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const offset = (page - 1) * limit;
+  const { identifier, ip, outcome, since } = req.query;
+
+  const conditions = [];
+  const params = [];
+  if (!outcome) {
+    conditions.push("outcome <> 'success'");
+  } else if (outcome !== "all") {
+    conditions.push("outcome = ?");
+    params.push(outcome);
+  }
+  if (identifier) {
+    conditions.push("identifier = ?");
+    params.push(identifier);
+  }
+  if (ip) {
+    conditions.push("ip = ?");
+    params.push(ip);
+  }
+  if (since) {
+    conditions.push("created_at >= ?");
+    params.push(since);
+  }
+  const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+
+  const [[{ total }]] = await db.execute(`SELECT COUNT(*) AS total FROM login_attempts ${where}`, params);
+  const totalPages = Math.ceil(total / limit);
+
+  const [attempts] = await db.execute(
+    `SELECT id, subject_type, identifier, ip, user_agent, outcome, created_at
+     FROM login_attempts
+     ${where}
+     ORDER BY created_at DESC, id DESC
+     LIMIT ${limit} OFFSET ${offset}`,
+    params
+  );
+
+  res.json({
+    currentPage: page,
+    limit: limit,
+    totalPages: totalPages,
+    totalAttempts: total,
+    attempts: attempts
+  });
 });
 
 module.exports = router;
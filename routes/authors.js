@@ -1,7 +1,13 @@
 const express = require("express");
 const router = express.Router();
 const db = require("../db/connection");
-const auth = require("../middleware/auth");
+const { permit } = require("../middleware/auth");
+const { validate, validateId, PAGE_QUERY_PROPERTIES } = require("../middleware/validate");
+const withTransaction = require("../db/transaction");
+const { snapshot, recordAudit } = require("../services/audit");
+const { badRequest, notFound, conflict } = require("../utils/errors");
+
+router.param("id", validateId);
 
 /**
  * @swagger
@@ -10,10 +16,177 @@ const auth = require("../middleware/auth");
  *   description: Manage book authors
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Author:
+ *       type: object
+ *       required:
+ *         - full_name
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: Auto-generated ID
+ *         full_name:
+ *           type: string
+ *           description: Full name of the author
+ *         biography:
+ *           type: string
+ *           description: Short biography
+ *         nationality:
+ *           type: string
+ *           description: Nationality of the author
+ *         birth_year:
+ *           type: integer
+ *           description: Year the author was born
+ *         created_by:
+ *           type: integer
+ *           description: ID of the user who created the author
+ *       example:
+ *         full_name: "Robert C. Martin"
+ *         biography: "Software engineer and author"
+ *         nationality: "American"
+ *         birth_year: 1952
+ */
+
+/**
+ * @swagger
+ * /api/authors:
+ *   post:
+ *     summary: Create a new author
+ *     tags: [Authors]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AuthorInput'
+ *     responses:
+ *       201:
+ *         description: Author created successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post("/", permit("authors:write"), validate({ body: "AuthorInput" }), async (req, res) => {
+  const { full_name, biography, nationality, birth_year } = req.body;
+
+  const [result] = await db.execute(
+    "INSERT INTO authors (full_name, biography, nationality, birth_year, created_by) VALUES (?, ?, ?, ?, ?)",
+    [full_name, biography ?? null, nationality ?? null, birth_year ?? null, req.user.id]
+  );
+  await recordAudit(req, {
+    action: "create", entity: "author", entityId: result.insertId, after: await snapshot("authors", result.insertId)
+  });
+  res.status(201).json({ message: "Author created", id: result.insertId });
+});
+
 /**
  * @swagger
  * /api/authors:
  *   get:
+ *     summary: Get authors with pagination
+ *     tags: [Authors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *         description: Number of authors per page
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Filter authors by name
+ *     responses:
+ *       200:
+ *         description: List of authors with pagination
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 currentPage:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 10
+ *                 totalPages:
+ *                   type: integer
+ *                   example: 5
+ *                 totalAuthors:
+ *                   type: integer
+ *                   example: 50
+ *                 authors:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Author'
+ *                       - type: object
+ *                         properties:
+ *                           book_count:
+ *                             type: integer
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get("/", permit("catalog:read"), validate({
+  query: {
+    type: "object",
+    properties: {
+      search: { type: "string", maxLength: 150 },
+      ...PAGE_QUERY_PROPERTIES,
+    }
+  }
+}), async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const offset = (page - 1) * limit;
+  const { search } = req.query;
+
+  const where = search ? "WHERE authors.full_name LIKE ?" : "";
+  const params = search ? [`%${search}%`] : [];
+
+  const [[{ total }]] = await db.execute(`SELECT COUNT(*) AS total FROM authors ${where}`, params);
+  const totalPages = Math.ceil(total / limit);
+
+  const [authors] = await db.execute(
+    `SELECT
+      authors.id, authors.full_name, authors.biography, authors.nationality, authors.birth_year,
+      authors.created_by,
+      (SELECT COUNT(DISTINCT book_id) FROM book_authors WHERE book_authors.author_id = authors.id) AS book_count
+    FROM authors
+    ${where}
+    ORDER BY authors.full_name
+    LIMIT ${limit} OFFSET ${offset}`,
+    params
+  );
+
+  res.json({
+    currentPage: page,
+    limit: limit,
+    totalPages: totalPages,
+    totalAuthors: total,
+    authors: authors
+  });
+});
+
+/**
+ * @swagger
+ * /api/authors/options:
+ *   get:
  *     summary: Get all authors for selection
  *     tags: [Authors]
  *     security:
@@ -33,13 +206,186 @@ const auth = require("../middleware/auth");
  *                   full_name:
  *                     type: string
  */
-router.get("/", async (req, res) => {
-  try {
-    const [authors] = await db.execute("SELECT id, full_name FROM authors");
-    res.json(authors);
-  } catch (err) {
-    res.status(500).json({ error: "Something went wrong" });
+router.get("/options", async (req, res) => {
+  const [authors] = await db.execute("SELECT id, full_name FROM authors ORDER BY full_name");
+  res.json(authors);
+});
+
+/**
+ * @swagger
+ * /api/authors/{id}:
+ *   get:
+ *     summary: Get an author by ID
+ *     tags: [Authors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the author
+ *     responses:
+ *       200:
+ *         description: Author details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Author'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get("/:id", permit("catalog:read"), async (req, res) => {
+  const [authors] = await db.execute(
+    `SELECT
+      authors.id, authors.full_name, authors.biography, authors.nationality, authors.birth_year,
+      authors.created_by,
+      (SELECT COUNT(DISTINCT book_id) FROM book_authors WHERE book_authors.author_id = authors.id) AS book_count
+    FROM authors
+    WHERE authors.id = ?`,
+    [req.params.id]
+  );
+
+  if (authors.length === 0) throw notFound("Author not found");
+
+  res.json(authors[0]);
+});
+
+/**
+ * @swagger
+ * /api/authors/{id}:
+ *   put:
+ *     summary: Update an author by ID
+ *     tags: [Authors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the author to update
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AuthorInput'
+ *     responses:
+ *       200:
+ *         description: Author updated successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.put("/:id", permit("authors:write"), validate({ body: "AuthorInput" }), async (req, res) => {
+  const { full_name, biography, nationality, birth_year } = req.body;
+
+  const before = await snapshot("authors", req.params.id);
+  if (!before) throw notFound("Author not found");
+
+  await db.execute(
+    "UPDATE authors SET full_name = ?, biography = ?, nationality = ?, birth_year = ? WHERE id = ?",
+    [full_name, biography ?? null, nationality ?? null, birth_year ?? null, before.id]
+  );
+  await recordAudit(req, {
+    action: "update", entity: "author", entityId: before.id, before, after: await snapshot("authors", before.id)
+  });
+
+  res.json({ message: "Author updated successfully" });
+});
+
+/**
+ * @swagger
+ * /api/authors/{id}:
+ *   delete:
+ *     summary: Delete an author by ID
+ *     description: >
+ *       Refused with 409 while the author is still credited on books, unless
+ *       `reassign_to` names another author to credit in their place first.
+ *     tags: [Authors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the author to delete
+ *       - in: query
+ *         name: reassign_to
+ *         schema:
+ *           type: integer
+ *         description: Move the author's books to this author before deleting
+ *     responses:
+ *       200:
+ *         description: Author deleted successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Author still has books (code AUTHOR_HAS_BOOKS)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete("/:id", permit("authors:delete"), validate({
+  query: { type: "object", properties: { reassign_to: { type: "integer", minimum: 1 } } }
+}), async (req, res) => {
+  const authorId = parseInt(req.params.id);
+  const reassignTo = req.query.reassign_to ? parseInt(req.query.reassign_to) : null;
+
+  if (reassignTo === authorId) {
+    throw badRequest("Cannot reassign books to the author being deleted", "INVALID_REASSIGNMENT");
   }
+
+  const bookCount = await withTransaction(async (conn) => {
+    const [[author]] = await conn.execute("SELECT id FROM authors WHERE id = ? FOR UPDATE", [authorId]);
+    if (!author) throw notFound("Author not found");
+
+    const [[{ book_count }]] = await conn.execute(
+      "SELECT COUNT(DISTINCT book_id) AS book_count FROM book_authors WHERE author_id = ?",
+      [authorId]
+    );
+
+    if (book_count > 0) {
+      if (!reassignTo) {
+        throw conflict(
+          "Author still has books; pass reassign_to to move them to another author",
+          "AUTHOR_HAS_BOOKS",
+          { book_count }
+        );
+      }
+
+      const [[target]] = await conn.execute("SELECT id FROM authors WHERE id = ?", [reassignTo]);
+      if (!target) throw notFound("Author to reassign books to not found");
+
+      // A book that already credits the other author in the same role keeps that entry
+      await conn.execute(
+        `INSERT IGNORE INTO book_authors (book_id, author_id, role, position)
+         SELECT book_id, ?, role, position FROM book_authors WHERE author_id = ?`,
+        [reassignTo, authorId]
+      );
+      await conn.execute("DELETE FROM book_authors WHERE author_id = ?", [authorId]);
+      await recordAudit(req, {
+        action: "reassign_books", entity: "author", entityId: authorId,
+        after: { author_id: reassignTo, book_count }
+      }, conn);
+    }
+
+    const before = await snapshot("authors", authorId, conn);
+    await conn.execute("DELETE FROM authors WHERE id = ?", [authorId]);
+    await recordAudit(req, { action: "delete", entity: "author", entityId: authorId, before }, conn);
+    return book_count;
+  });
+
+  res.json({ message: "Author deleted successfully", reassigned_books: reassignTo ? bookCount : 0 });
 });
 
 module.exports = router;
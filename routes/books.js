@@ -1,8 +1,96 @@
 const express = require("express");
 const db = require("../db/connection");
-const auth = require("../middleware/auth");
+const { permit } = require("../middleware/auth");
+const { validate, validateId, PAGE_QUERY_PROPERTIES } = require("../middleware/validate");
+const { getDescendantIds } = require("../services/categories");
+const { STOCK_COLUMNS, COPY_COLUMNS, createCopy } = require("../services/copies");
+const { searchBooks, SORT_OPTIONS } = require("../services/bookSearch");
+const { AUTHOR_NAMES, authorsFromBody, setBookAuthors, loadBookAuthors, withAuthors } = require("../services/bookAuthors");
+const { snapshot, recordAudit } = require("../services/audit");
+const { archiveBook, restore } = require("../services/archive");
+const { lookupMetadata } = require("../services/metadata");
+const { toIsbn13 } = require("../utils/isbn");
+const { readSpreadsheet } = require("../services/spreadsheets");
+const { importBooks } = require("../services/imports");
+const { uploadFile } = require("../middleware/upload");
+const { HISTORY_QUERY_PROPERTIES, borrowHistoryPage } = require("../services/borrowHistory");
+const { sendCsv } = require("../utils/csv");
+const withTransaction = require("../db/transaction");
+const { AppError, notFound, conflict } = require("../utils/errors");
 const router = express.Router();
 
+router.param("id", validateId);
+
+// Rethrows a duplicate barcode as a 409 the client can act on
+const barcodeTaken = (err) => {
+  if (err.code === "ER_DUP_ENTRY" && err.message.includes("uq_copies_barcode")) {
+    throw conflict("A copy with this barcode already exists", "BARCODE_TAKEN");
+  }
+  throw err;
+};
+
+// Refuses an ISBN another book already has, naming that book so the client
+// can add copies to it instead
+const assertIsbnFree = async (isbn, bookId = null, conn = db) => {
+  if (!isbn) return;
+  const [[existing]] = await conn.execute("SELECT id FROM books WHERE isbn = ? AND id <> ?", [isbn, bookId ?? 0]);
+  if (existing) throw conflict("Another book already has this ISBN", "ISBN_TAKEN", { book_id: existing.id });
+};
+
+// Book details an update leaves alone unless the body includes them
+const OPTIONAL_FIELDS = [
+  "description", "isbn", "publisher", "edition", "published_year", "language", "category_id", "loan_days"
+];
+
+const ISBN_PARAM = { type: "object", properties: { isbn: { type: "string", format: "isbn" } } };
+
+// Audit snapshot of a book, with the people listed on it
+const bookSnapshot = async (id, conn = db) => {
+  const book = await snapshot("books", id, conn);
+  if (!book) return null;
+  return { ...book, authors: (await loadBookAuthors([book.id], conn)).get(book.id) };
+};
+
+// WHERE clause for the book list and export: books that are not archived,
+// narrowed down by the `category_id` and `author_id` query parameters
+const listFilter = async (query) => {
+  const categoryId = parseInt(query.category_id);
+  const authorId = parseInt(query.author_id);
+
+  let where = "WHERE books.deleted_at IS NULL";
+  let params = [];
+  if (categoryId) {
+    const categoryIds = await getDescendantIds(categoryId);
+    if (categoryIds.length === 0) throw notFound("Category not found");
+    where += ` AND books.category_id IN (${categoryIds.map(() => "?").join(", ")})`;
+    params = categoryIds;
+  }
+  if (authorId) {
+    where += " AND EXISTS (SELECT 1 FROM book_authors WHERE book_authors.book_id = books.id AND book_authors.author_id = ?)";
+    params.push(authorId);
+  }
+  return { where, params };
+};
+
+// Query parameters listFilter() reads, for validate()
+const LIST_FILTER_PROPERTIES = {
+  category_id: { type: "integer", minimum: 1 },
+  author_id: { type: "integer", minimum: 1 },
+};
+
+const BOOK_EXPORT_COLUMNS = [
+  "id", "title", "isbn", "authors", "description", "publisher", "edition", "published_year",
+  "language", "category", "category_id", "loan_days", "quantity", "available"
+].map((key) => ({ key, header: key }));
+
+const BOOK_DETAIL_COLUMNS = `
+  books.id, books.title, books.isbn, books.description, ${STOCK_COLUMNS}, books.loan_days,
+  books.publisher, books.edition, books.published_year, books.language,
+  ${AUTHOR_NAMES},
+  books.category_id, categories.name AS category,
+  books.created_by, books.deleted_at
+`;
+
 /**
  * @swagger
  * /api/books:
@@ -16,23 +104,64 @@ const router = express.Router();
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/Book'
+ *             $ref: '#/components/schemas/BookInput'
  *     responses:
  *       201:
- *         description: Book created successfully
+ *         description: Book created successfully, with its first copies
+ *       400:
+ *         description: Invalid fields, or unknown (UNKNOWN_AUTHORS) or repeated (DUPLICATE_AUTHOR) authors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: >
+ *           A barcode is already in use (BARCODE_TAKEN), or another book has
+ *           the ISBN (ISBN_TAKEN, with that book's id in `details.book_id`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.post("", auth(["liberian"]), async (req, res) => {
-  const { title, description, author_id, quantity, category_id } = req.body;
+router.post("", permit("books:write"), validate({ body: "BookInput" }), async (req, res) => {
+  const { title, description, quantity, category_id, loan_days } = req.body;
+  const { publisher, edition, published_year, language } = req.body;
+  const isbn = req.body.isbn ? toIsbn13(req.body.isbn) : null;
+  // Initial copies: explicit `copies`, or `quantity` copies with generated barcodes
+  const copies = req.body.copies || Array.from({ length: quantity || 0 }, () => ({}));
 
-  try {
-    await db.execute(
-      "INSERT INTO books (title, description, author_id, quantity, category_id, created_by) VALUES (?, ?, ?, ?, ?, ?)",
-      [title, description, author_id, quantity, category_id, req.user.id]
+  const { id, created } = await withTransaction(async (conn) => {
+    await assertIsbnFree(isbn, null, conn);
+    const [result] = await conn.execute(
+      `INSERT INTO books
+         (title, isbn, description, publisher, edition, published_year, language, category_id, loan_days, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        title, isbn, description ?? null, publisher ?? null, edition ?? null, published_year ?? null, language ?? null,
+        category_id ?? null, loan_days ?? null, req.user.id
+      ]
     );
-    res.status(201).json({ message: "Book created" });
-  } catch (err) {
-    res.status(500).json({ error: "Something went wrong" });
-  }
+    await setBookAuthors(result.insertId, authorsFromBody(req.body), conn);
+
+    const created = [];
+    for (const copy of copies) {
+      created.push(await createCopy({
+        bookId: result.insertId,
+        barcode: copy.barcode,
+        shelfLocation: copy.shelf_location,
+        condition: copy.condition,
+        createdBy: req.user.id
+      }, conn));
+    }
+
+    const book = await bookSnapshot(result.insertId, conn);
+    await recordAudit(req, {
+      action: "create", entity: "book", entityId: result.insertId, after: { ...book, copies: created }
+    }, conn);
+    return { id: result.insertId, created };
+  }).catch(barcodeTaken);
+
+  res.status(201).json({ message: "Book created", id, copies: created });
 });
 
 /**
@@ -43,10 +172,6 @@ router.post("", auth(["liberian"]), async (req, res) => {
  *       type: object
  *       required:
  *         - title
- *         - description
- *         - author_id
- *         - quantity
- *         - category_id
  *       properties:
  *         id:
  *           type: integer
@@ -54,28 +179,107 @@ router.post("", auth(["liberian"]), async (req, res) => {
  *         title:
  *           type: string
  *           description: Title of the book
+ *         isbn:
+ *           type: string
+ *           nullable: true
+ *           description: ISBN-13 without hyphens
  *         description:
  *           type: string
  *           description: Description of the book
- *         author_id:
+ *         publisher:
+ *           type: string
+ *           nullable: true
+ *         edition:
+ *           type: string
+ *           nullable: true
+ *         published_year:
  *           type: integer
- *           description: ID of the author
+ *           nullable: true
+ *         language:
+ *           type: string
+ *           nullable: true
+ *         authors:
+ *           type: array
+ *           description: Authors, editors and translators in the order they are credited
+ *           items:
+ *             $ref: '#/components/schemas/BookAuthor'
+ *         author_name:
+ *           type: string
+ *           nullable: true
+ *           description: Everyone in `authors` as one comma-separated string, for display
  *         category_id:
  *           type: integer
  *           description: ID of the category
  *         quantity:
  *           type: integer
- *           description: Available number of books
+ *           description: >
+ *             Copies available to lend. Derived from the book's copies and
+ *             read-only; on create, the number of copies to add when `copies`
+ *             is not given
+ *         total_copies:
+ *           type: integer
+ *           readOnly: true
+ *           description: Copies held by the library, excluding withdrawn ones
+ *         copies:
+ *           type: array
+ *           writeOnly: true
+ *           description: Copies to add when creating the book
+ *           items:
+ *             $ref: '#/components/schemas/CopyInput'
+ *         loan_days:
+ *           type: integer
+ *           nullable: true
+ *           description: Loan period for this book, overriding its category and the library default
  *         created_by:
  *           type: integer
  *           description: ID of the user who created the book
+ *         deleted_at:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           description: Set while the book is archived
  *       example:
  *         title: "Data Structures"
  *         description: "Intro to data structures"
- *         author_id: 1
+ *         authors:
+ *           - id: 1
+ *             full_name: "Robert Lafore"
+ *             role: author
+ *         author_name: "Robert Lafore"
  *         category_id: 3
  *         quantity: 5
  *         created_by: 1
+ *     BookAuthor:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         full_name:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [author, editor, translator]
+ *     Copy:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         book_id:
+ *           type: integer
+ *         barcode:
+ *           type: string
+ *         shelf_location:
+ *           type: string
+ *           nullable: true
+ *         condition:
+ *           type: string
+ *           enum: [new, good, fair, poor, damaged]
+ *         status:
+ *           type: string
+ *           enum: [available, on_loan, on_hold, withdrawn, lost]
+ *         withdrawn_reason:
+ *           type: string
+ *           nullable: true
  */
 
 
@@ -97,7 +301,18 @@ router.post("", auth(["liberian"]), async (req, res) => {
  *         schema:
  *           type: integer
  *           default: 10
+ *           maximum: 100
  *         description: Number of books per page
+ *       - in: query
+ *         name: category_id
+ *         schema:
+ *           type: integer
+ *         description: Only books in this category or any of its subcategories
+ *       - in: query
+ *         name: author_id
+ *         schema:
+ *           type: integer
+ *         description: Only books this author wrote, edited or translated
  *     security:
  *     - bearerAuth: []
  *     responses:
@@ -135,43 +350,53 @@ router.post("", auth(["liberian"]), async (req, res) => {
  *                         type: integer
  *                       author_name:
  *                         type: string
+ *                       authors:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/BookAuthor'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
  */
 
-router.get("", auth(["liberian"]), async (req, res) => {
+router.get("", permit("catalog:read"), validate({
+  query: {
+    type: "object",
+    properties: {
+      ...LIST_FILTER_PROPERTIES,
+      ...PAGE_QUERY_PROPERTIES,
+    }
+  }
+}), async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
   const offset = (page - 1) * limit;
-  const totalBooksQuery = "SELECT COUNT(*) AS total FROM books";
-  const [totalBooksResult] = await db.execute(totalBooksQuery);
+  const { where, params } = await listFilter(req.query);
+
+  const totalBooksQuery = `SELECT COUNT(*) AS total FROM books ${where}`;
+  const [totalBooksResult] = await db.execute(totalBooksQuery, params);
   const totalBooks = totalBooksResult[0].total;
   const totalPages = Math.ceil(totalBooks / limit);
 
   const query = `
     SELECT
-      books.id, books.title, books.description, books.quantity,
-      authors.full_name AS author_name,
+      books.id, books.title, books.isbn, books.description, ${STOCK_COLUMNS},
+      ${AUTHOR_NAMES},
       categories.name AS category,
       books.created_by
     FROM books
-    LEFT JOIN authors ON books.author_id = authors.id
     LEFT JOIN categories ON books.category_id = categories.id
+    ${where}
     LIMIT ${limit} OFFSET ${offset}
   `;
 
-
-  try {
-    const [books] = await db.execute(query);
-    res.json({
-      currentPage: page,
-      totalPages: totalPages,
-      totalBooks: totalBooks,
-      limit: limit,
-      books: books
-    });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: "Something went wrong" });
-  }
+  const [books] = await db.execute(query, params);
+  res.json({
+    currentPage: page,
+    totalPages: totalPages,
+    totalBooks: totalBooks,
+    limit: limit,
+    books: await withAuthors(books)
+  });
 });
 
 
@@ -179,50 +404,491 @@ router.get("", auth(["liberian"]), async (req, res) => {
  * @swagger
  * /api/books/search:
  *   get:
- *     summary: Search available books by title
+ *     summary: Search the catalogue
+ *     description: >
+ *       Matches `query` against title, description, author name and category
+ *       name, each word also as a prefix, and ranks the results by relevance
+ *       with title matches counting most. Words shorter than three letters are
+ *       not in the full-text index; a query made only of such words matches
+ *       titles and author names that contain it instead. Archived books are
+ *       left out. Without `query` the filters alone pick the books.
  *     tags: [Books]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
  *         name: query
+ *         schema:
+ *           type: string
+ *         description: Words to look for
+ *       - in: query
+ *         name: category_id
+ *         schema:
+ *           type: integer
+ *         description: Only books in this category or any of its subcategories
+ *       - in: query
+ *         name: author_id
+ *         schema:
+ *           type: integer
+ *         description: Only books this author wrote, edited or translated
+ *       - in: query
+ *         name: available
+ *         schema:
+ *           type: boolean
+ *         description: true for books with a copy on the shelf now, false for books without one
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [relevance, title, newest, oldest, available]
+ *         description: Defaults to relevance when there is a query and to title otherwise
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: One page of matching books, best match first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 currentPage:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 totalBooks:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 books:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       title:
+ *                         type: string
+ *                       description:
+ *                         type: string
+ *                       quantity:
+ *                         type: integer
+ *                       total_copies:
+ *                         type: integer
+ *                       author_name:
+ *                         type: string
+ *                       authors:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/BookAuthor'
+ *                       category_id:
+ *                         type: integer
+ *                       category:
+ *                         type: string
+ *                       created_at:
+ *                         type: string
+ *                         format: date-time
+ *                       relevance:
+ *                         type: number
+ *                         description: How well the book matches `query`; 0 without a query
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Category not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/search", permit("catalog:read"), validate({
+  query: {
+    type: "object",
+    properties: {
+      query: { type: "string", maxLength: 255 },
+      category_id: { type: "integer", minimum: 1 },
+      author_id: { type: "integer", minimum: 1 },
+      available: { type: "boolean" },
+      sort: { type: "string", enum: SORT_OPTIONS },
+      ...PAGE_QUERY_PROPERTIES,
+    }
+  }
+}), async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const offset = (page - 1) * limit;
+  const categoryId = parseInt(req.query.category_id);
+
+  let categoryIds;
+  if (categoryId) {
+    categoryIds = await getDescendantIds(categoryId);
+    if (categoryIds.length === 0) throw notFound("Category not found");
+  }
+
+  const { total, books } = await searchBooks({
+    query: req.query.query?.trim(),
+    categoryIds,
+    authorId: parseInt(req.query.author_id) || null,
+    available: req.query.available ? req.query.available === "true" : undefined,
+    sort: req.query.sort,
+    limit,
+    offset
+  });
+
+  res.json({
+    currentPage: page,
+    totalPages: Math.ceil(total / limit),
+    totalBooks: total,
+    limit: limit,
+    books: books
+  });
+});
+
+/**
+ * @swagger
+ * /api/books/isbn/{isbn}:
+ *   get:
+ *     summary: Find the book with an ISBN
+ *     description: >
+ *       ISBN-10 and ISBN-13 find the same book. Archived books are found too,
+ *       with `deleted_at` set, so a donated copy can be matched to its record.
+ *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: isbn
  *         required: true
  *         schema:
  *           type: string
- *         description: Book title to search
+ *         description: ISBN-10 or ISBN-13, hyphens allowed
  *     responses:
  *       200:
- *         description: List of matching available books
+ *         description: The book
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   id:
- *                     type: integer
- *                   title:
- *                     type: string
- *                   quantity:
- *                     type: integer
+ *               $ref: '#/components/schemas/Book'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
  */
-router.get("/search", auth(["liberian"]), async (req, res) => {
-  const { query } = req.query;
-  if (!query) return res.status(400).json({ message: "Missing query" });
+router.get("/isbn/:isbn", permit("catalog:read"), validate({ params: ISBN_PARAM }), async (req, res) => {
+  const [[book]] = await db.execute(
+    `SELECT ${BOOK_DETAIL_COLUMNS}
+    FROM books
+    LEFT JOIN categories ON books.category_id = categories.id
+    WHERE books.isbn = ?`, [toIsbn13(req.params.isbn)]
+  );
+  if (!book) throw notFound("No book has this ISBN");
 
-  try {
-    const [rows] = await db.execute(
-      `SELECT id, title, quantity
-       FROM books
-       WHERE quantity > 0 AND title LIKE '%${query}%'
-       LIMIT 10`
-    );
+  res.json((await withAuthors([book]))[0]);
+});
 
-    res.json(rows);
+/**
+ * @swagger
+ * /api/books/isbn/{isbn}/metadata:
+ *   get:
+ *     summary: Look an ISBN up with the metadata provider to prefill a new book
+ *     description: >
+ *       Asks the provider set by METADATA_PROVIDER (`fixture` or `openlibrary`)
+ *       for the edition's details. Each of `authors` carries the `id` of the
+ *       existing author with that name, and `book_id` is the book that already
+ *       has this ISBN; they are null when there is none. Nothing is saved.
+ *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: isbn
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ISBN-10 or ISBN-13, hyphens allowed
+ *     responses:
+ *       200:
+ *         description: What the provider knows about the edition
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 isbn:
+ *                   type: string
+ *                 title:
+ *                   type: string
+ *                 description:
+ *                   type: string
+ *                   nullable: true
+ *                 authors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       id:
+ *                         type: integer
+ *                         nullable: true
+ *                 publisher:
+ *                   type: string
+ *                   nullable: true
+ *                 edition:
+ *                   type: string
+ *                   nullable: true
+ *                 published_year:
+ *                   type: integer
+ *                   nullable: true
+ *                 language:
+ *                   type: string
+ *                   nullable: true
+ *                 book_id:
+ *                   type: integer
+ *                   nullable: true
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: The provider has no record of this ISBN (code METADATA_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       502:
+ *         description: The provider could not be reached (code METADATA_UNAVAILABLE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/isbn/:isbn/metadata", permit("books:write"), validate({ params: ISBN_PARAM }), async (req, res) => {
+  const isbn = toIsbn13(req.params.isbn);
+
+  let metadata;
+  try {
+    metadata = await lookupMetadata(isbn);
   } catch (err) {
-    res.status(500).json({ error: "Something went wrong" });
+    console.error(err);
+    throw new AppError(502, "METADATA_UNAVAILABLE", "The metadata provider could not be reached");
+  }
+  if (!metadata) throw notFound("No metadata found for this ISBN", "METADATA_NOT_FOUND");
+
+  const authors = [];
+  for (const name of metadata.authors || []) {
+    const [[author]] = await db.execute("SELECT id FROM authors WHERE full_name = ? LIMIT 1", [name]);
+    authors.push({ name, id: author ? author.id : null });
   }
+  const [[book]] = await db.execute("SELECT id FROM books WHERE isbn = ?", [isbn]);
+
+  res.json({
+    isbn,
+    title: metadata.title,
+    description: metadata.description ?? null,
+    authors,
+    publisher: metadata.publisher ?? null,
+    edition: metadata.edition ?? null,
+    published_year: metadata.published_year ?? null,
+    language: metadata.language ?? null,
+    book_id: book ? book.id : null
+  });
+});
+
+/**
+ * @swagger
+ * /api/books/import:
+ *   post:
+ *     summary: Import books from a CSV or XLSX file
+ *     description: >
+ *       The first row names the columns; see BookImportRow. Every row is
+ *       checked first; if any has a problem nothing is imported and the
+ *       problems come back by row. With `dry_run=true` the file is only
+ *       checked, and the report lists the authors that would be created.
+ *       An ISBN used twice in the file, or already in the catalogue, is an
+ *       error. Each book gets `quantity` copies with generated barcodes.
+ *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dry_run
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Check the file and report, without importing
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Dry run report, with `new_authors`
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ *       201:
+ *         description: Every row imported
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ *       400:
+ *         description: >
+ *           The file has errors (IMPORT_INVALID, with one detail per problem
+ *           and its `row`), is missing, empty or has too many rows
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       413:
+ *         description: File too large (code FILE_TOO_LARGE)
+ *       415:
+ *         description: Not a .csv or .xlsx file (code UNSUPPORTED_FILE_TYPE)
+ */
+router.post("/import", permit("books:write"), uploadFile(), validate({
+  query: { type: "object", properties: { dry_run: { type: "boolean" } } }
+}), async (req, res) => {
+  const dryRun = req.query.dry_run === "true";
+  const rows = await readSpreadsheet(req.file);
+
+  const result = await importBooks(req, rows, { dryRun });
+  res.status(dryRun ? 200 : 201).json(result);
+});
+
+/**
+ * @swagger
+ * /api/books/export:
+ *   get:
+ *     summary: Download the catalogue as CSV
+ *     description: >
+ *       Archived books are left out. The columns are the ones
+ *       /api/books/import reads, so the file can be edited and imported
+ *       elsewhere; `quantity` is the number of copies in circulation and
+ *       `available` how many of them are on the shelf.
+ *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: category_id
+ *         schema:
+ *           type: integer
+ *         description: Only books in this category or any of its subcategories
+ *       - in: query
+ *         name: author_id
+ *         schema:
+ *           type: integer
+ *         description: Only books this author wrote, edited or translated
+ *     responses:
+ *       200:
+ *         description: books.csv
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get("/export", permit("catalog:read"), validate({
+  query: { type: "object", properties: LIST_FILTER_PROPERTIES }
+}), async (req, res) => {
+  const { where, params } = await listFilter(req.query);
+
+  const [books] = await db.execute(
+    `SELECT
+      books.id, books.title, books.isbn, books.description, books.publisher, books.edition,
+      books.published_year, books.language, books.category_id, categories.name AS category,
+      books.loan_days, ${STOCK_COLUMNS}
+    FROM books
+    LEFT JOIN categories ON books.category_id = categories.id
+    ${where}
+    ORDER BY books.title, books.id`,
+    params
+  );
+
+  const rows = (await withAuthors(books)).map(({ quantity, total_copies, authors, ...book }) => ({
+    ...book,
+    authors: authors.filter((author) => author.role === "author").map((author) => author.full_name).join("; "),
+    quantity: total_copies,
+    available: quantity,
+  }));
+  sendCsv(res, "books.csv", BOOK_EXPORT_COLUMNS, rows);
+});
+
+/**
+ * @swagger
+ * /api/books/archived:
+ *   get:
+ *     summary: Get archived books with pagination
+ *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *         description: Number of books per page
+ *     responses:
+ *       200:
+ *         description: Archived books, most recently archived first
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get("/archived", permit("catalog:read"), validate({ query: { type: "object", properties: PAGE_QUERY_PROPERTIES } }), async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const offset = (page - 1) * limit;
+
+  const [[{ total }]] = await db.execute("SELECT COUNT(*) AS total FROM books WHERE deleted_at IS NOT NULL");
+  const totalPages = Math.ceil(total / limit);
+
+  const [books] = await db.execute(
+    `SELECT
+      books.id, books.title, books.description,
+      ${AUTHOR_NAMES},
+      categories.name AS category,
+      books.deleted_at, books.deleted_by
+    FROM books
+    LEFT JOIN categories ON books.category_id = categories.id
+    WHERE books.deleted_at IS NOT NULL
+    ORDER BY books.deleted_at DESC
+    LIMIT ${limit} OFFSET ${offset}`
+  );
+
+  res.json({
+    currentPage: page,
+    totalPages: totalPages,
+    totalBooks: total,
+    limit: limit,
+    books: books
+  });
 });
 
 /**
@@ -245,32 +911,22 @@ router.get("/search", auth(["liberian"]), async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Book'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
  */
-router.get("/:id", auth(["liberian"]), async (req, res) => {
+router.get("/:id", permit("catalog:read"), async (req, res) => {
   const bookId = req.params.id;
 
-  try {
-    const [book] = await db.execute(
-      `SELECT
-        books.id, books.title, books.description, books.quantity,
-        authors.full_name AS author_name,
-        categories.name AS category,
-        books.created_by
-      FROM books
-      LEFT JOIN authors ON books.author_id = authors.id
-      LEFT JOIN categories ON books.category_id = categories.id
-      WHERE books.id = ?`, [bookId]
-    );
+  const [book] = await db.execute(
+    `SELECT ${BOOK_DETAIL_COLUMNS}
+    FROM books
+    LEFT JOIN categories ON books.category_id = categories.id
+    WHERE books.id = ?`, [bookId]
+  );
 
-    if (book.length === 0) {
-      return res.status(404).json({ error: "Book not found" });
-    }
+  if (book.length === 0) throw notFound("Book not found");
 
-    res.json(book[0]);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: "Something went wrong" });
-  }
+  res.json((await withAuthors(book))[0]);
 }
 );
 
@@ -279,6 +935,13 @@ router.get("/:id", auth(["liberian"]), async (req, res) => {
  * /api/books/{id}:
  *   put:
  *     summary: Update a book by ID
+ *     description: >
+ *       Sets the book's title. Every other detail (`description`, `isbn`,
+ *       `publisher`, `edition`, `published_year`, `language`, `category_id`
+ *       and `loan_days`) is only changed when given; send null to clear one.
+ *       The people listed on the book are replaced when `authors` or
+ *       `author_id` is given and kept otherwise. Stock is managed through the
+ *       book's copies; `quantity` is ignored.
  *     tags: [Books]
  *     parameters:
  *       - in: path
@@ -292,30 +955,52 @@ router.get("/:id", auth(["liberian"]), async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/Book'
+ *             $ref: '#/components/schemas/BookInput'
  *     responses:
  *       200:
  *         description: Book updated successfully
+ *       400:
+ *         description: Invalid fields, or unknown (UNKNOWN_AUTHORS) or repeated (DUPLICATE_AUTHOR) authors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Book is archived (BOOK_ARCHIVED), or another book has the ISBN (ISBN_TAKEN)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.put("/:id", auth(["liberian"]), async (req, res) => {
+router.put("/:id", permit("books:write"), validate({ body: "BookInput" }), async (req, res) => {
   const bookId = req.params.id;
-  const { title, description, author_id, quantity, category_id } = req.body;
+  const details = Object.fromEntries(
+    OPTIONAL_FIELDS.filter((field) => req.body[field] !== undefined).map((field) => [field, req.body[field]])
+  );
+  if (details.isbn !== undefined) details.isbn = details.isbn ? toIsbn13(details.isbn) : null;
 
-  try {
-    const [result] = await db.execute(
-      `UPDATE books SET title = ?, description = ?, author_id = ?, quantity = ?, category_id = ? WHERE id = ?`,
-      [title, description, author_id, quantity, category_id, bookId]
-    );
+  const before = await bookSnapshot(bookId);
+  if (!before) throw notFound("Book not found");
+  if (before.deleted_at) throw conflict("Book is archived; restore it before editing", "BOOK_ARCHIVED");
+  await assertIsbnFree(details.isbn, before.id);
 
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ error: "Book not found" });
+  const fields = { title: req.body.title, ...details };
+  await withTransaction(async (conn) => {
+    await conn.execute(
+      `UPDATE books SET ${Object.keys(fields).map((field) => `${field} = ?`).join(", ")} WHERE id = ?`,
+      [...Object.values(fields), before.id]
+    );
+    if (req.body.authors !== undefined || req.body.author_id !== undefined) {
+      await setBookAuthors(before.id, authorsFromBody(req.body), conn);
     }
+    await recordAudit(req, {
+      action: "update", entity: "book", entityId: before.id, before, after: await bookSnapshot(before.id, conn)
+    }, conn);
+  });
 
-    res.json({ message: "Book updated successfully" });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: "Something went wrong" });
-  }
+  res.json({ message: "Book updated successfully" });
 }
 );
 
@@ -323,7 +1008,11 @@ router.put("/:id", auth(["liberian"]), async (req, res) => {
  * @swagger
  * /api/books/{id}:
  *   delete:
- *     summary: Delete a book by ID
+ *     summary: Archive a book
+ *     description: >
+ *       The book is hidden from listings, search and lending but kept, with its
+ *       copies and loan history, and can be restored. Refused while a copy is
+ *       on loan. Holds on the book are cancelled.
  *     tags: [Books]
  *     parameters:
  *       - in: path
@@ -331,27 +1020,234 @@ router.put("/:id", auth(["liberian"]), async (req, res) => {
  *         required: true
  *         schema:
  *           type: integer
- *         description: The ID of the book to delete
+ *         description: The ID of the book to archive
  *     responses:
  *       200:
- *         description: Book deleted successfully
+ *         description: Book archived
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Book has copies on loan (BOOK_ON_LOAN) or is already archived (ALREADY_ARCHIVED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.delete("/:id", auth(["liberian"]), async (req, res) => {
-  const bookId = req.params.id;
+router.delete("/:id", permit("books:delete"), async (req, res) => {
+  const outcome = await withTransaction(async (conn) => {
+    const before = await snapshot("books", req.params.id, conn);
+    const result = await archiveBook(req.params.id, req.user.id, conn);
+    if (result.cancelledHolds !== undefined) {
+      await recordAudit(req, {
+        action: "archive", entity: "book", entityId: before.id, before, after: await snapshot("books", before.id, conn)
+      }, conn);
+    }
+    return result;
+  });
 
-  try {
-    const [result] = await db.execute("DELETE FROM books WHERE id = ?", [bookId]);
+  if (outcome.notFound) throw notFound("Book not found");
+  if (outcome.alreadyArchived) throw conflict("Book is already archived", "ALREADY_ARCHIVED");
+  if (outcome.activeLoans) {
+    throw conflict("Book has copies on loan; check them in before archiving", "BOOK_ON_LOAN", {
+      active_loans: outcome.activeLoans
+    });
+  }
 
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ error: "Book not found" });
+  res.json({ message: "Book archived successfully", cancelled_holds: outcome.cancelledHolds });
+});
+
+/**
+ * @swagger
+ * /api/books/{id}/restore:
+ *   post:
+ *     summary: Restore an archived book
+ *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Book ID
+ *     responses:
+ *       200:
+ *         description: Book restored
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Book is not archived (code NOT_ARCHIVED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/:id/restore", permit("books:delete"), async (req, res) => {
+  const outcome = await withTransaction(async (conn) => {
+    const before = await snapshot("books", req.params.id, conn);
+    const result = await restore("book", req.params.id, conn);
+    if (!result.notFound && !result.notArchived) {
+      await recordAudit(req, {
+        action: "restore", entity: "book", entityId: before.id, before, after: await snapshot("books", before.id, conn)
+      }, conn);
     }
+    return result;
+  });
 
-    res.json({ message: "Book deleted successfully" });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: "Failed to delete book" });
-  }
-}
-);
+  if (outcome.notFound) throw notFound("Book not found");
+  if (outcome.notArchived) throw conflict("Book is not archived", "NOT_ARCHIVED");
+
+  res.json({ message: "Book restored" });
+});
+
+/**
+ * @swagger
+ * /api/books/{id}/copies:
+ *   get:
+ *     summary: Get the copies of a book
+ *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the book
+ *       - in: query
+ *         name: include_withdrawn
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also list copies that have been withdrawn
+ *     responses:
+ *       200:
+ *         description: Copies of the book
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Copy'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get("/:id/copies", permit("catalog:read"), validate({
+  query: { type: "object", properties: { include_withdrawn: { type: "boolean" } } }
+}), async (req, res) => {
+  const includeWithdrawn = req.query.include_withdrawn === "true";
+
+  const [[book]] = await db.execute("SELECT id FROM books WHERE id = ?", [req.params.id]);
+  if (!book) throw notFound("Book not found");
+
+  const [copies] = await db.execute(
+    `SELECT ${COPY_COLUMNS}
+     FROM copies
+     WHERE copies.book_id = ? ${includeWithdrawn ? "" : "AND copies.status <> 'withdrawn'"}
+     ORDER BY copies.id`,
+    [book.id]
+  );
+  res.json(copies);
+});
+
+/**
+ * @swagger
+ * /api/books/{id}/borrows:
+ *   get:
+ *     summary: Get a book's loan history
+ *     description: Same filters and paginated shape as GET /api/borrows.
+ *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - $ref: '#/components/parameters/BorrowStatus'
+ *       - $ref: '#/components/parameters/BorrowFrom'
+ *       - $ref: '#/components/parameters/BorrowTo'
+ *       - $ref: '#/components/parameters/BorrowClass'
+ *       - $ref: '#/components/parameters/BorrowSort'
+ *       - $ref: '#/components/parameters/BorrowPage'
+ *       - $ref: '#/components/parameters/BorrowLimit'
+ *     responses:
+ *       200:
+ *         description: Borrow records with pagination, newest first by default
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BorrowPage'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get("/:id/borrows", permit("borrows:read"), validate({
+  query: { type: "object", properties: HISTORY_QUERY_PROPERTIES }
+}), async (req, res) => {
+  const [[book]] = await db.execute("SELECT id FROM books WHERE id = ?", [req.params.id]);
+  if (!book) throw notFound("Book not found");
+
+  res.json(await borrowHistoryPage(req.query, { bookId: book.id }));
+});
+
+/**
+ * @swagger
+ * /api/books/{id}/copies:
+ *   post:
+ *     summary: Add a copy of a book
+ *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the book
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CopyInput'
+ *     responses:
+ *       201:
+ *         description: Copy added
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Book is archived (BOOK_ARCHIVED) or the barcode is in use (BARCODE_TAKEN)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/:id/copies", permit("books:write"), validate({ body: "CopyInput" }), async (req, res) => {
+  const { barcode, shelf_location, condition } = req.body || {};
+
+  const [[book]] = await db.execute("SELECT id, deleted_at FROM books WHERE id = ?", [req.params.id]);
+  if (!book) throw notFound("Book not found");
+  if (book.deleted_at) throw conflict("Book is archived; restore it before adding copies", "BOOK_ARCHIVED");
+
+  const copy = await createCopy({
+    bookId: book.id,
+    barcode,
+    shelfLocation: shelf_location,
+    condition,
+    createdBy: req.user.id
+  }).catch(barcodeTaken);
+  await recordAudit(req, { action: "create", entity: "copy", entityId: copy.id, after: await snapshot("copies", copy.id) });
+  res.status(201).json({ message: "Copy added", ...copy });
+});
 
 module.exports = router;
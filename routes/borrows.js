@@ -1,7 +1,86 @@
 const express = require("express");
 const router = express.Router();
 const db = require("../db/connection");
-const auth = require("../middleware/auth");
+const { permit } = require("../middleware/auth");
+const { validate, validateId, PAGE_QUERY_PROPERTIES } = require("../middleware/validate");
+const withTransaction = require("../db/transaction");
+const { getLoanDays, planCheckout, checkout, checkin } = require("../services/loans");
+const { expireHolds } = require("../services/holds");
+const { snapshot, recordAudit } = require("../services/audit");
+const { loadLoan, receiptPdf, loadOverdueLoans, overdueNoticesPdf } = require("../services/documents");
+const { findStudentByIdCard, resolveItem, findActiveLoan, loanSummary } = require("../services/scans");
+const { HISTORY_QUERY_PROPERTIES, borrowHistoryPage } = require("../services/borrowHistory");
+const { sendPdf } = require("../utils/pdf");
+const { loans } = require("../config/library");
+const { badRequest, forbidden, notFound, conflict } = require("../utils/errors");
+
+router.param("id", validateId);
+
+// Copy lookup, rule checks, the copy status change and the borrow insert
+// commit together, with the copy row locked against concurrent checkouts
+const lend = (req, input) => withTransaction(async (conn) => {
+  const outcome = await checkout(input, req.user.id, conn);
+  if (outcome.borrow) {
+    await recordAudit(req, {
+      action: "checkout", entity: "borrow", entityId: outcome.borrow.id,
+      after: await snapshot("borrows", outcome.borrow.id, conn)
+    }, conn);
+  }
+  return outcome;
+});
+
+// The return stamp, the copy going back (or to a hold) and any fine commit together
+const takeBack = (req, id) => withTransaction(async (conn) => {
+  const before = await snapshot("borrows", id, conn);
+  const copyBefore = before && await snapshot("copies", before.copy_id, conn);
+  const outcome = await checkin(id, conn);
+  if (!outcome.error) {
+    const after = await snapshot("borrows", id, conn);
+    await recordAudit(req, {
+      action: "return", entity: "borrow", entityId: id, before, after: { ...after, fine: outcome.fine, hold: outcome.hold }
+    }, conn);
+  }
+  if (outcome.found) {
+    await recordAudit(req, {
+      action: "mark_found", entity: "copy", entityId: copyBefore.id,
+      before: copyBefore, after: await snapshot("copies", copyBefore.id, conn)
+    }, conn);
+  }
+  return outcome;
+});
+
+// Turns a checkout that did not go through into its error response
+const refuseCheckout = (error, reasons) => {
+  if (error) throw notFound(error);
+  if (reasons.length > 0) {
+    if (reasons[0].code === "STUDENT_NOT_FOUND") throw notFound(reasons[0].message);
+    throw forbidden(reasons[0].message, "CHECKOUT_REFUSED", reasons);
+  }
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CheckoutRefusalReason:
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: string
+ *           enum: [STUDENT_NOT_FOUND, STUDENT_SUSPENDED, LOAN_LIMIT_REACHED, DUPLICATE_LOAN, FINES_OUTSTANDING, OUT_OF_STOCK, COPY_UNAVAILABLE, ITEM_NOT_FOUND]
+ *         message:
+ *           type: string
+ *     CheckoutRefusal:
+ *       description: An Error with code CHECKOUT_REFUSED whose `error` is the first reason's message
+ *       allOf:
+ *         - $ref: '#/components/schemas/Error'
+ *         - type: object
+ *           properties:
+ *             details:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CheckoutRefusalReason'
+ */
 
 /**
  * @swagger
@@ -15,6 +94,11 @@ const auth = require("../middleware/auth");
  * /api/borrows:
  *   post:
  *     summary: Borrow a book
+ *     description: >
+ *       Lends the copy given by `copy_id` or `barcode`, or else any copy of
+ *       `book_id` on the shelf. A student whose hold on the book is ready for
+ *       pickup takes the copy set aside for them, even when the book is
+ *       otherwise out of stock.
  *     tags: [Borrows]
  *     security:
  *       - bearerAuth: []
@@ -23,53 +107,358 @@ const auth = require("../middleware/auth");
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               student_id:
- *                 type: integer
- *               book_id:
- *                 type: integer
+ *             $ref: '#/components/schemas/CheckoutInput'
  *     responses:
  *       200:
- *         description: Borrow record created
+ *         description: >
+ *           Borrow record created with its due date. GET
+ *           /api/borrows/{id}/receipt prints the receipt.
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: Checkout refused by one or more borrowing rules
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CheckoutRefusal'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
  */
-router.post("/", auth(["liberian"]), async (req, res) => {
-  const { student_id, book_id } = req.body;
-  const created_by = req.user.id;
-
-  try {
-    // 1. Check if the book exists and has quantity > 0
-    const [[book]] = await db.execute(
-      "SELECT quantity FROM books WHERE id = ?",
-      [book_id]
-    );
-
-    if (!book) {
-      return res.status(404).json({ message: "Book not found" });
-    }
+router.post("/", permit("borrows:checkout"), validate({ body: "CheckoutInput" }), async (req, res) => {
+  const { error, reasons, borrow } = await lend(req, req.body);
+  refuseCheckout(error, reasons);
 
-    if (book.quantity <= 0) {
-      return res.status(400).json({ message: "Book is out of stock" });
-    }
+  res.status(200).json({ message: "Book borrowed successfully", id: borrow.id, copy_id: borrow.copy_id, due_date: borrow.due_date });
+});
+
+/**
+ * @swagger
+ * /api/borrows/eligibility:
+ *   get:
+ *     summary: Check whether a student may borrow a book without borrowing it
+ *     tags: [Borrows]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: student_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: book_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: barcode
+ *         schema:
+ *           type: string
+ *         description: Check a specific copy instead of any copy of book_id
+ *     responses:
+ *       200:
+ *         description: Whether checkout would succeed and, if not, why
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 eligible:
+ *                   type: boolean
+ *                 reasons:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CheckoutRefusalReason'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get("/eligibility", permit("borrows:read"), validate({
+  query: {
+    type: "object",
+    required: ["student_id"],
+    properties: {
+      student_id: { type: "integer", minimum: 1 },
+      book_id: { type: "integer", minimum: 1 },
+      barcode: { type: "string", maxLength: 64 }
+    },
+    anyOf: [{ required: ["book_id"] }, { required: ["barcode"] }]
+  }
+}), async (req, res) => {
+  const { student_id, book_id, barcode } = req.query;
+
+  await withTransaction(expireHolds);
+
+  const { error, reasons } = await planCheckout({ student_id, book_id, barcode });
+  if (error) throw notFound(error);
+
+  res.json({ eligible: reasons.length === 0, reasons });
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ScannedStudent:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         full_name:
+ *           type: string
+ *         id_card:
+ *           type: string
+ *         class:
+ *           type: string
+ *           nullable: true
+ *     ScannedLoan:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: Borrow record ID
+ *         copy_id:
+ *           type: integer
+ *         barcode:
+ *           type: string
+ *         book_id:
+ *           type: integer
+ *         title:
+ *           type: string
+ *         due_date:
+ *           type: string
+ *           format: date-time
+ */
+
+const STUDENT_NOT_FOUND = "No student has this ID card";
+const ITEM_NOT_FOUND = "No copy or book has this barcode";
 
-    // 2. Insert borrow record
-    await db.execute(
-      "INSERT INTO borrows (student_id, book_id, created_by) VALUES (?, ?, ?)",
-      [student_id, book_id, created_by]
-    );
+/**
+ * @swagger
+ * /api/borrows/scan/checkout:
+ *   post:
+ *     summary: Lend a book by scanning the student's card and the book
+ *     description: >
+ *       `barcode` is a copy's barcode, which lends that copy, or the book's
+ *       ISBN, which lends any copy on the shelf (or the one set aside for
+ *       the student's hold). The same borrowing rules as POST /api/borrows
+ *       apply.
+ *     tags: [Borrows]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ScanCheckoutInput'
+ *     responses:
+ *       200:
+ *         description: Book borrowed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 student:
+ *                   $ref: '#/components/schemas/ScannedStudent'
+ *                 borrow:
+ *                   $ref: '#/components/schemas/ScannedLoan'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: Checkout refused by one or more borrowing rules
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CheckoutRefusal'
+ *       404:
+ *         description: Unknown ID card (code STUDENT_NOT_FOUND) or barcode (code ITEM_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/scan/checkout", permit("borrows:checkout"), validate({ body: "ScanCheckoutInput" }), async (req, res) => {
+  const student = await findStudentByIdCard(req.body.id_card);
+  if (!student) throw notFound(STUDENT_NOT_FOUND, "STUDENT_NOT_FOUND");
+  const item = await resolveItem(req.body.barcode);
+  if (!item) throw notFound(ITEM_NOT_FOUND, "ITEM_NOT_FOUND");
 
-    // 3. Decrease book quantity by 1
-    await db.execute(
-      "UPDATE books SET quantity = quantity - 1 WHERE id = ?",
-      [book_id]
-    );
+  const { error, reasons, borrow } = await lend(req, { student_id: student.id, ...item });
+  refuseCheckout(error, reasons);
 
-    res.status(200).json({ message: "Book borrowed successfully" });
+  res.status(200).json({ message: "Book borrowed successfully", student, borrow: await loanSummary(borrow.id) });
+});
 
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: "Something went wrong" });
+/**
+ * @swagger
+ * /api/borrows/scan/return:
+ *   post:
+ *     summary: Take a book back by scanning it
+ *     description: >
+ *       Scanning the copy's barcode is enough. A book scanned by ISBN needs
+ *       the student's card too, and closes their oldest loan of that book.
+ *       When `id_card` is given with a copy barcode, the copy must be lent
+ *       to that student.
+ *     tags: [Borrows]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ScanReturnInput'
+ *     responses:
+ *       200:
+ *         description: >
+ *           Book returned, with the fine charged if it came back late and the
+ *           hold the copy was set aside for, if any student was waiting
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 borrow:
+ *                   $ref: '#/components/schemas/ScannedLoan'
+ *                 fine:
+ *                   type: object
+ *                   nullable: true
+ *                 hold:
+ *                   type: object
+ *                   nullable: true
+ *       400:
+ *         description: >
+ *           Invalid input, an ISBN without `id_card` (code ID_CARD_REQUIRED) or
+ *           an item that is not on loan (code LOAN_NOT_ACTIVE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Unknown ID card (code STUDENT_NOT_FOUND) or barcode (code ITEM_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The copy is lent to a different student (code LOANED_TO_ANOTHER_STUDENT)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/scan/return", permit("borrows:return"), validate({ body: "ScanReturnInput" }), async (req, res) => {
+  const item = await resolveItem(req.body.barcode);
+  if (!item) throw notFound(ITEM_NOT_FOUND, "ITEM_NOT_FOUND");
+
+  let student = null;
+  if (req.body.id_card) {
+    student = await findStudentByIdCard(req.body.id_card);
+    if (!student) throw notFound(STUDENT_NOT_FOUND, "STUDENT_NOT_FOUND");
+  } else if (item.book_id) {
+    throw badRequest("Scan the copy's own barcode, or the student's card too, to return by ISBN", "ID_CARD_REQUIRED");
   }
+
+  const loan = await findActiveLoan(item, student && student.id);
+  if (!loan) throw badRequest("This item is not on loan", "LOAN_NOT_ACTIVE");
+  if (student && loan.student_id !== student.id) {
+    throw conflict("This copy is lent to another student", "LOANED_TO_ANOTHER_STUDENT");
+  }
+
+  const { error, fine, hold } = await takeBack(req, loan.id);
+  if (error) throw badRequest(error, "LOAN_NOT_ACTIVE");
+
+  res.json({ message: "Book returned successfully", borrow: await loanSummary(loan.id), fine, hold });
+});
+
+/**
+ * @swagger
+ * /api/borrows/scan/session:
+ *   post:
+ *     summary: Lend several books to one student in one go
+ *     description: >
+ *       The desk scans the student's card, then each item, and sends them
+ *       together. Items are lent one after the other, in order, under the
+ *       same rules as POST /api/borrows, so an item refused (for example once
+ *       the loan limit is reached) does not stop the others. The response
+ *       reports every item.
+ *     tags: [Borrows]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ScanSessionInput'
+ *     responses:
+ *       200:
+ *         description: What happened to each item
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 student:
+ *                   $ref: '#/components/schemas/ScannedStudent'
+ *                 borrowed:
+ *                   type: integer
+ *                 refused:
+ *                   type: integer
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       barcode:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                         enum: [borrowed, refused]
+ *                       borrow:
+ *                         $ref: '#/components/schemas/ScannedLoan'
+ *                       reasons:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/CheckoutRefusalReason'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Unknown ID card (code STUDENT_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/scan/session", permit("borrows:checkout"), validate({ body: "ScanSessionInput" }), async (req, res) => {
+  const student = await findStudentByIdCard(req.body.id_card);
+  if (!student) throw notFound(STUDENT_NOT_FOUND, "STUDENT_NOT_FOUND");
+
+  // One transaction per item, so each sees the loans lent before it
+  const items = [];
+  for (const barcode of req.body.barcodes) {
+    const item = await resolveItem(barcode);
+    const { error, reasons, borrow } = item
+      ? await lend(req, { student_id: student.id, ...item })
+      : { error: ITEM_NOT_FOUND };
+
+    if (error) {
+      items.push({ barcode, status: "refused", reasons: [{ code: "ITEM_NOT_FOUND", message: error }] });
+    } else if (reasons.length > 0) {
+      items.push({ barcode, status: "refused", reasons });
+    } else {
+      items.push({ barcode, status: "borrowed", borrow: await loanSummary(borrow.id) });
+    }
+  }
+
+  const borrowed = items.filter((item) => item.status === "borrowed").length;
+  res.json({ student, borrowed, refused: items.length - borrowed, items });
 });
 
 /**
@@ -89,31 +478,118 @@ router.post("/", auth(["liberian"]), async (req, res) => {
  *         description: Borrow record ID
  *     responses:
  *       200:
- *         description: Book returned
+ *         description: >
+ *           Book returned, with the fine charged if it came back late and the
+ *           hold the copy was set aside for, if any student was waiting.
+ *           A copy that had been marked lost goes back into circulation.
+ *           GET /api/borrows/{id}/receipt prints the return receipt.
+ *       400:
+ *         description: Borrow record not found or already returned (code LOAN_NOT_ACTIVE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.put("/:id/return", auth(["liberian"]), async (req, res) => {
-  const { id } = req.params;
+router.put("/:id/return", permit("borrows:return"), async (req, res) => {
+  const { error, fine, hold } = await takeBack(req, req.params.id);
+  if (error) throw badRequest(error, "LOAN_NOT_ACTIVE");
+
+  res.json({ message: "Book returned successfully", fine, hold });
+});
 
-  try {
-    const [rows] = await db.execute("SELECT * FROM borrows WHERE id = ? AND return_date IS NULL", [id]);
-    if (rows.length === 0) return res.status(400).json({ message: "Borrow record not found or already returned" });
+/**
+ * @swagger
+ * /api/borrows/{id}/renew:
+ *   put:
+ *     summary: Renew a loan for another loan period
+ *     description: >
+ *       Extends the due date by the book's loan period. Refused once the loan
+ *       has been renewed the maximum number of times, is already overdue, its
+ *       copy was reported lost, or other students are waiting for the book.
+ *     tags: [Borrows]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Borrow record ID
+ *     responses:
+ *       200:
+ *         description: Loan renewed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 due_date:
+ *                   type: string
+ *                   format: date-time
+ *                 renew_count:
+ *                   type: integer
+ *       400:
+ *         description: >
+ *           Loan cannot be renewed: LOAN_NOT_ACTIVE, LOAN_LOST,
+ *           RENEWAL_LIMIT_REACHED, LOAN_OVERDUE or HOLDS_WAITING
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Loan was renewed, returned or reported lost by a concurrent request (code CONCURRENT_UPDATE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put("/:id/renew", permit("borrows:checkout"), async (req, res) => {
+  const { id } = req.params;
 
-    await db.execute("UPDATE borrows SET return_date = NOW() WHERE id = ?", [id]);
-    const book_id = rows[0].book_id;
+  const [[borrow]] = await db.execute(
+    `SELECT id, book_id, renew_count, due_date < NOW() AS is_overdue, lost_at IS NOT NULL AS is_lost
+     FROM borrows WHERE id = ? AND return_date IS NULL`,
+    [id]
+  );
+  if (!borrow) throw badRequest("Borrow record not found or already returned", "LOAN_NOT_ACTIVE");
+  if (borrow.is_lost) throw badRequest("The copy on this loan was reported lost", "LOAN_LOST");
 
-    // Increment the book quantity
-    await db.execute("UPDATE books SET quantity = quantity + 1 WHERE id = ?", [book_id]);
-    res.json({ message: "Book returned successfully" });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+  if (borrow.renew_count >= loans.maxRenewals) {
+    throw badRequest(`Loan has already been renewed ${loans.maxRenewals} times`, "RENEWAL_LIMIT_REACHED");
   }
+  if (borrow.is_overdue) throw badRequest("Overdue loans cannot be renewed", "LOAN_OVERDUE");
+
+  const [[{ waiting }]] = await db.execute(
+    "SELECT COUNT(*) AS waiting FROM holds WHERE book_id = ? AND status = 'waiting'",
+    [borrow.book_id]
+  );
+  if (waiting > 0) throw badRequest("Other students are waiting for this book", "HOLDS_WAITING", { waiting });
+
+  const before = await snapshot("borrows", id);
+  const loanDays = await getLoanDays(borrow.book_id);
+  // Conditional on the renew_count read above, so two renewals at once cannot both apply
+  const [result] = await db.execute(
+    `UPDATE borrows SET due_date = DATE_ADD(due_date, INTERVAL ? DAY), renew_count = renew_count + 1
+     WHERE id = ? AND return_date IS NULL AND lost_at IS NULL AND renew_count = ?`,
+    [loanDays, id, borrow.renew_count]
+  );
+  if (result.affectedRows === 0) throw conflict("Loan was changed by another request; try again", "CONCURRENT_UPDATE");
+
+  const after = await snapshot("borrows", id);
+  await recordAudit(req, { action: "renew", entity: "borrow", entityId: id, before, after });
+
+  const { due_date, renew_count } = after;
+  res.json({ message: "Loan renewed successfully", due_date, renew_count });
 });
 
 /**
  * @swagger
- * /api/borrows:
+ * /api/borrows/overdue:
  *   get:
- *     summary: Get all borrow records
+ *     summary: Get loans that are past their due date
  *     tags: [Borrows]
  *     security:
  *       - bearerAuth: []
@@ -130,42 +606,327 @@ router.put("/:id/return", auth(["liberian"]), async (req, res) => {
  *         schema:
  *           type: integer
  *           default: 10
+ *           maximum: 100
  *         required: false
  *         description: Limit per page
  *     responses:
  *       200:
- *         description: List of borrow records
+ *         description: Overdue loans, most overdue first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 currentPage:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 totalOverdue:
+ *                   type: integer
+ *                 borrows:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       id_card:
+ *                         type: string
+ *                       full_name:
+ *                         type: string
+ *                       class:
+ *                         type: string
+ *                       title:
+ *                         type: string
+ *                       borrow_date:
+ *                         type: string
+ *                         format: date-time
+ *                       due_date:
+ *                         type: string
+ *                         format: date-time
+ *                       days_overdue:
+ *                         type: integer
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.get("/", auth(["liberian"]), async (req, res) => {
+router.get("/overdue", permit("borrows:read"), validate({ query: { type: "object", properties: PAGE_QUERY_PROPERTIES } }), async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
   const offset = (page - 1) * limit;
-   const totalBorrowsQuery = "SELECT COUNT(*) AS total FROM borrows";
-    const [totalBorrowsResult] = await db.execute(totalBorrowsQuery);
-    const totalBorrows = totalBorrowsResult[0].total;
-    const totalPages = Math.ceil(totalBorrows / limit);
-
-  try {
-    const [borrows] = await db.execute(
-      `SELECT b.id, s.id_card, s.full_name, bk.title, b.borrow_date, b.return_date
-       FROM borrows b
-       JOIN students s ON b.student_id = s.id
-       JOIN books bk ON b.book_id = bk.id
-       ORDER BY b.borrow_date DESC
-       LIMIT ${limit} OFFSET ${offset}`
-    );
-
-    res.json({
-      currentPage: page,
-      limit: limit,
-      totalPages: totalPages,
-      totalBorrows: totalBorrows,
-      borrows: borrows
-    });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: "Failed to fetch borrows" });
+
+  const [[{ total }]] = await db.execute(
+    "SELECT COUNT(*) AS total FROM borrows WHERE return_date IS NULL AND due_date < NOW()"
+  );
+  const totalPages = Math.ceil(total / limit);
+
+  const [borrows] = await db.execute(
+    `SELECT b.id, s.id_card, s.full_name, s.class, bk.title, b.borrow_date, b.due_date,
+       DATEDIFF(NOW(), b.due_date) AS days_overdue
+     FROM borrows b
+     JOIN students s ON b.student_id = s.id
+     JOIN books bk ON b.book_id = bk.id
+     WHERE b.return_date IS NULL AND b.due_date < NOW()
+     ORDER BY b.due_date ASC
+     LIMIT ${limit} OFFSET ${offset}`
+  );
+
+  res.json({
+    currentPage: page,
+    limit: limit,
+    totalPages: totalPages,
+    totalOverdue: total,
+    borrows: borrows
+  });
+});
+
+/**
+ * @swagger
+ * /api/borrows/overdue/notices:
+ *   get:
+ *     summary: Print overdue notices for homeroom teachers
+ *     description: >
+ *       One PDF for all overdue loans, grouped by the students' class. Each
+ *       class starts with a list of its overdue loans, followed by one
+ *       notice per student to hand out.
+ *     tags: [Borrows]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: class
+ *         schema:
+ *           type: string
+ *         description: Only this class
+ *     responses:
+ *       200:
+ *         description: The notices
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get("/overdue/notices", permit("borrows:read"), validate({
+  query: { type: "object", properties: { class: { type: "string", maxLength: 50 } } }
+}), async (req, res) => {
+  const loans = await loadOverdueLoans({ studentClass: req.query.class });
+
+  sendPdf(res, "overdue-notices.pdf", await overdueNoticesPdf(loans));
+});
+
+/**
+ * @swagger
+ * /api/borrows/{id}/receipt:
+ *   get:
+ *     summary: Print a loan or return receipt
+ *     description: >
+ *       A return receipt, with any fine charged, once the book is back;
+ *       otherwise a loan receipt with the due date. `type=checkout` reprints
+ *       the loan receipt of a returned book.
+ *     tags: [Borrows]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Borrow record ID
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [checkout, return]
+ *     responses:
+ *       200:
+ *         description: The receipt
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid type, or a return receipt for a book still on loan (code LOAN_NOT_RETURNED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get("/:id/receipt", permit("borrows:read"), validate({
+  query: { type: "object", properties: { type: { type: "string", enum: ["checkout", "return"] } } }
+}), async (req, res) => {
+  const loan = await loadLoan(req.params.id);
+  if (!loan) throw notFound("Borrow record not found");
+
+  const type = req.query.type || (loan.return_date ? "return" : "checkout");
+  if (type === "return" && !loan.return_date) throw badRequest("The book has not been returned yet", "LOAN_NOT_RETURNED");
+
+  sendPdf(res, `receipt-${loan.id}.pdf`, await receiptPdf(loan, type));
+});
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     BorrowStatus:
+ *       in: query
+ *       name: status
+ *       schema:
+ *         type: string
+ *         enum: [active, returned, overdue]
+ *       description: active loans include overdue ones
+ *     BorrowFrom:
+ *       in: query
+ *       name: from
+ *       schema:
+ *         type: string
+ *         format: date
+ *       description: Only loans made on or after this day
+ *     BorrowTo:
+ *       in: query
+ *       name: to
+ *       schema:
+ *         type: string
+ *         format: date
+ *       description: Only loans made on or before this day
+ *     BorrowClass:
+ *       in: query
+ *       name: class
+ *       schema:
+ *         type: string
+ *       description: Only loans to students in this class
+ *     BorrowSort:
+ *       in: query
+ *       name: sort
+ *       schema:
+ *         type: string
+ *         enum: [newest, oldest, due_date, return_date, student, title]
+ *         default: newest
+ *     BorrowPage:
+ *       in: query
+ *       name: page
+ *       schema:
+ *         type: integer
+ *         default: 1
+ *       description: Page number
+ *     BorrowLimit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         default: 10
+ *         maximum: 100
+ *       description: Limit per page
+ *   schemas:
+ *     BorrowRecord:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         student_id:
+ *           type: integer
+ *         id_card:
+ *           type: string
+ *         full_name:
+ *           type: string
+ *         class:
+ *           type: string
+ *           nullable: true
+ *         book_id:
+ *           type: integer
+ *         title:
+ *           type: string
+ *         barcode:
+ *           type: string
+ *         borrow_date:
+ *           type: string
+ *           format: date-time
+ *         due_date:
+ *           type: string
+ *           format: date-time
+ *         renew_count:
+ *           type: integer
+ *         return_date:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lost_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the copy was reported lost while on loan
+ *         status:
+ *           type: string
+ *           enum: [active, returned, overdue]
+ *     BorrowPage:
+ *       type: object
+ *       properties:
+ *         currentPage:
+ *           type: integer
+ *         limit:
+ *           type: integer
+ *         totalPages:
+ *           type: integer
+ *         totalBorrows:
+ *           type: integer
+ *         borrows:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/BorrowRecord'
+ */
+
+/**
+ * @swagger
+ * /api/borrows:
+ *   get:
+ *     summary: Get borrow records
+ *     tags: [Borrows]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: student_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: book_id
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/BorrowStatus'
+ *       - $ref: '#/components/parameters/BorrowFrom'
+ *       - $ref: '#/components/parameters/BorrowTo'
+ *       - $ref: '#/components/parameters/BorrowClass'
+ *       - $ref: '#/components/parameters/BorrowSort'
+ *       - $ref: '#/components/parameters/BorrowPage'
+ *       - $ref: '#/components/parameters/BorrowLimit'
+ *     responses:
+ *       200:
+ *         description: Borrow records with pagination, newest first by default
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BorrowPage'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get("/", permit("borrows:read"), validate({
+  query: {
+    type: "object",
+    properties: {
+      ...HISTORY_QUERY_PROPERTIES,
+      student_id: { type: "integer", minimum: 1 },
+      book_id: { type: "integer", minimum: 1 }
+    }
   }
+}), async (req, res) => {
+  res.json(await borrowHistoryPage(req.query));
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
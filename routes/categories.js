@@ -1,7 +1,14 @@
 const express = require("express");
 const router = express.Router();
 const db = require("../db/connection");
-const auth = require("../middleware/auth");
+const { permit } = require("../middleware/auth");
+const { validate, validateId } = require("../middleware/validate");
+const withTransaction = require("../db/transaction");
+const { getDescendantIds, buildTree } = require("../services/categories");
+const { snapshot, recordAudit } = require("../services/audit");
+const { badRequest, notFound, conflict } = require("../utils/errors");
+
+router.param("id", validateId);
 
 /**
  * @swagger
@@ -10,6 +17,50 @@ const auth = require("../middleware/auth");
  *   description: Manage book categories
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Category:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: Auto-generated ID
+ *         name:
+ *           type: string
+ *           description: Name of the category
+ *         parent_id:
+ *           type: integer
+ *           nullable: true
+ *           description: ID of the parent category, null for a top-level category
+ *         loan_days:
+ *           type: integer
+ *           nullable: true
+ *           description: Loan period for books in this category and its subcategories
+ *       example:
+ *         name: "Physics"
+ *         parent_id: 1
+ *     CategoryNode:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         parent_id:
+ *           type: integer
+ *           nullable: true
+ *         book_count:
+ *           type: integer
+ *         children:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/CategoryNode'
+ */
+
 /**
  * @swagger
  * /api/categories:
@@ -32,15 +83,292 @@ const auth = require("../middleware/auth");
  *                     type: integer
  *                   name:
  *                     type: string
+ *                   parent_id:
+ *                     type: integer
+ *                     nullable: true
  */
 router.get("/", async (req, res) => {
-  try {
-    const [categories] = await db.execute("SELECT id, name FROM categories");
-    res.json(categories);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: "Something went wrong" });
+  const [categories] = await db.execute("SELECT id, name, parent_id FROM categories");
+  res.json(categories);
+});
+
+/**
+ * @swagger
+ * /api/categories/tree:
+ *   get:
+ *     summary: Get categories as a nested tree
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Top-level categories with their children
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CategoryNode'
+ */
+router.get("/tree", async (req, res) => {
+  const [categories] = await db.execute(
+    `SELECT
+      categories.id, categories.name, categories.parent_id,
+      (SELECT COUNT(*) FROM books WHERE books.category_id = categories.id) AS book_count
+    FROM categories
+    ORDER BY categories.name`
+  );
+  res.json(buildTree(categories));
+});
+
+/**
+ * @swagger
+ * /api/categories:
+ *   post:
+ *     summary: Create a new category
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CategoryInput'
+ *     responses:
+ *       201:
+ *         description: Category created successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Parent category not found
+ */
+router.post("/", permit("categories:write"), validate({ body: "CategoryInput" }), async (req, res) => {
+  const { name, parent_id, loan_days } = req.body;
+
+  if (parent_id) {
+    const [[parent]] = await db.execute("SELECT id FROM categories WHERE id = ?", [parent_id]);
+    if (!parent) throw notFound("Parent category not found");
+  }
+
+  const [result] = await db.execute(
+    "INSERT INTO categories (name, parent_id, loan_days, created_by) VALUES (?, ?, ?, ?)",
+    [name, parent_id || null, loan_days ?? null, req.user.id]
+  );
+  await recordAudit(req, {
+    action: "create", entity: "category", entityId: result.insertId, after: await snapshot("categories", result.insertId)
+  });
+  res.status(201).json({ message: "Category created", id: result.insertId });
+});
+
+/**
+ * @swagger
+ * /api/categories/{id}:
+ *   get:
+ *     summary: Get a category by ID with its parent path and direct children
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the category
+ *     responses:
+ *       200:
+ *         description: Category details
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get("/:id", permit("catalog:read"), async (req, res) => {
+  const [[category]] = await db.execute(
+    `SELECT
+      categories.id, categories.name, categories.parent_id, categories.loan_days, categories.created_by,
+      (SELECT COUNT(*) FROM books WHERE books.category_id = categories.id) AS book_count
+    FROM categories
+    WHERE categories.id = ?`,
+    [req.params.id]
+  );
+
+  if (!category) throw notFound("Category not found");
+
+  const [path] = await db.execute(
+    `WITH RECURSIVE ancestors AS (
+       SELECT id, name, parent_id, 0 AS depth FROM categories WHERE id = ?
+       UNION ALL
+       SELECT c.id, c.name, c.parent_id, a.depth + 1
+       FROM categories c JOIN ancestors a ON c.id = a.parent_id
+     )
+     SELECT id, name FROM ancestors WHERE depth > 0 ORDER BY depth DESC`,
+    [category.id]
+  );
+  const [children] = await db.execute(
+    "SELECT id, name FROM categories WHERE parent_id = ? ORDER BY name",
+    [category.id]
+  );
+
+  res.json({ ...category, path, children });
+});
+
+/**
+ * @swagger
+ * /api/categories/{id}:
+ *   put:
+ *     summary: Update a category by ID
+ *     description: >
+ *       `loan_days` is only changed when given; send null to go back to the
+ *       parent category's or the library's default.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the category to update
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CategoryInput'
+ *     responses:
+ *       200:
+ *         description: Category updated successfully
+ *       400:
+ *         description: Invalid input, or the new parent would create a cycle (code CATEGORY_CYCLE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Category or parent category not found
+ */
+router.put("/:id", permit("categories:write"), validate({ body: "CategoryInput" }), async (req, res) => {
+  const categoryId = parseInt(req.params.id);
+  const { name, parent_id, loan_days } = req.body;
+
+  const before = await snapshot("categories", categoryId);
+  if (!before) throw notFound("Category not found");
+
+  if (parent_id) {
+    const [[parent]] = await db.execute("SELECT id FROM categories WHERE id = ?", [parent_id]);
+    if (!parent) throw notFound("Parent category not found");
+
+    // A category cannot be moved under itself or one of its own descendants
+    const descendants = await getDescendantIds(categoryId);
+    if (descendants.includes(parent_id)) {
+      throw badRequest("A category cannot be its own ancestor", "CATEGORY_CYCLE");
+    }
   }
+
+  const fields = { name, parent_id: parent_id || null };
+  if (loan_days !== undefined) fields.loan_days = loan_days;
+  await db.execute(
+    `UPDATE categories SET ${Object.keys(fields).map((field) => `${field} = ?`).join(", ")} WHERE id = ?`,
+    [...Object.values(fields), categoryId]
+  );
+  await recordAudit(req, {
+    action: "update", entity: "category", entityId: categoryId, before, after: await snapshot("categories", categoryId)
+  });
+
+  res.json({ message: "Category updated successfully" });
+});
+
+/**
+ * @swagger
+ * /api/categories/{id}:
+ *   delete:
+ *     summary: Delete a category by ID
+ *     description: >
+ *       Refused with 409 while the category has subcategories, or while books
+ *       use it unless `move_to` names a category to move those books to first.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the category to delete
+ *       - in: query
+ *         name: move_to
+ *         schema:
+ *           type: integer
+ *         description: Move the category's books to this category before deleting
+ *     responses:
+ *       200:
+ *         description: Category deleted successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Category has subcategories (CATEGORY_HAS_CHILDREN) or books (CATEGORY_IN_USE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete("/:id", permit("categories:delete"), validate({
+  query: { type: "object", properties: { move_to: { type: "integer", minimum: 1 } } }
+}), async (req, res) => {
+  const categoryId = parseInt(req.params.id);
+  const moveTo = req.query.move_to ? parseInt(req.query.move_to) : null;
+
+  if (moveTo === categoryId) {
+    throw badRequest("Cannot move books to the category being deleted", "INVALID_REASSIGNMENT");
+  }
+
+  const bookCount = await withTransaction(async (conn) => {
+    const [[category]] = await conn.execute("SELECT id FROM categories WHERE id = ? FOR UPDATE", [categoryId]);
+    if (!category) throw notFound("Category not found");
+
+    const [[{ child_count }]] = await conn.execute(
+      "SELECT COUNT(*) AS child_count FROM categories WHERE parent_id = ?",
+      [categoryId]
+    );
+    if (child_count > 0) {
+      throw conflict("Category has subcategories; move or delete them first", "CATEGORY_HAS_CHILDREN", { child_count });
+    }
+
+    const [[{ book_count }]] = await conn.execute(
+      "SELECT COUNT(*) AS book_count FROM books WHERE category_id = ?",
+      [categoryId]
+    );
+
+    if (book_count > 0) {
+      if (!moveTo) {
+        throw conflict(
+          "Category is in use; pass move_to to move its books to another category",
+          "CATEGORY_IN_USE",
+          { book_count }
+        );
+      }
+
+      const [[target]] = await conn.execute("SELECT id FROM categories WHERE id = ?", [moveTo]);
+      if (!target) throw notFound("Category to move books to not found");
+
+      await conn.execute("UPDATE books SET category_id = ? WHERE category_id = ?", [moveTo, categoryId]);
+      await recordAudit(req, {
+        action: "move_books", entity: "category", entityId: categoryId,
+        after: { category_id: moveTo, book_count }
+      }, conn);
+    }
+
+    const before = await snapshot("categories", categoryId, conn);
+    await conn.execute("DELETE FROM categories WHERE id = ?", [categoryId]);
+    await recordAudit(req, { action: "delete", entity: "category", entityId: categoryId, before }, conn);
+    return book_count;
+  });
+
+  res.json({ message: "Category deleted successfully", moved_books: moveTo ? bookCount : 0 });
 });
 
 module.exports = router;
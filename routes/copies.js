@@ -0,0 +1,240 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db/connection");
+const { permit } = require("../middleware/auth");
+const { validate, validateId } = require("../middleware/validate");
+const { COPY_COLUMNS } = require("../services/copies");
+const { snapshot, recordAudit } = require("../services/audit");
+const withTransaction = require("../db/transaction");
+const { notFound, conflict } = require("../utils/errors");
+
+router.param("id", validateId);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Copies
+ *   description: Individual physical copies of books
+ */
+
+// Copy with its book title and, while on loan, who has it
+const findCopy = async (column, value) => {
+  const [[copy]] = await db.execute(
+    `SELECT ${COPY_COLUMNS}, books.title,
+       borrows.id AS borrow_id, borrows.student_id, borrows.due_date
+     FROM copies
+     JOIN books ON copies.book_id = books.id
+     LEFT JOIN borrows ON borrows.copy_id = copies.id AND borrows.return_date IS NULL
+     WHERE copies.${column} = ?`,
+    [value]
+  );
+  return copy;
+};
+
+/**
+ * @swagger
+ * /api/copies/barcode/{barcode}:
+ *   get:
+ *     summary: Look up a copy by its barcode
+ *     tags: [Copies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: barcode
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Barcode or accession number
+ *     responses:
+ *       200:
+ *         description: Copy details, with the active loan if it is out
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Copy'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get("/barcode/:barcode", permit("catalog:read"), async (req, res) => {
+  const copy = await findCopy("barcode", req.params.barcode);
+  if (!copy) throw notFound("Copy not found");
+  res.json(copy);
+});
+
+/**
+ * @swagger
+ * /api/copies/{id}:
+ *   get:
+ *     summary: Get a copy by ID
+ *     tags: [Copies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Copy ID
+ *     responses:
+ *       200:
+ *         description: Copy details, with the active loan if it is out
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Copy'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get("/:id", permit("catalog:read"), async (req, res) => {
+  const copy = await findCopy("id", req.params.id);
+  if (!copy) throw notFound("Copy not found");
+  res.json(copy);
+});
+
+/**
+ * @swagger
+ * /api/copies/{id}:
+ *   put:
+ *     summary: Update a copy's barcode, shelf location or condition
+ *     tags: [Copies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Copy ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CopyInput'
+ *     responses:
+ *       200:
+ *         description: Copy updated
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Barcode already in use (code BARCODE_TAKEN)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put("/:id", permit("books:write"), validate({ body: "CopyInput" }), async (req, res) => {
+  const { barcode, shelf_location, condition } = req.body;
+
+  const before = await snapshot("copies", req.params.id);
+  if (!before) throw notFound("Copy not found");
+
+  try {
+    await db.execute(
+      `UPDATE copies
+       SET barcode = COALESCE(?, barcode), shelf_location = ?, copy_condition = COALESCE(?, copy_condition)
+       WHERE id = ?`,
+      [barcode || null, shelf_location ?? null, condition || null, before.id]
+    );
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY") throw conflict("A copy with this barcode already exists", "BARCODE_TAKEN");
+    throw err;
+  }
+  await recordAudit(req, {
+    action: "update", entity: "copy", entityId: before.id, before, after: await snapshot("copies", before.id)
+  });
+
+  res.json({ message: "Copy updated successfully" });
+});
+
+/**
+ * @swagger
+ * /api/copies/{id}/withdraw:
+ *   post:
+ *     summary: Withdraw a copy from circulation
+ *     description: >
+ *       Refused while the copy is on loan or set aside for a hold, except that
+ *       a copy on loan can be marked as lost. Its loan then stays open, since
+ *       the student is still responsible for the book, and is flagged with
+ *       `lost_at`.
+ *     tags: [Copies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Copy ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CopyWithdrawal'
+ *     responses:
+ *       200:
+ *         description: >
+ *           Copy withdrawn or marked as lost; `borrow_id` is the open loan
+ *           flagged as lost, or null
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Copy is on hold, or on loan and not being marked as lost (code COPY_IN_USE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/:id/withdraw", permit("books:write"), validate({ body: "CopyWithdrawal" }), async (req, res) => {
+  const { reason, lost } = req.body;
+
+  // The copy is locked so a checkout or return cannot slip in between the
+  // status check and the update
+  const borrowId = await withTransaction(async (conn) => {
+    await conn.execute("SELECT id FROM copies WHERE id = ? FOR UPDATE", [req.params.id]);
+    const copy = await snapshot("copies", req.params.id, conn);
+    if (!copy) throw notFound("Copy not found");
+
+    const allowed = lost ? ["available", "lost", "on_loan"] : ["available", "lost"];
+    if (!allowed.includes(copy.status)) {
+      throw conflict(`Copy is ${copy.status.replace("_", " ")} and cannot be withdrawn`, "COPY_IN_USE");
+    }
+
+    await conn.execute(
+      "UPDATE copies SET status = ?, withdrawn_reason = ?, withdrawn_at = NOW() WHERE id = ?",
+      [lost ? "lost" : "withdrawn", reason, copy.id]
+    );
+    await recordAudit(req, {
+      action: lost ? "mark_lost" : "withdraw", entity: "copy", entityId: copy.id,
+      before: copy, after: await snapshot("copies", copy.id, conn)
+    }, conn);
+
+    if (copy.status !== "on_loan") return null;
+
+    // The loan stays open: the student still has to return or replace the book
+    const [[borrow]] = await conn.execute(
+      "SELECT id FROM borrows WHERE copy_id = ? AND return_date IS NULL FOR UPDATE",
+      [copy.id]
+    );
+    const before = await snapshot("borrows", borrow.id, conn);
+    await conn.execute("UPDATE borrows SET lost_at = NOW() WHERE id = ?", [borrow.id]);
+    await recordAudit(req, {
+      action: "mark_lost", entity: "borrow", entityId: borrow.id, before, after: await snapshot("borrows", borrow.id, conn)
+    }, conn);
+    return borrow.id;
+  });
+
+  if (lost) return res.json({ message: "Copy marked as lost", borrow_id: borrowId });
+  res.json({ message: "Copy withdrawn" });
+});
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const db = require("../db/connection");
-const auth = require("../middleware/auth");
+const { permit } = require("../middleware/auth");
 
 /**
  * @swagger
@@ -36,26 +36,25 @@ const auth = require("../middleware/auth");
  *                   type: integer
  *                 returned:
  *                   type: integer
+ *                 overdue:
+ *                   type: integer
  */
-router.get("/", auth(["liberian"]), async (req, res) => {
-  try {
-    const [[{ total_books }]] = await db.execute("SELECT COUNT(*) AS total_books FROM books");
-    const [[{ total_students }]] = await db.execute("SELECT COUNT(*) AS total_students FROM students");
-    const [[{ total_borrows }]] = await db.execute("SELECT COUNT(*) AS total_borrows FROM borrows");
-    const [[{ borrowed_not_returned }]] = await db.execute("SELECT COUNT(*) AS borrowed_not_returned FROM borrows WHERE return_date IS NULL");
-    const [[{ returned }]] = await db.execute("SELECT COUNT(*) AS returned FROM borrows WHERE return_date IS NOT NULL");
+router.get("/", permit("dashboard:read"), async (req, res) => {
+  const [[{ total_books }]] = await db.execute("SELECT COUNT(*) AS total_books FROM books WHERE deleted_at IS NULL");
+  const [[{ total_students }]] = await db.execute("SELECT COUNT(*) AS total_students FROM students WHERE deleted_at IS NULL");
+  const [[{ total_borrows }]] = await db.execute("SELECT COUNT(*) AS total_borrows FROM borrows");
+  const [[{ borrowed_not_returned }]] = await db.execute("SELECT COUNT(*) AS borrowed_not_returned FROM borrows WHERE return_date IS NULL");
+  const [[{ returned }]] = await db.execute("SELECT COUNT(*) AS returned FROM borrows WHERE return_date IS NOT NULL");
+  const [[{ overdue }]] = await db.execute("SELECT COUNT(*) AS overdue FROM borrows WHERE return_date IS NULL AND due_date < NOW()");
 
-    res.json({
-      total_books,
-      total_students,
-      total_borrows,
-      borrowed_not_returned,
-      returned
-    });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: "Something went wrong" });
-  }
+  res.json({
+    total_books,
+    total_students,
+    total_borrows,
+    borrowed_not_returned,
+    returned,
+    overdue
+  });
 });
 
 module.exports = router;
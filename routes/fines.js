@@ -0,0 +1,295 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db/connection");
+const { permit } = require("../middleware/auth");
+const { validate, validateId } = require("../middleware/validate");
+const withTransaction = require("../db/transaction");
+const { roundMoney, getOutstandingBalance } = require("../services/fines");
+const { snapshot, recordAudit } = require("../services/audit");
+const { badRequest, notFound } = require("../utils/errors");
+
+router.param("id", validateId);
+router.param("studentId", validateId);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Fines
+ *   description: Late-return fines, payments and waivers
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Fine:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         borrow_id:
+ *           type: integer
+ *         student_id:
+ *           type: integer
+ *         title:
+ *           type: string
+ *           description: Title of the book returned late
+ *         days_late:
+ *           type: integer
+ *         amount:
+ *           type: number
+ *         paid_amount:
+ *           type: number
+ *         balance:
+ *           type: number
+ *           description: Amount still owed
+ *         status:
+ *           type: string
+ *           enum: [unpaid, partially_paid, paid, waived]
+ *         waived_reason:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/fines/students/{studentId}:
+ *   get:
+ *     summary: Get a student's fines and outstanding balance
+ *     tags: [Fines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Student ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [outstanding, all]
+ *           default: outstanding
+ *         description: Only unpaid and partially paid fines, or every fine
+ *     responses:
+ *       200:
+ *         description: The student's fines
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 student_id:
+ *                   type: integer
+ *                 outstanding_balance:
+ *                   type: number
+ *                 fines:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Fine'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get("/students/:studentId", permit("fines:read"), validate({
+  query: { type: "object", properties: { status: { type: "string", enum: ["outstanding", "all"] } } }
+}), async (req, res) => {
+  const studentId = req.params.studentId;
+  const onlyOutstanding = req.query.status !== "all";
+
+  const [[student]] = await db.execute("SELECT id FROM students WHERE id = ?", [studentId]);
+  if (!student) throw notFound("Student not found");
+
+  const [fines] = await db.execute(
+    `SELECT f.id, f.borrow_id, f.student_id, bk.title, f.days_late, f.amount, f.paid_amount,
+       f.amount - f.paid_amount AS balance, f.status, f.waived_reason, f.created_at
+     FROM fines f
+     JOIN borrows b ON f.borrow_id = b.id
+     JOIN books bk ON b.book_id = bk.id
+     WHERE f.student_id = ? ${onlyOutstanding ? "AND f.status IN ('unpaid', 'partially_paid')" : ""}
+     ORDER BY f.created_at DESC`,
+    [studentId]
+  );
+
+  res.json({
+    student_id: student.id,
+    outstanding_balance: await getOutstandingBalance(student.id),
+    fines: fines
+  });
+});
+
+/**
+ * @swagger
+ * /api/fines/{id}:
+ *   get:
+ *     summary: Get a fine with its payment history
+ *     tags: [Fines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Fine ID
+ *     responses:
+ *       200:
+ *         description: Fine details
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get("/:id", permit("fines:read"), async (req, res) => {
+  const [[fine]] = await db.execute(
+    `SELECT id, borrow_id, student_id, days_late, amount, paid_amount, amount - paid_amount AS balance,
+       status, waived_reason, waived_by, waived_at, created_at
+     FROM fines WHERE id = ?`,
+    [req.params.id]
+  );
+  if (!fine) throw notFound("Fine not found");
+
+  const [payments] = await db.execute(
+    "SELECT id, amount, note, received_by, paid_at FROM fine_payments WHERE fine_id = ? ORDER BY paid_at",
+    [fine.id]
+  );
+
+  res.json({ ...fine, payments });
+});
+
+/**
+ * @swagger
+ * /api/fines/{id}/payments:
+ *   post:
+ *     summary: Record a full or partial payment against a fine
+ *     tags: [Fines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Fine ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FinePayment'
+ *     responses:
+ *       201:
+ *         description: Payment recorded
+ *       400:
+ *         description: >
+ *           Invalid amount (VALIDATION_FAILED), fine already settled
+ *           (FINE_SETTLED) or payment above the balance (OVERPAYMENT)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post("/:id/payments", permit("fines:collect"), validate({ body: "FinePayment" }), async (req, res) => {
+  const amount = roundMoney(req.body.amount);
+  const { note } = req.body;
+
+  const payment = await withTransaction(async (conn) => {
+    const [[fine]] = await conn.execute(
+      "SELECT id, amount, paid_amount, status FROM fines WHERE id = ? FOR UPDATE",
+      [req.params.id]
+    );
+    if (!fine) throw notFound("Fine not found");
+    if (fine.status === "paid" || fine.status === "waived") {
+      throw badRequest(`Fine is already ${fine.status}`, "FINE_SETTLED");
+    }
+
+    const balance = roundMoney(fine.amount - fine.paid_amount);
+    if (amount > balance) {
+      throw badRequest(`Payment exceeds the outstanding balance of ${balance}`, "OVERPAYMENT", { balance });
+    }
+
+    const paidAmount = roundMoney(fine.paid_amount + amount);
+    const status = paidAmount >= fine.amount ? "paid" : "partially_paid";
+
+    const [result] = await conn.execute(
+      "INSERT INTO fine_payments (fine_id, amount, note, received_by) VALUES (?, ?, ?, ?)",
+      [fine.id, amount, note ?? null, req.user.id]
+    );
+    await conn.execute("UPDATE fines SET paid_amount = ?, status = ? WHERE id = ?", [paidAmount, status, fine.id]);
+    await recordAudit(req, {
+      action: "payment", entity: "fine", entityId: fine.id,
+      before: fine, after: { ...(await snapshot("fines", fine.id, conn)), payment: { id: result.insertId, amount, note: note ?? null } }
+    }, conn);
+
+    return {
+      payment_id: result.insertId,
+      paid_amount: paidAmount,
+      balance: roundMoney(fine.amount - paidAmount),
+      status
+    };
+  });
+
+  res.status(201).json({ message: "Payment recorded", ...payment });
+});
+
+/**
+ * @swagger
+ * /api/fines/{id}/waive:
+ *   post:
+ *     summary: Waive the remaining balance of a fine
+ *     tags: [Fines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Fine ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FineWaiver'
+ *     responses:
+ *       200:
+ *         description: Fine waived
+ *       400:
+ *         description: Missing reason (VALIDATION_FAILED) or fine already settled (FINE_SETTLED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post("/:id/waive", permit("fines:waive"), validate({ body: "FineWaiver" }), async (req, res) => {
+  const { reason } = req.body;
+
+  const fine = await snapshot("fines", req.params.id);
+  if (!fine) throw notFound("Fine not found");
+
+  const [result] = await db.execute(
+    `UPDATE fines SET status = 'waived', waived_reason = ?, waived_by = ?, waived_at = NOW()
+     WHERE id = ? AND status IN ('unpaid', 'partially_paid')`,
+    [reason, req.user.id, fine.id]
+  );
+  if (result.affectedRows === 0) throw badRequest(`Fine is already ${fine.status}`, "FINE_SETTLED");
+  await recordAudit(req, {
+    action: "waive", entity: "fine", entityId: fine.id, before: fine, after: await snapshot("fines", fine.id)
+  });
+
+  res.json({ message: "Fine waived" });
+});
+
+module.exports = router;
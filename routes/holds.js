@@ -0,0 +1,336 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db/connection");
+const { permit } = require("../middleware/auth");
+const { validate, validateId } = require("../middleware/validate");
+const { allocateReturnedCopy, expireHolds, getQueuePosition } = require("../services/holds");
+const { countAvailable } = require("../services/copies");
+const { snapshot, recordAudit } = require("../services/audit");
+const withTransaction = require("../db/transaction");
+const { badRequest, notFound, conflict } = require("../utils/errors");
+
+router.param("id", validateId);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Holds
+ *   description: Reservation queue for books that are out of stock
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Hold:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         book_id:
+ *           type: integer
+ *         title:
+ *           type: string
+ *         copy_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Copy set aside once the hold is ready
+ *         barcode:
+ *           type: string
+ *           nullable: true
+ *         student_id:
+ *           type: integer
+ *         full_name:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [waiting, ready, fulfilled, cancelled, expired]
+ *         position:
+ *           type: integer
+ *           nullable: true
+ *           description: Place in the queue while the hold is waiting
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         ready_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Pickup deadline once a copy has been set aside
+ */
+
+const HOLD_COLUMNS = `
+  h.id, h.book_id, bk.title, h.copy_id, c.barcode, h.student_id, s.full_name, s.id_card, h.status,
+  h.created_at, h.ready_at, h.expires_at, h.closed_at, h.borrow_id
+`;
+
+const withPosition = async (hold) => ({
+  ...hold,
+  position: hold.status === "waiting" ? await getQueuePosition(hold.id) : null
+});
+
+/**
+ * @swagger
+ * /api/holds:
+ *   post:
+ *     summary: Place a hold on an out-of-stock book
+ *     tags: [Holds]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/HoldInput'
+ *     responses:
+ *       201:
+ *         description: Hold placed, with the student's queue position
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Hold'
+ *       400:
+ *         description: Invalid input, or the book is in stock (code BOOK_IN_STOCK)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Student already has an active hold on this book (code DUPLICATE_HOLD)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/", permit("holds:write"), validate({ body: "HoldInput" }), async (req, res) => {
+  const { student_id, book_id } = req.body;
+
+  // The student row is locked so two requests for the same student cannot
+  // both pass the duplicate check before either inserts
+  const holdId = await withTransaction(async (conn) => {
+    await expireHolds(conn);
+
+    const [[book]] = await conn.execute("SELECT id FROM books WHERE id = ? AND deleted_at IS NULL", [book_id]);
+    if (!book) throw notFound("Book not found");
+
+    const [[student]] = await conn.execute(
+      "SELECT id FROM students WHERE id = ? AND deleted_at IS NULL FOR UPDATE",
+      [student_id]
+    );
+    if (!student) throw notFound("Student not found");
+
+    if (await countAvailable(book.id, conn) > 0) {
+      throw badRequest("Book is in stock; borrow it instead of placing a hold", "BOOK_IN_STOCK");
+    }
+
+    const [[existing]] = await conn.execute(
+      "SELECT id FROM holds WHERE book_id = ? AND student_id = ? AND status IN ('waiting', 'ready') FOR UPDATE",
+      [book_id, student_id]
+    );
+    if (existing) {
+      throw conflict("Student already has an active hold on this book", "DUPLICATE_HOLD", { hold_id: existing.id });
+    }
+
+    const [result] = await conn.execute(
+      "INSERT INTO holds (book_id, student_id, created_by) VALUES (?, ?, ?)",
+      [book_id, student_id, req.user.id]
+    );
+    await recordAudit(req, {
+      action: "create", entity: "hold", entityId: result.insertId, after: await snapshot("holds", result.insertId, conn)
+    }, conn);
+    return result.insertId;
+  });
+
+  const [[hold]] = await db.execute(
+    `SELECT ${HOLD_COLUMNS}
+     FROM holds h
+     JOIN books bk ON h.book_id = bk.id
+     JOIN students s ON h.student_id = s.id
+     LEFT JOIN copies c ON h.copy_id = c.id
+     WHERE h.id = ?`,
+    [holdId]
+  );
+  res.status(201).json(await withPosition(hold));
+});
+
+/**
+ * @swagger
+ * /api/holds:
+ *   get:
+ *     summary: Get active holds, in queue order
+ *     tags: [Holds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: book_id
+ *         schema:
+ *           type: integer
+ *         description: Only holds for this book
+ *       - in: query
+ *         name: student_id
+ *         schema:
+ *           type: integer
+ *         description: Only holds for this student
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [waiting, ready]
+ *         description: Only waiting holds or only holds ready for pickup
+ *     responses:
+ *       200:
+ *         description: List of active holds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Hold'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get("/", permit("holds:read"), validate({
+  query: {
+    type: "object",
+    properties: {
+      book_id: { type: "integer", minimum: 1 },
+      student_id: { type: "integer", minimum: 1 },
+      status: { type: "string", enum: ["waiting", "ready"] }
+    }
+  }
+}), async (req, res) => {
+  const { book_id, student_id, status } = req.query;
+  const conditions = ["h.status IN ('waiting', 'ready')"];
+  const params = [];
+
+  if (book_id) {
+    conditions.push("h.book_id = ?");
+    params.push(book_id);
+  }
+  if (student_id) {
+    conditions.push("h.student_id = ?");
+    params.push(student_id);
+  }
+  if (status) {
+    conditions.push("h.status = ?");
+    params.push(status);
+  }
+
+  await withTransaction(expireHolds);
+
+  const [holds] = await db.execute(
+    `SELECT ${HOLD_COLUMNS}
+     FROM holds h
+     JOIN books bk ON h.book_id = bk.id
+     JOIN students s ON h.student_id = s.id
+     LEFT JOIN copies c ON h.copy_id = c.id
+     WHERE ${conditions.join(" AND ")}
+     ORDER BY h.book_id, h.status = 'waiting', h.created_at, h.id`,
+    params
+  );
+
+  res.json(await Promise.all(holds.map(withPosition)));
+});
+
+/**
+ * @swagger
+ * /api/holds/{id}:
+ *   get:
+ *     summary: Get a hold and its queue position
+ *     tags: [Holds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Hold ID
+ *     responses:
+ *       200:
+ *         description: Hold details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Hold'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get("/:id", permit("holds:read"), async (req, res) => {
+  await withTransaction(expireHolds);
+
+  const [[hold]] = await db.execute(
+    `SELECT ${HOLD_COLUMNS}
+     FROM holds h
+     JOIN books bk ON h.book_id = bk.id
+     JOIN students s ON h.student_id = s.id
+     LEFT JOIN copies c ON h.copy_id = c.id
+     WHERE h.id = ?`,
+    [req.params.id]
+  );
+  if (!hold) throw notFound("Hold not found");
+
+  res.json(await withPosition(hold));
+});
+
+/**
+ * @swagger
+ * /api/holds/{id}:
+ *   delete:
+ *     summary: Cancel a hold
+ *     description: >
+ *       Cancelling a hold that is ready for pickup passes the set-aside copy to
+ *       the next student in the queue, or back to the shelf.
+ *     tags: [Holds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Hold ID
+ *     responses:
+ *       200:
+ *         description: Hold cancelled
+ *       400:
+ *         description: Hold is no longer active (code HOLD_NOT_ACTIVE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.delete("/:id", permit("holds:write"), async (req, res) => {
+  // The cancellation and the set-aside copy moving on commit together, with
+  // the hold and the copy locked against a concurrent return or checkout
+  const nextHold = await withTransaction(async (conn) => {
+    await conn.execute("SELECT id FROM holds WHERE id = ? FOR UPDATE", [req.params.id]);
+    const hold = await snapshot("holds", req.params.id, conn);
+    if (!hold) throw notFound("Hold not found");
+    if (!["waiting", "ready"].includes(hold.status)) {
+      throw badRequest(`Hold is already ${hold.status}`, "HOLD_NOT_ACTIVE");
+    }
+
+    await conn.execute("UPDATE holds SET status = 'cancelled', closed_at = NOW() WHERE id = ?", [hold.id]);
+    const next = hold.status === "ready" ? await allocateReturnedCopy(hold.copy_id, conn) : null;
+    await recordAudit(req, {
+      action: "cancel", entity: "hold", entityId: hold.id, before: hold, after: await snapshot("holds", hold.id, conn)
+    }, conn);
+    return next;
+  });
+  res.json({ message: "Hold cancelled", next_hold: nextHold });
+});
+
+module.exports = router;
@@ -0,0 +1,273 @@
+const express = require("express");
+const bcrypt = require("bcryptjs");
+const router = express.Router();
+const db = require("../db/connection");
+const withTransaction = require("../db/transaction");
+const auth = require("../middleware/auth");
+const { validate, PAGE_QUERY_PROPERTIES } = require("../middleware/validate");
+const { getOutstandingBalance } = require("../services/fines");
+const { expireHolds, getQueuePosition } = require("../services/holds");
+const { recordAudit } = require("../services/audit");
+const { revokeAllSessions } = require("../services/sessions");
+const { notFound, unauthorized } = require("../utils/errors");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Me
+ *   description: >
+ *     Self-service for logged-in students. Every endpoint reads the student
+ *     from the token, so a student can only ever see their own records.
+ */
+
+// Only student tokens get past this router, and `req.user.id` is their students.id
+router.use(auth(["student"]));
+
+/**
+ * @swagger
+ * /api/me:
+ *   get:
+ *     summary: Get the logged-in student's profile
+ *     tags: [Me]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Student profile
+ */
+router.get("/", async (req, res) => {
+  const [[student]] = await db.execute(
+    `SELECT id, full_name, id_card, class, suspended_until, suspension_reason,
+       suspended_at IS NOT NULL AND (suspended_until IS NULL OR suspended_until > NOW()) AS is_suspended
+     FROM students WHERE id = ?`,
+    [req.user.id]
+  );
+  if (!student) throw notFound("Student not found");
+
+  res.json(student);
+});
+
+/**
+ * @swagger
+ * /api/me/loans:
+ *   get:
+ *     summary: Get the logged-in student's current loans and due dates
+ *     tags: [Me]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Books currently on loan, soonest due first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                   title:
+ *                     type: string
+ *                   barcode:
+ *                     type: string
+ *                   borrow_date:
+ *                     type: string
+ *                     format: date-time
+ *                   due_date:
+ *                     type: string
+ *                     format: date-time
+ *                   renew_count:
+ *                     type: integer
+ *                   days_overdue:
+ *                     type: integer
+ */
+router.get("/loans", async (req, res) => {
+  const [loans] = await db.execute(
+    `SELECT b.id, bk.title, c.barcode, b.borrow_date, b.due_date, b.renew_count,
+       GREATEST(DATEDIFF(NOW(), b.due_date), 0) AS days_overdue
+     FROM borrows b
+     JOIN books bk ON b.book_id = bk.id
+     LEFT JOIN copies c ON b.copy_id = c.id
+     WHERE b.student_id = ? AND b.return_date IS NULL
+     ORDER BY b.due_date`,
+    [req.user.id]
+  );
+  res.json(loans);
+});
+
+/**
+ * @swagger
+ * /api/me/history:
+ *   get:
+ *     summary: Get the logged-in student's past loans
+ *     tags: [Me]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *         description: Limit per page
+ *     responses:
+ *       200:
+ *         description: Returned loans, most recent first
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get("/history", validate({ query: { type: "object", properties: PAGE_QUERY_PROPERTIES } }), async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const offset = (page - 1) * limit;
+
+  const [[{ total }]] = await db.execute(
+    "SELECT COUNT(*) AS total FROM borrows WHERE student_id = ? AND return_date IS NOT NULL",
+    [req.user.id]
+  );
+  const totalPages = Math.ceil(total / limit);
+
+  const [borrows] = await db.execute(
+    `SELECT b.id, bk.title, b.borrow_date, b.due_date, b.return_date,
+       b.return_date > b.due_date AS returned_late
+     FROM borrows b
+     JOIN books bk ON b.book_id = bk.id
+     WHERE b.student_id = ? AND b.return_date IS NOT NULL
+     ORDER BY b.return_date DESC
+     LIMIT ${limit} OFFSET ${offset}`,
+    [req.user.id]
+  );
+
+  res.json({
+    currentPage: page,
+    limit: limit,
+    totalPages: totalPages,
+    totalBorrows: total,
+    borrows: borrows
+  });
+});
+
+/**
+ * @swagger
+ * /api/me/fines:
+ *   get:
+ *     summary: Get the logged-in student's fines
+ *     tags: [Me]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Outstanding balance and every fine
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 outstanding_balance:
+ *                   type: number
+ *                 fines:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Fine'
+ */
+router.get("/fines", async (req, res) => {
+  const [fines] = await db.execute(
+    `SELECT f.id, f.borrow_id, bk.title, f.days_late, f.amount, f.paid_amount,
+       f.amount - f.paid_amount AS balance, f.status, f.waived_reason, f.created_at
+     FROM fines f
+     JOIN borrows b ON f.borrow_id = b.id
+     JOIN books bk ON b.book_id = bk.id
+     WHERE f.student_id = ?
+     ORDER BY f.created_at DESC`,
+    [req.user.id]
+  );
+
+  res.json({
+    outstanding_balance: await getOutstandingBalance(req.user.id),
+    fines: fines
+  });
+});
+
+/**
+ * @swagger
+ * /api/me/holds:
+ *   get:
+ *     summary: Get the logged-in student's active holds
+ *     tags: [Me]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Waiting holds with their queue position, and holds ready for pickup
+ */
+router.get("/holds", async (req, res) => {
+  await withTransaction(expireHolds);
+
+  const [holds] = await db.execute(
+    `SELECT h.id, h.book_id, bk.title, h.status, h.created_at, h.ready_at, h.expires_at
+     FROM holds h
+     JOIN books bk ON h.book_id = bk.id
+     WHERE h.student_id = ? AND h.status IN ('waiting', 'ready')
+     ORDER BY h.status = 'waiting', h.created_at`,
+    [req.user.id]
+  );
+
+  res.json(await Promise.all(holds.map(async (hold) => ({
+    ...hold,
+    position: hold.status === "waiting" ? await getQueuePosition(hold.id) : null
+  }))));
+});
+
+/**
+ * @swagger
+ * /api/me/password:
+ *   put:
+ *     summary: Change the logged-in student's password
+ *     description: Every other session of the student is logged out; the current one stays.
+ *     tags: [Me]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PasswordChange'
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Current password is wrong (code WRONG_PASSWORD)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put("/password", validate({ body: "PasswordChange" }), async (req, res) => {
+  const { current_password, new_password } = req.body;
+
+  const [[student]] = await db.execute("SELECT password FROM students WHERE id = ?", [req.user.id]);
+  if (!student || !(await bcrypt.compare(current_password, student.password))) {
+    throw unauthorized("Current password is incorrect", "WRONG_PASSWORD");
+  }
+
+  const hash = await bcrypt.hash(new_password, 10);
+  await withTransaction(async (conn) => {
+    await conn.execute("UPDATE students SET password = ? WHERE id = ?", [hash, req.user.id]);
+    await revokeAllSessions("student", req.user.id, conn, req.user.sid);
+    await recordAudit(req, { action: "change_password", entity: "student", entityId: req.user.id }, conn);
+  });
+  res.json({ message: "Password changed" });
+});
+
+module.exports = router;
@@ -0,0 +1,148 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db/connection");
+const { permit } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { policies, fines } = require("../config/library");
+const { recordAudit } = require("../services/audit");
+const { notFound } = require("../utils/errors");
+
+const findClassLimit = async (className) => {
+  const [[limit]] = await db.execute("SELECT * FROM class_loan_limits WHERE class = ?", [className]);
+  return limit || null;
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Policies
+ *   description: Borrowing rules enforced on checkout
+ */
+
+/**
+ * @swagger
+ * /api/policies:
+ *   get:
+ *     summary: Get the borrowing rules in force
+ *     tags: [Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Library-wide defaults and per-class loan limits
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 defaults:
+ *                   type: object
+ *                   properties:
+ *                     max_active_loans:
+ *                       type: integer
+ *                     allow_duplicate_loans:
+ *                       type: boolean
+ *                     fine_block_threshold:
+ *                       type: number
+ *                 class_limits:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       class:
+ *                         type: string
+ *                       max_active_loans:
+ *                         type: integer
+ */
+router.get("/", permit("borrows:read"), async (req, res) => {
+  const [classLimits] = await db.execute(
+    "SELECT class, max_active_loans, updated_by, updated_at FROM class_loan_limits ORDER BY class"
+  );
+
+  res.json({
+    defaults: {
+      max_active_loans: policies.maxActiveLoans,
+      allow_duplicate_loans: policies.allowDuplicateLoans,
+      fine_block_threshold: fines.blockThreshold
+    },
+    class_limits: classLimits
+  });
+});
+
+/**
+ * @swagger
+ * /api/policies/classes/{class}:
+ *   put:
+ *     summary: Set the maximum concurrent loans for a class
+ *     tags: [Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: class
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Class name as stored on students
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ClassLimitInput'
+ *     responses:
+ *       200:
+ *         description: Class limit saved
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.put("/classes/:class", permit("policies:manage"), validate({
+  params: { type: "object", properties: { class: { type: "string", maxLength: 50 } } },
+  body: "ClassLimitInput"
+}), async (req, res) => {
+  const maxActiveLoans = req.body.max_active_loans;
+
+  const before = await findClassLimit(req.params.class);
+  await db.execute(
+    `INSERT INTO class_loan_limits (class, max_active_loans, updated_by) VALUES (?, ?, ?)
+     ON DUPLICATE KEY UPDATE max_active_loans = VALUES(max_active_loans), updated_by = VALUES(updated_by)`,
+    [req.params.class, maxActiveLoans, req.user.id]
+  );
+  await recordAudit(req, {
+    action: before ? "update" : "create", entity: "class_loan_limit", entityId: req.params.class,
+    before, after: await findClassLimit(req.params.class)
+  });
+  res.json({ message: "Class limit saved" });
+});
+
+/**
+ * @swagger
+ * /api/policies/classes/{class}:
+ *   delete:
+ *     summary: Remove a class limit so the class falls back to the default
+ *     tags: [Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: class
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Class name as stored on students
+ *     responses:
+ *       200:
+ *         description: Class limit removed
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.delete("/classes/:class", permit("policies:manage"), async (req, res) => {
+  const before = await findClassLimit(req.params.class);
+  if (!before) throw notFound("No limit set for this class");
+
+  await db.execute("DELETE FROM class_loan_limits WHERE class = ?", [before.class]);
+  await recordAudit(req, { action: "delete", entity: "class_loan_limit", entityId: before.class, before });
+  res.json({ message: "Class limit removed" });
+});
+
+module.exports = router;
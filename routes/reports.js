@@ -0,0 +1,524 @@
+const express = require("express");
+const router = express.Router();
+const { permit } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { getDescendantIds } = require("../services/categories");
+const reports = require("../services/reports");
+const { sendCsv } = require("../utils/csv");
+const { notFound, badRequest } = require("../utils/errors");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Reports
+ *   description: Circulation statistics, as JSON or CSV
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     ReportFrom:
+ *       in: query
+ *       name: from
+ *       schema:
+ *         type: string
+ *         format: date
+ *       description: Only loans made on or after this day
+ *     ReportTo:
+ *       in: query
+ *       name: to
+ *       schema:
+ *         type: string
+ *         format: date
+ *       description: Only loans made on or before this day
+ *     ReportCategory:
+ *       in: query
+ *       name: category_id
+ *       schema:
+ *         type: integer
+ *       description: Only books in this category or any of its subcategories
+ *     ReportLimit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         default: 10
+ *         maximum: 100
+ *       description: How many to list
+ *     ReportFormat:
+ *       in: query
+ *       name: format
+ *       schema:
+ *         type: string
+ *         enum: [json, csv]
+ *         default: json
+ *       description: csv downloads the rows as a file instead
+ */
+
+const FILTER_PROPERTIES = {
+  from: { type: "string", format: "date" },
+  to: { type: "string", format: "date" },
+  category_id: { type: "integer", minimum: 1 },
+  format: { type: "string", enum: ["json", "csv"] },
+};
+
+const LIMIT_PROPERTY = { limit: { type: "integer", minimum: 1, maximum: 100 } };
+
+const reportQuery = (properties = {}) => validate({
+  query: { type: "object", properties: { ...FILTER_PROPERTIES, ...properties } }
+});
+
+// The filters every report takes, from the query string
+const reportFilters = async (query) => {
+  const { from, to } = query;
+  if (from && to && from > to) throw badRequest("from must not be after to", "INVALID_DATE_RANGE");
+
+  let categoryIds;
+  if (query.category_id) {
+    categoryIds = await getDescendantIds(parseInt(query.category_id));
+    if (categoryIds.length === 0) throw notFound("Category not found");
+  }
+  return { from, to, categoryIds, limit: parseInt(query.limit) || 10 };
+};
+
+const columns = (...keys) => keys.map((key) => ({ key, header: key }));
+
+// JSON `body` by default; with format=csv, `rows` as `name`.csv
+const respond = (req, res, name, csvColumns, rows, body) => {
+  if (req.query.format === "csv") return sendCsv(res, `${name}.csv`, csvColumns, rows);
+  res.json(body);
+};
+
+/**
+ * @swagger
+ * /api/reports/loans:
+ *   get:
+ *     summary: Loans made per day, week or month
+ *     description: >
+ *       Every period in the range is listed, including those without loans.
+ *       A period is named by its first day (weeks start on Monday), so the
+ *       first and last can be partial. Without `from` the series covers the
+ *       last 30 days, 12 weeks or 12 months up to `to` (default today).
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: day
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - $ref: '#/components/parameters/ReportCategory'
+ *       - $ref: '#/components/parameters/ReportFormat'
+ *     responses:
+ *       200:
+ *         description: The series
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 interval:
+ *                   type: string
+ *                 from:
+ *                   type: string
+ *                   format: date
+ *                 to:
+ *                   type: string
+ *                   format: date
+ *                 periods:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       period:
+ *                         type: string
+ *                         format: date
+ *                       loans:
+ *                         type: integer
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: >
+ *           Invalid filters, `from` after `to` (code INVALID_DATE_RANGE) or
+ *           more than 1000 periods (code RANGE_TOO_LONG)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get("/loans", permit("reports:read"), reportQuery({
+  interval: { type: "string", enum: reports.INTERVALS }
+}), async (req, res) => {
+  const interval = req.query.interval || "day";
+  const filters = await reportFilters(req.query);
+
+  const { from, to, periods } = await reports.loansOverTime({ ...filters, interval });
+  respond(req, res, `loans-by-${interval}`, columns("period", "loans"), periods, { interval, from, to, periods });
+});
+
+/**
+ * @swagger
+ * /api/reports/top-books:
+ *   get:
+ *     summary: Most borrowed titles
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - $ref: '#/components/parameters/ReportCategory'
+ *       - $ref: '#/components/parameters/ReportLimit'
+ *       - $ref: '#/components/parameters/ReportFormat'
+ *     responses:
+ *       200:
+ *         description: Titles, most loans first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 books:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       book_id:
+ *                         type: integer
+ *                       title:
+ *                         type: string
+ *                       author_name:
+ *                         type: string
+ *                       category:
+ *                         type: string
+ *                       loans:
+ *                         type: integer
+ *                       borrowers:
+ *                         type: integer
+ *                         description: Different students who borrowed it
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get("/top-books", permit("reports:read"), reportQuery(LIMIT_PROPERTY), async (req, res) => {
+  const books = await reports.mostBorrowedBooks(await reportFilters(req.query));
+  respond(req, res, "top-books", columns("book_id", "title", "author_name", "category", "loans", "borrowers"), books, { books });
+});
+
+/**
+ * @swagger
+ * /api/reports/top-categories:
+ *   get:
+ *     summary: Categories borrowed from most
+ *     description: >
+ *       Each book counts towards its own category, so with `category_id` this
+ *       compares the category with its subcategories. Books without a
+ *       category are counted together, with `category_id` null.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - $ref: '#/components/parameters/ReportCategory'
+ *       - $ref: '#/components/parameters/ReportLimit'
+ *       - $ref: '#/components/parameters/ReportFormat'
+ *     responses:
+ *       200:
+ *         description: Categories, most loans first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 categories:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       category_id:
+ *                         type: integer
+ *                         nullable: true
+ *                       category:
+ *                         type: string
+ *                         nullable: true
+ *                       loans:
+ *                         type: integer
+ *                       titles:
+ *                         type: integer
+ *                         description: Different books lent
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get("/top-categories", permit("reports:read"), reportQuery(LIMIT_PROPERTY), async (req, res) => {
+  const categories = await reports.mostBorrowedCategories(await reportFilters(req.query));
+  respond(req, res, "top-categories", columns("category_id", "category", "loans", "titles"), categories, { categories });
+});
+
+/**
+ * @swagger
+ * /api/reports/top-students:
+ *   get:
+ *     summary: Students who borrow most
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - $ref: '#/components/parameters/ReportCategory'
+ *       - $ref: '#/components/parameters/ReportLimit'
+ *       - $ref: '#/components/parameters/ReportFormat'
+ *     responses:
+ *       200:
+ *         description: Students, most loans first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 students:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       student_id:
+ *                         type: integer
+ *                       full_name:
+ *                         type: string
+ *                       id_card:
+ *                         type: string
+ *                       class:
+ *                         type: string
+ *                       loans:
+ *                         type: integer
+ *                       titles:
+ *                         type: integer
+ *                         description: Different books borrowed
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get("/top-students", permit("reports:read"), reportQuery(LIMIT_PROPERTY), async (req, res) => {
+  const students = await reports.mostActiveStudents(await reportFilters(req.query));
+  respond(req, res, "top-students", columns("student_id", "full_name", "id_card", "class", "loans", "titles"), students, { students });
+});
+
+/**
+ * @swagger
+ * /api/reports/top-classes:
+ *   get:
+ *     summary: Classes whose students borrow most
+ *     description: Students without a class are counted together, with `class` null.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - $ref: '#/components/parameters/ReportCategory'
+ *       - $ref: '#/components/parameters/ReportLimit'
+ *       - $ref: '#/components/parameters/ReportFormat'
+ *     responses:
+ *       200:
+ *         description: Classes, most loans first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 classes:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       class:
+ *                         type: string
+ *                         nullable: true
+ *                       loans:
+ *                         type: integer
+ *                       borrowers:
+ *                         type: integer
+ *                         description: Different students who borrowed
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get("/top-classes", permit("reports:read"), reportQuery(LIMIT_PROPERTY), async (req, res) => {
+  const classes = await reports.mostActiveClasses(await reportFilters(req.query));
+  respond(req, res, "top-classes", columns("class", "loans", "borrowers"), classes, { classes });
+});
+
+/**
+ * @swagger
+ * /api/reports/never-borrowed:
+ *   get:
+ *     summary: Books nobody has borrowed
+ *     description: >
+ *       Books in the catalogue with no loan between `from` and `to`, or none
+ *       ever when no dates are given. Archived books are left out.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - $ref: '#/components/parameters/ReportCategory'
+ *       - $ref: '#/components/parameters/ReportFormat'
+ *     responses:
+ *       200:
+ *         description: Books, oldest additions first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 books:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       book_id:
+ *                         type: integer
+ *                       title:
+ *                         type: string
+ *                       author_name:
+ *                         type: string
+ *                       category:
+ *                         type: string
+ *                       total_copies:
+ *                         type: integer
+ *                       created_at:
+ *                         type: string
+ *                         format: date-time
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get("/never-borrowed", permit("reports:read"), reportQuery(), async (req, res) => {
+  const books = await reports.neverBorrowedBooks(await reportFilters(req.query));
+  respond(req, res, "never-borrowed", columns("book_id", "title", "author_name", "category", "total_copies", "created_at"), books, { books });
+});
+
+/**
+ * @swagger
+ * /api/reports/loan-duration:
+ *   get:
+ *     summary: How long returned loans were kept
+ *     description: Only loans that have been returned count.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - $ref: '#/components/parameters/ReportCategory'
+ *       - $ref: '#/components/parameters/ReportFormat'
+ *     responses:
+ *       200:
+ *         description: Durations in days, to one decimal; null when no loan was returned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 returned_loans:
+ *                   type: integer
+ *                 average_days:
+ *                   type: number
+ *                   nullable: true
+ *                 shortest_days:
+ *                   type: number
+ *                   nullable: true
+ *                 longest_days:
+ *                   type: number
+ *                   nullable: true
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get("/loan-duration", permit("reports:read"), reportQuery(), async (req, res) => {
+  const duration = await reports.loanDuration(await reportFilters(req.query));
+  respond(req, res, "loan-duration", columns(...Object.keys(duration)), [duration], duration);
+});
+
+/**
+ * @swagger
+ * /api/reports/overdue-rate:
+ *   get:
+ *     summary: Share of current loans that are overdue
+ *     description: >
+ *       Counts the loans out right now; `from` and `to` narrow them down to
+ *       those made in the range.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - $ref: '#/components/parameters/ReportCategory'
+ *       - $ref: '#/components/parameters/ReportFormat'
+ *     responses:
+ *       200:
+ *         description: The rate
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 active_loans:
+ *                   type: integer
+ *                 overdue_loans:
+ *                   type: integer
+ *                 overdue_rate:
+ *                   type: number
+ *                   nullable: true
+ *                   example: 0.125
+ *                   description: overdue_loans / active_loans; null when nothing is on loan
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get("/overdue-rate", permit("reports:read"), reportQuery(), async (req, res) => {
+  const rate = await reports.overdueRate(await reportFilters(req.query));
+  respond(req, res, "overdue-rate", columns(...Object.keys(rate)), [rate], rate);
+});
+
+module.exports = router;
@@ -0,0 +1,295 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db/connection");
+const { permit } = require("../middleware/auth");
+const withTransaction = require("../db/transaction");
+const { clearPermissionCache } = require("../services/permissions");
+const { recordAudit } = require("../services/audit");
+const { validate } = require("../middleware/validate");
+const { badRequest, notFound, conflict } = require("../utils/errors");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Roles
+ *   description: Staff roles and the permissions granted to each (needs `roles:manage`)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Role:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: volunteer
+ *         description:
+ *           type: string
+ *         is_system:
+ *           type: integer
+ *           description: 1 for built-in roles, which cannot be deleted
+ *         user_count:
+ *           type: integer
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["catalog:read", "borrows:checkout", "borrows:return"]
+ */
+
+// `student` and `staff` mean something to middleware/auth.js already
+const RESERVED_NAMES = ["student", "staff"];
+
+const loadRoles = async (name = null) => {
+  const [roles] = await db.execute(
+    `SELECT r.name, r.description, r.is_system,
+       (SELECT COUNT(*) FROM users WHERE users.role = r.name) AS user_count,
+       GROUP_CONCAT(rp.permission ORDER BY rp.permission) AS permissions
+     FROM roles r
+     LEFT JOIN role_permissions rp ON rp.role = r.name
+     ${name ? "WHERE r.name = ?" : ""}
+     GROUP BY r.name
+     ORDER BY r.name`,
+    name ? [name] : []
+  );
+  return roles.map((role) => ({ ...role, permissions: role.permissions ? role.permissions.split(",") : [] }));
+};
+
+// Names in `permissions` that are not real permissions
+const findUnknownPermissions = async (permissions, conn) => {
+  if (!permissions.length) return [];
+  const [rows] = await conn.query("SELECT name FROM permissions WHERE name IN (?)", [permissions]);
+  const known = new Set(rows.map((row) => row.name));
+  return permissions.filter((permission) => !known.has(permission));
+};
+
+const assertKnownPermissions = async (permissions, conn) => {
+  const unknown = await findUnknownPermissions(permissions, conn);
+  if (unknown.length) throw badRequest("Unknown permissions", "UNKNOWN_PERMISSIONS", { unknown });
+};
+
+const replacePermissions = async (role, permissions, conn) => {
+  await conn.execute("DELETE FROM role_permissions WHERE role = ?", [role]);
+  if (permissions.length) {
+    await conn.query(
+      "INSERT INTO role_permissions (role, permission) VALUES ?",
+      [permissions.map((permission) => [role, permission])]
+    );
+  }
+};
+
+/**
+ * @swagger
+ * /api/roles:
+ *   get:
+ *     summary: Get every role with its permissions
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Role'
+ */
+router.get("/", permit("roles:manage"), async (req, res) => {
+  res.json(await loadRoles());
+});
+
+/**
+ * @swagger
+ * /api/roles/permissions:
+ *   get:
+ *     summary: Get every permission that can be granted
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permission names and what they allow
+ */
+router.get("/permissions", permit("roles:manage"), async (req, res) => {
+  const [permissions] = await db.execute("SELECT name, description FROM permissions ORDER BY name");
+  res.json(permissions);
+});
+
+/**
+ * @swagger
+ * /api/roles:
+ *   post:
+ *     summary: Create a role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RoleInput'
+ *     responses:
+ *       201:
+ *         description: Role created
+ *       400:
+ *         description: Invalid or reserved name (RESERVED_NAME), or unknown permissions (UNKNOWN_PERMISSIONS)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Role already exists (code ROLE_EXISTS)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/", permit("roles:manage"), validate({ body: "RoleInput" }), async (req, res) => {
+  const { name, description } = req.body;
+  const permissions = req.body.permissions || [];
+
+  if (RESERVED_NAMES.includes(name)) throw badRequest(`"${name}" is a reserved name`, "RESERVED_NAME");
+
+  await withTransaction(async (conn) => {
+    await assertKnownPermissions(permissions, conn);
+    await conn.execute("INSERT INTO roles (name, description) VALUES (?, ?)", [name, description ?? null]);
+    await replacePermissions(name, permissions, conn);
+    await recordAudit(req, {
+      action: "create", entity: "role", entityId: name, after: { name, description: description ?? null, permissions }
+    }, conn);
+  }).catch((err) => {
+    if (err.code === "ER_DUP_ENTRY") throw conflict("A role with this name already exists", "ROLE_EXISTS");
+    throw err;
+  });
+
+  res.status(201).json({ message: "Role created", name });
+});
+
+/**
+ * @swagger
+ * /api/roles/{name}:
+ *   put:
+ *     summary: Update a role's description and replace its permissions
+ *     description: >
+ *       `permissions` replaces the whole list. You cannot remove `roles:manage`
+ *       from your own role, so nobody can lock themselves out.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Role name
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RoleUpdate'
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Role'
+ *       400:
+ *         description: Unknown permissions (UNKNOWN_PERMISSIONS), or removing roles:manage from your own role (SELF_LOCKOUT)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.put("/:name", permit("roles:manage"), validate({ body: "RoleUpdate" }), async (req, res) => {
+  const { description, permissions } = req.body;
+  const { name } = req.params;
+
+  if (permissions && name === req.user.role && !permissions.includes("roles:manage")) {
+    throw badRequest("You cannot remove roles:manage from your own role", "SELF_LOCKOUT");
+  }
+
+  const before = (await loadRoles(name))[0];
+  await withTransaction(async (conn) => {
+    const [[role]] = await conn.execute("SELECT name FROM roles WHERE name = ? FOR UPDATE", [name]);
+    if (!role) throw notFound("Role not found");
+
+    if (permissions) {
+      await assertKnownPermissions(permissions, conn);
+      await replacePermissions(name, permissions, conn);
+    }
+    if (description !== undefined) {
+      await conn.execute("UPDATE roles SET description = ? WHERE name = ?", [description, name]);
+    }
+    await recordAudit(req, {
+      action: "update", entity: "role", entityId: name, before,
+      after: {
+        ...before,
+        description: description !== undefined ? description : before.description,
+        permissions: permissions || before.permissions
+      }
+    }, conn);
+  });
+
+  clearPermissionCache();
+  const [role] = await loadRoles(name);
+  res.json(role);
+});
+
+/**
+ * @swagger
+ * /api/roles/{name}:
+ *   delete:
+ *     summary: Delete a role
+ *     description: Built-in roles and roles still given to a user cannot be deleted.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Role name
+ *     responses:
+ *       200:
+ *         description: Role deleted
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Built-in role (SYSTEM_ROLE), or users still have it (ROLE_IN_USE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete("/:name", permit("roles:manage"), async (req, res) => {
+  const [[role]] = await db.execute("SELECT name, is_system FROM roles WHERE name = ?", [req.params.name]);
+  if (!role) throw notFound("Role not found");
+  if (role.is_system) throw conflict("Built-in roles cannot be deleted", "SYSTEM_ROLE");
+
+  const [before] = await loadRoles(role.name);
+  await withTransaction(async (conn) => {
+    await conn.execute("DELETE FROM roles WHERE name = ?", [role.name]);
+    await recordAudit(req, { action: "delete", entity: "role", entityId: role.name, before }, conn);
+  }).catch((err) => {
+    if (err.code === "ER_ROW_IS_REFERENCED_2") {
+      throw conflict("Users still have this role; give them another role first", "ROLE_IN_USE");
+    }
+    throw err;
+  });
+  clearPermissionCache();
+  res.json({ message: "Role deleted" });
+});
+
+module.exports = router;
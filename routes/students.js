@@ -1,8 +1,40 @@
 const express = require("express");
+const bcrypt = require("bcryptjs");
 const db = require("../db/connection");
-const auth = require("../middleware/auth");
+const { permit } = require("../middleware/auth");
+const { validate, validateId, PAGE_QUERY_PROPERTIES } = require("../middleware/validate");
+const { clearFailures } = require("../services/loginGuard");
+const { revokeAllSessions } = require("../services/sessions");
+const { snapshot, recordAudit, auditedUpdate } = require("../services/audit");
+const { archiveStudent, restore } = require("../services/archive");
+const withTransaction = require("../db/transaction");
+const { readSpreadsheet } = require("../services/spreadsheets");
+const { importStudents } = require("../services/imports");
+const { uploadFile } = require("../middleware/upload");
+const { loadCardholder, libraryCardPdf } = require("../services/documents");
+const { HISTORY_QUERY_PROPERTIES, borrowHistoryPage } = require("../services/borrowHistory");
+const { sendCsv } = require("../utils/csv");
+const { sendPdf } = require("../utils/pdf");
+const { notFound, conflict } = require("../utils/errors");
 const router = express.Router();
 
+router.param("id", validateId);
+
+// Audit target for the student named in the route
+const studentRow = (req, action) => ({ table: "students", entity: "student", id: req.params.id, action });
+
+const STUDENT_EXPORT_COLUMNS = [
+  { key: "id", header: "id" },
+  { key: "full_name", header: "full_name" },
+  { key: "id_card", header: "id_card" },
+  { key: "class", header: "class" },
+  { key: "created_at", header: "created_at" },
+];
+
+const idCardTaken = (err) => {
+  if (err.code === "ER_DUP_ENTRY") throw conflict("A student with this ID card already exists", "ID_CARD_TAKEN");
+  throw err;
+};
 
 /**
  * @swagger
@@ -15,25 +47,32 @@ const router = express.Router();
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/Student'
+ *             $ref: '#/components/schemas/StudentInput'
  *     responses:
  *       201:
  *         description: Student created successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       409:
+ *         description: ID card already in use (code ID_CARD_TAKEN)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.post("", auth(["liberian"]), async (req, res) => {
+router.post("", permit("students:write"), validate({ body: "StudentInput" }), async (req, res) => {
   const { full_name, id_card, student_class } = req.body;
 
-  try {
-    await db.execute("INSERT INTO students (full_name, id_card, class, created_by) VALUES (?, ?, ?, ?)", [
-      full_name,
-      id_card,
-      student_class,
-      req.user.id
-    ]);
-    res.status(201).json({ message: "Student created" });
-  } catch (err) {
-    res.status(500).json({ error: "Something went wrong" });
-  }
+  const [result] = await db.execute("INSERT INTO students (full_name, id_card, class, created_by) VALUES (?, ?, ?, ?)", [
+    full_name,
+    id_card,
+    student_class ?? null,
+    req.user.id
+  ]).catch(idCardTaken);
+  await recordAudit(req, {
+    action: "create", entity: "student", entityId: result.insertId, after: await snapshot("students", result.insertId)
+  });
+  res.status(201).json({ message: "Student created" });
 });
 
 /**
@@ -83,6 +122,7 @@ router.post("", auth(["liberian"]), async (req, res) => {
  *         schema:
  *           type: integer
  *           default: 10
+ *           maximum: 100
  *         description: Number of students per page
  *     security:
  *       - bearerAuth: []
@@ -121,12 +161,14 @@ router.post("", auth(["liberian"]), async (req, res) => {
  *                         type: string
  *                       created_by:
  *                         type: integer
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.get("", async (req, res) => {
+router.get("", permit("students:read"), validate({ query: { type: "object", properties: PAGE_QUERY_PROPERTIES } }), async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
   const offset = (page - 1) * limit;
-  const totalStudentsQuery = "SELECT COUNT(*) AS total FROM students";
+  const totalStudentsQuery = "SELECT COUNT(*) AS total FROM students WHERE deleted_at IS NULL";
   const [totalStudentsResult] = await db.execute(totalStudentsQuery);
   const totalStudents = totalStudentsResult[0].total;
   const totalPages = Math.ceil(totalStudents / limit);
@@ -136,23 +178,18 @@ router.get("", async (req, res) => {
       SELECT
         students.id, students.full_name, students.id_card, students.class, students.created_by
       FROM students
+      WHERE students.deleted_at IS NULL
       LIMIT ${limit} OFFSET ${offset}
     `;
 
-  try {
-    const [students] = await db.execute(query);
-    res.json({
-      currentPage: page,
-      limit: limit,
-      totalPages: totalPages,
-      totalStudents: totalStudents,
-      students: students
-    });
-
-  } catch (error) {
-    console.error(err);
-    res.status(500).json({ error: "Failed to fetch students" });
-  }
+  const [students] = await db.execute(query);
+  res.json({
+    currentPage: page,
+    limit: limit,
+    totalPages: totalPages,
+    totalStudents: totalStudents,
+    students: students
+  });
 });
 
 
@@ -188,23 +225,174 @@ router.get("", async (req, res) => {
  *                     type: string
  *                   full_name:
  *                     type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.get("/search", auth(["liberian"]), async (req, res) => {
+router.get("/search", permit("students:read"), validate({
+  query: { type: "object", required: ["query"], properties: { query: { type: "string", maxLength: 150 } } }
+}), async (req, res) => {
   const { query } = req.query;
-  if (!query) return res.status(400).json({ message: "Missing query" });
-
-  try {
-    const [rows] = await db.execute(
-      `SELECT id, id_card, full_name
-       FROM students
-       WHERE id_card LIKE ? OR full_name LIKE ?
-       LIMIT 10`,
-      [`%${query}%`, `%${query}%`]
-    );
-    res.json(rows);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
+
+  const [rows] = await db.execute(
+    `SELECT id, id_card, full_name
+     FROM students
+     WHERE deleted_at IS NULL AND (id_card LIKE ? OR full_name LIKE ?)
+     LIMIT 10`,
+    [`%${query}%`, `%${query}%`]
+  );
+  res.json(rows);
+});
+
+/**
+ * @swagger
+ * /api/students/archived:
+ *   get:
+ *     summary: Get archived students with pagination
+ *     tags: [Students]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *         description: Number of students per page
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Archived students, most recently archived first
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get("/archived", permit("students:read"), validate({ query: { type: "object", properties: PAGE_QUERY_PROPERTIES } }), async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const offset = (page - 1) * limit;
+
+  const [[{ total }]] = await db.execute("SELECT COUNT(*) AS total FROM students WHERE deleted_at IS NOT NULL");
+  const totalPages = Math.ceil(total / limit);
+
+  const [students] = await db.execute(
+    `SELECT id, full_name, id_card, class, deleted_at, deleted_by
+     FROM students
+     WHERE deleted_at IS NOT NULL
+     ORDER BY deleted_at DESC
+     LIMIT ${limit} OFFSET ${offset}`
+  );
+
+  res.json({
+    currentPage: page,
+    limit: limit,
+    totalPages: totalPages,
+    totalStudents: total,
+    students: students
+  });
+});
+
+/**
+ * @swagger
+ * /api/students/import:
+ *   post:
+ *     summary: Import students from a CSV or XLSX file
+ *     description: >
+ *       The first row names the columns: `full_name`, `id_card` and `class`.
+ *       Every row is checked first; if any has a problem nothing is imported
+ *       and the problems come back by row. With `dry_run=true` the file is
+ *       only checked. An `id_card` used twice in the file, or already given
+ *       to a student (archived ones included), is an error.
+ *     tags: [Students]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dry_run
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Check the file and report, without importing
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Dry run report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ *       201:
+ *         description: Every row imported
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ *       400:
+ *         description: >
+ *           The file has errors (IMPORT_INVALID, with one detail per problem
+ *           and its `row`), is missing, empty or has too many rows
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       413:
+ *         description: File too large (code FILE_TOO_LARGE)
+ *       415:
+ *         description: Not a .csv or .xlsx file (code UNSUPPORTED_FILE_TYPE)
+ */
+router.post("/import", permit("students:write"), uploadFile(), validate({
+  query: { type: "object", properties: { dry_run: { type: "boolean" } } }
+}), async (req, res) => {
+  const dryRun = req.query.dry_run === "true";
+  const rows = await readSpreadsheet(req.file);
+
+  const result = await importStudents(req, rows, { dryRun });
+  res.status(dryRun ? 200 : 201).json(result);
+});
+
+/**
+ * @swagger
+ * /api/students/export:
+ *   get:
+ *     summary: Download the students as CSV
+ *     description: >
+ *       Archived students are left out. The columns are the ones
+ *       /api/students/import reads, plus `id` and `created_at`.
+ *     tags: [Students]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: students.csv
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ */
+router.get("/export", permit("students:read"), async (req, res) => {
+  const [students] = await db.execute(
+    `SELECT id, full_name, id_card, class, created_at
+     FROM students
+     WHERE deleted_at IS NULL
+     ORDER BY full_name`
+  );
+
+  sendCsv(res, "students.csv", STUDENT_EXPORT_COLUMNS, students);
 });
 
 /**
@@ -225,23 +413,21 @@ router.get("/search", auth(["liberian"]), async (req, res) => {
  *     responses:
  *       200:
  *         description: Student details
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
  */
-router.get("/:id", auth(["liberian"]), async (req, res) => {
+router.get("/:id", permit("students:read"), async (req, res) => {
   const studentId = req.params.id;
 
-  try {
-    const query = "SELECT * FROM students WHERE id = ?";
-    const [student] = await db.execute(query, [studentId]);
+  const query = `SELECT id, full_name, id_card, class, created_by, created_at,
+      suspended_at, suspended_until, suspension_reason,
+      password IS NOT NULL AS has_login, last_login_at, locked_until, deleted_at
+    FROM students WHERE id = ?`;
+  const [student] = await db.execute(query, [studentId]);
 
-    if (student.length === 0) {
-      return res.status(404).json({ error: "Student not found" });
-    }
+  if (student.length === 0) throw notFound("Student not found");
 
-    res.json(student[0]);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: "Failed to fetch student" });
-  }
+  res.json(student[0]);
 }
 );
 
@@ -263,38 +449,203 @@ router.get("/:id", auth(["liberian"]), async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/Student'
+ *             $ref: '#/components/schemas/StudentInput'
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: Student updated successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Student is archived (STUDENT_ARCHIVED), or the ID card is already in use (ID_CARD_TAKEN)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.put("/:id", auth(["liberian"]), async (req, res) => {
-  const studentId = req.params.id;
+router.put("/:id", permit("students:write"), validate({ body: "StudentInput" }), async (req, res) => {
   const { full_name, id_card, student_class } = req.body;
 
-  try {
-    const query = `UPDATE students SET full_name = '${full_name}', id_card = '${id_card}', class = '${student_class}' WHERE id = ${studentId}`;
-    const [result] = await db.execute(query);
+  const [[student]] = await db.execute("SELECT deleted_at FROM students WHERE id = ?", [req.params.id]);
+  if (student && student.deleted_at) {
+    throw conflict("Student is archived; restore them before editing", "STUDENT_ARCHIVED");
+  }
+
+  const updated = await auditedUpdate(req, studentRow(req, "update"), (id) => db.execute(
+    "UPDATE students SET full_name = ?, id_card = ?, class = ? WHERE id = ?",
+    [full_name, id_card, student_class ?? null, id]
+  )).catch(idCardTaken);
 
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ error: "Student not found" });
-    }
+  if (!updated) throw notFound("Student not found");
 
-    res.json({ message: "Student updated successfully" });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: "Failed to update student" });
-  }
+  res.json({ message: "Student updated successfully" });
 }
 );
 
+/**
+ * @swagger
+ * /api/students/{id}/password:
+ *   put:
+ *     summary: Set the password a student logs in with
+ *     description: >
+ *       Students log in at /api/auth/student/login with their ID card and this
+ *       password. Every session the student already has is logged out.
+ *     tags: [Students]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Student ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StudentPassword'
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Password set
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.put("/:id/password", permit("students:write"), validate({ body: "StudentPassword" }), async (req, res) => {
+  const { password } = req.body;
+
+  const hash = await bcrypt.hash(password, 10);
+  const updated = await withTransaction((conn) =>
+    auditedUpdate(req, studentRow(req, "set_password"), async (id) => {
+      await conn.execute("UPDATE students SET password = ? WHERE id = ?", [hash, id]);
+      await revokeAllSessions("student", id, conn);
+    }, conn)
+  );
+
+  if (!updated) throw notFound("Student not found");
+
+  res.json({ message: "Student password set" });
+});
+
+/**
+ * @swagger
+ * /api/students/{id}/suspend:
+ *   put:
+ *     summary: Suspend a student's borrowing privileges
+ *     tags: [Students]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Student ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Suspension'
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Student suspended
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.put("/:id/suspend", permit("students:write"), validate({ body: "Suspension" }), async (req, res) => {
+  const { reason, until } = req.body;
+  const suspendedUntil = until ? new Date(until) : null;
+
+  const updated = await auditedUpdate(req, studentRow(req, "suspend"), (id) => db.execute(
+    "UPDATE students SET suspended_at = NOW(), suspended_until = ?, suspension_reason = ? WHERE id = ?",
+    [suspendedUntil, reason, id]
+  ));
+
+  if (!updated) throw notFound("Student not found");
+
+  res.json({ message: "Student suspended" });
+});
+
+/**
+ * @swagger
+ * /api/students/{id}/reinstate:
+ *   put:
+ *     summary: Lift a student's suspension
+ *     tags: [Students]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Student ID
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Student reinstated
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.put("/:id/reinstate", permit("students:write"), async (req, res) => {
+  const updated = await auditedUpdate(req, studentRow(req, "reinstate"), (id) => db.execute(
+    "UPDATE students SET suspended_at = NULL, suspended_until = NULL, suspension_reason = NULL WHERE id = ?",
+    [id]
+  ));
+
+  if (!updated) throw notFound("Student not found");
+
+  res.json({ message: "Student reinstated" });
+});
+
+/**
+ * @swagger
+ * /api/students/{id}/unlock:
+ *   put:
+ *     summary: Unlock a student login locked after too many wrong passwords
+ *     tags: [Students]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Student ID
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.put("/:id/unlock", permit("students:write"), async (req, res) => {
+  if (!(await auditedUpdate(req, studentRow(req, "unlock"), (id) => clearFailures("student", id)))) {
+    throw notFound("Student not found");
+  }
+
+  res.json({ message: "Account unlocked" });
+});
+
 /**
  * @swagger
  * /api/students/{id}:
  *   delete:
- *     summary: Delete a student by ID
+ *     summary: Archive a student
+ *     description: >
+ *       The student is hidden from listings and search, can no longer borrow
+ *       or log in, and can be restored; their loan history and fines are
+ *       kept. Refused while they have books out. Their holds are cancelled.
  *     tags: [Students]
  *     parameters:
  *       - in: path
@@ -307,26 +658,170 @@ router.put("/:id", auth(["liberian"]), async (req, res) => {
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Student deleted successfully
+ *         description: Student archived
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Student has books out (STUDENT_HAS_LOANS) or is already archived (ALREADY_ARCHIVED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.delete("/:id", auth(["liberian"]), async (req, res) => {
-  const studentId = req.params.id;
+router.delete("/:id", permit("students:delete"), async (req, res) => {
+  const outcome = await withTransaction(async (conn) => {
+    const before = await snapshot("students", req.params.id, conn);
+    const result = await archiveStudent(req.params.id, req.user.id, conn);
+    if (result.cancelledHolds !== undefined) {
+      await recordAudit(req, {
+        action: "archive", entity: "student", entityId: before.id, before, after: await snapshot("students", before.id, conn)
+      }, conn);
+    }
+    return result;
+  });
+
+  if (outcome.notFound) throw notFound("Student not found");
+  if (outcome.alreadyArchived) throw conflict("Student is already archived", "ALREADY_ARCHIVED");
+  if (outcome.activeLoans) {
+    throw conflict("Student still has books out; check them in before archiving", "STUDENT_HAS_LOANS", {
+      active_loans: outcome.activeLoans
+    });
+  }
 
-  try {
-    const query = "DELETE FROM students WHERE id = ?";
-    const [result] = await db.execute(query, [studentId]);
+  res.json({ message: "Student archived successfully", cancelled_holds: outcome.cancelledHolds });
+});
 
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ error: "Student not found" });
+/**
+ * @swagger
+ * /api/students/{id}/card:
+ *   get:
+ *     summary: Print a student's library card
+ *     description: >
+ *       A card-sized PDF with the student's id_card as a barcode or QR code,
+ *       for scanning at the desk. Archived students get no card.
+ *     tags: [Students]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *           enum: [code128, qrcode]
+ *           default: code128
+ *     responses:
+ *       200:
+ *         description: The card
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get("/:id/card", permit("students:read"), validate({
+  query: { type: "object", properties: { code: { type: "string", enum: ["code128", "qrcode"] } } }
+}), async (req, res) => {
+  const student = await loadCardholder(req.params.id);
+  if (!student) throw notFound("Student not found");
+
+  sendPdf(res, `library-card-${student.id}.pdf`, await libraryCardPdf(student, req.query.code || "code128"));
+});
+
+/**
+ * @swagger
+ * /api/students/{id}/borrows:
+ *   get:
+ *     summary: Get a student's loan history
+ *     description: Same filters and paginated shape as GET /api/borrows.
+ *     tags: [Students]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - $ref: '#/components/parameters/BorrowStatus'
+ *       - $ref: '#/components/parameters/BorrowFrom'
+ *       - $ref: '#/components/parameters/BorrowTo'
+ *       - $ref: '#/components/parameters/BorrowClass'
+ *       - $ref: '#/components/parameters/BorrowSort'
+ *       - $ref: '#/components/parameters/BorrowPage'
+ *       - $ref: '#/components/parameters/BorrowLimit'
+ *     responses:
+ *       200:
+ *         description: Borrow records with pagination, newest first by default
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BorrowPage'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get("/:id/borrows", permit("borrows:read"), validate({
+  query: { type: "object", properties: HISTORY_QUERY_PROPERTIES }
+}), async (req, res) => {
+  const [[student]] = await db.execute("SELECT id FROM students WHERE id = ?", [req.params.id]);
+  if (!student) throw notFound("Student not found");
+
+  res.json(await borrowHistoryPage(req.query, { studentId: student.id }));
+});
+
+/**
+ * @swagger
+ * /api/students/{id}/restore:
+ *   post:
+ *     summary: Restore an archived student
+ *     tags: [Students]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Student ID
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Student restored
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Student is not archived (code NOT_ARCHIVED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/:id/restore", permit("students:delete"), async (req, res) => {
+  const outcome = await withTransaction(async (conn) => {
+    const before = await snapshot("students", req.params.id, conn);
+    const result = await restore("student", req.params.id, conn);
+    if (!result.notFound && !result.notArchived) {
+      await recordAudit(req, {
+        action: "restore", entity: "student", entityId: before.id, before, after: await snapshot("students", before.id, conn)
+      }, conn);
     }
+    return result;
+  });
 
-    res.json({ message: "Student deleted successfully" });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: "Failed to delete student" });
-  }
-}
-);
+  if (outcome.notFound) throw notFound("Student not found");
+  if (outcome.notArchived) throw conflict("Student is not archived", "NOT_ARCHIVED");
 
+  res.json({ message: "Student restored" });
+});
 
 module.exports = router;
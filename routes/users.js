@@ -0,0 +1,526 @@
+const express = require("express");
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const router = express.Router();
+const db = require("../db/connection");
+const { permit } = require("../middleware/auth");
+const { validate, validateId, PAGE_QUERY_PROPERTIES } = require("../middleware/validate");
+const withTransaction = require("../db/transaction");
+const { revokeAllSessions } = require("../services/sessions");
+const { createPasswordToken, sendPasswordEmail } = require("../services/passwords");
+const { roleExists } = require("../services/permissions");
+const { clearFailures } = require("../services/loginGuard");
+const { snapshot, recordAudit, auditedUpdate } = require("../services/audit");
+const { AppError, badRequest, notFound, conflict } = require("../utils/errors");
+
+router.param("id", validateId);
+
+const USER_COLUMNS =
+  "users.id, users.full_name, users.username, users.email, users.role, users.is_active, " +
+  "users.password_changed_at, users.locked_until, users.created_by, users.created_at";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Users
+ *   description: Manage staff accounts (needs the `users:manage` permission)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StaffUser:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         full_name:
+ *           type: string
+ *         username:
+ *           type: string
+ *         email:
+ *           type: string
+ *         role:
+ *           type: string
+ *           description: Name of a role from /api/roles
+ *         is_active:
+ *           type: integer
+ *           description: 0 once the account has been deactivated
+ *         password_changed_at:
+ *           type: string
+ *           format: date-time
+ *         locked_until:
+ *           type: string
+ *           format: date-time
+ *           description: Set while the account is locked after too many wrong passwords
+ *         created_by:
+ *           type: integer
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+// Audit target for the user named in the route
+const userRow = (req, action) => ({ table: "users", entity: "user", id: req.params.id, action });
+
+const assertRoleExists = async (role) => {
+  if (!(await roleExists(role))) throw badRequest(`Unknown role '${role}'`, "UNKNOWN_ROLE");
+};
+
+const notYourself = (req, message) => {
+  if (Number(req.params.id) === req.user.id) throw badRequest(message, "SELF_CHANGE");
+};
+
+// Mails an invite or reset link, reporting failure instead of throwing so the
+// account change that came before it still succeeds.
+const mailPasswordLink = async (user, purpose, token) => {
+  try {
+    await sendPasswordEmail(user, purpose, token);
+    return true;
+  } catch (err) {
+    console.error(err);
+    return false;
+  }
+};
+
+/**
+ * @swagger
+ * /api/users:
+ *   get:
+ *     summary: Get staff accounts with pagination
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *         description: Limit per page
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Filter by name, username or email
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of staff accounts with pagination
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get("/", permit("users:manage"), validate({
+  query: {
+    type: "object",
+    properties: {
+      search: { type: "string", maxLength: 150 },
+      role: { type: "string", maxLength: 20 },
+      ...PAGE_QUERY_PROPERTIES,
+    }
+  }
+}), async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const offset = (page - 1) * limit;
+  const { search, role } = req.query;
+
+  const conditions = [];
+  const params = [];
+  if (search) {
+    conditions.push("(users.full_name LIKE ? OR users.username LIKE ? OR users.email LIKE ?)");
+    params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+  }
+  if (role) {
+    conditions.push("users.role = ?");
+    params.push(role);
+  }
+  const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+
+  const [[{ total }]] = await db.execute(`SELECT COUNT(*) AS total FROM users ${where}`, params);
+  const totalPages = Math.ceil(total / limit);
+
+  const [users] = await db.execute(
+    `SELECT ${USER_COLUMNS}
+     FROM users
+     ${where}
+     ORDER BY users.full_name
+     LIMIT ${limit} OFFSET ${offset}`,
+    params
+  );
+
+  res.json({
+    currentPage: page,
+    limit: limit,
+    totalPages: totalPages,
+    totalUsers: total,
+    users: users
+  });
+});
+
+/**
+ * @swagger
+ * /api/users:
+ *   post:
+ *     summary: Create or invite a staff account
+ *     description: >
+ *       With a password the account can log in straight away. Without one an
+ *       invite is emailed with a link to set the password, so `email` is
+ *       required.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StaffUserInput'
+ *     responses:
+ *       201:
+ *         description: Account created; `invite_sent` tells whether the invite email went out
+ *       400:
+ *         description: Invalid fields, unknown role (UNKNOWN_ROLE), or neither password nor email (EMAIL_REQUIRED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Username or email already in use (code USER_EXISTS)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/", permit("users:manage"), validate({ body: "StaffUserInput" }), async (req, res) => {
+  const { full_name, username, email, password } = req.body;
+  const role = req.body.role || "liberian";
+
+  if (!password && !email) {
+    throw badRequest("email is required to send an invite when no password is given", "EMAIL_REQUIRED");
+  }
+  await assertRoleExists(role);
+
+  // Invited accounts get a random password nobody knows until they set their own
+  const hash = await bcrypt.hash(password || crypto.randomBytes(32).toString("hex"), 10);
+
+  const { id, token } = await withTransaction(async (conn) => {
+    const [result] = await conn.execute(
+      `INSERT INTO users (full_name, username, email, password, password_changed_at, role, created_by)
+       VALUES (?, ?, ?, ?, ${password ? "NOW()" : "NULL"}, ?, ?)`,
+      [full_name, username, email || null, hash, role, req.user.id]
+    );
+    await recordAudit(req, {
+      action: password ? "create" : "invite", entity: "user", entityId: result.insertId,
+      after: await snapshot("users", result.insertId, conn)
+    }, conn);
+    const inviteToken = password ? null : await createPasswordToken(result.insertId, "invite", conn);
+    return { id: result.insertId, token: inviteToken };
+  }).catch((err) => {
+    if (err.code === "ER_DUP_ENTRY") throw conflict("A user with this username or email already exists", "USER_EXISTS");
+    throw err;
+  });
+
+  if (!token) return res.status(201).json({ message: "User created", id });
+
+  const inviteSent = await mailPasswordLink({ email, full_name, username }, "invite", token);
+  res.status(201).json({ message: "User invited", id, invite_sent: inviteSent });
+});
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   get:
+ *     summary: Get a staff account by ID
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Staff account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StaffUser'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get("/:id", permit("users:manage"), async (req, res) => {
+  const [[user]] = await db.execute(`SELECT ${USER_COLUMNS} FROM users WHERE users.id = ?`, [req.params.id]);
+  if (!user) throw notFound("User not found");
+
+  res.json(user);
+});
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   put:
+ *     summary: Update a staff account's name or email
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UserUpdate'
+ *     responses:
+ *       200:
+ *         description: User updated
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Email already in use (code USER_EXISTS)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put("/:id", permit("users:manage"), validate({ body: "UserUpdate" }), async (req, res) => {
+  const { full_name, email } = req.body;
+
+  const updated = await auditedUpdate(req, userRow(req, "update"), (id) => db.execute(
+    "UPDATE users SET full_name = COALESCE(?, full_name), email = COALESCE(?, email) WHERE id = ?",
+    [full_name || null, email || null, id]
+  )).catch((err) => {
+    if (err.code === "ER_DUP_ENTRY") throw conflict("A user with this email already exists", "USER_EXISTS");
+    throw err;
+  });
+  if (!updated) throw notFound("User not found");
+
+  res.json({ message: "User updated successfully" });
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/role:
+ *   put:
+ *     summary: Assign a role to a staff account
+ *     description: >
+ *       Tokens issued under the old role stop working; the user picks up the
+ *       new role on their next refresh. Nobody can change their own role.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RoleAssignment'
+ *     responses:
+ *       200:
+ *         description: Role assigned
+ *       400:
+ *         description: Unknown role (UNKNOWN_ROLE), or changing your own role (SELF_CHANGE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.put("/:id/role", permit("users:manage"), validate({ body: "RoleAssignment" }), async (req, res) => {
+  const { role } = req.body;
+  notYourself(req, "You cannot change your own role");
+  await assertRoleExists(role);
+
+  const updated = await auditedUpdate(req, userRow(req, "assign_role"), (id) =>
+    db.execute("UPDATE users SET role = ? WHERE id = ?", [role, id])
+  );
+  if (!updated) throw notFound("User not found");
+
+  res.json({ message: `Role set to ${role}` });
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/deactivate:
+ *   put:
+ *     summary: Deactivate a staff account
+ *     description: The user is logged out everywhere and can no longer log in.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User deactivated
+ *       400:
+ *         description: Deactivating your own account (code SELF_CHANGE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.put("/:id/deactivate", permit("users:manage"), async (req, res) => {
+  notYourself(req, "You cannot deactivate your own account");
+
+  const found = await withTransaction((conn) =>
+    auditedUpdate(req, userRow(req, "deactivate"), async (id) => {
+      await conn.execute("UPDATE users SET is_active = 0 WHERE id = ?", [id]);
+      await revokeAllSessions("user", id, conn);
+    }, conn)
+  );
+  if (!found) throw notFound("User not found");
+
+  res.json({ message: "User deactivated" });
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/activate:
+ *   put:
+ *     summary: Reactivate a deactivated staff account
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User activated
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.put("/:id/activate", permit("users:manage"), async (req, res) => {
+  const updated = await auditedUpdate(req, userRow(req, "activate"), (id) =>
+    db.execute("UPDATE users SET is_active = 1 WHERE id = ?", [id])
+  );
+  if (!updated) throw notFound("User not found");
+
+  res.json({ message: "User activated" });
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/unlock:
+ *   put:
+ *     summary: Unlock a staff account locked after too many wrong passwords
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.put("/:id/unlock", permit("users:manage"), async (req, res) => {
+  if (!(await auditedUpdate(req, userRow(req, "unlock"), (id) => clearFailures("user", id)))) {
+    throw notFound("User not found");
+  }
+
+  res.json({ message: "Account unlocked" });
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/password-reset:
+ *   post:
+ *     summary: Email a staff member a link to set a new password
+ *     description: Also used to resend an invite that expired or was lost.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Link sent
+ *       400:
+ *         description: User has no email address (code NO_EMAIL)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       502:
+ *         description: The email could not be sent (code EMAIL_FAILED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/:id/password-reset", permit("users:manage"), async (req, res) => {
+  const [[user]] = await db.execute(
+    "SELECT id, full_name, username, email, password_changed_at FROM users WHERE id = ? AND is_active = 1",
+    [req.params.id]
+  );
+  if (!user) throw notFound("User not found");
+  if (!user.email) throw badRequest("User has no email address", "NO_EMAIL");
+
+  // Someone who never set a password gets the invite wording again
+  const purpose = user.password_changed_at ? "reset" : "invite";
+  const token = await createPasswordToken(user.id, purpose);
+  await recordAudit(req, { action: "send_password_link", entity: "user", entityId: user.id, after: { purpose } });
+
+  if (!(await mailPasswordLink(user, purpose, token))) {
+    throw new AppError(502, "EMAIL_FAILED", "Could not send the email");
+  }
+  res.json({ message: "Password link sent" });
+});
+
+module.exports = router;
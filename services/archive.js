@@ -0,0 +1,86 @@
+const { allocateReturnedCopy } = require("./holds");
+const { revokeAllSessions } = require("./sessions");
+
+// Books and students are archived instead of deleted: `deleted_at` hides them
+// from listings, search and lending while their loan history stays intact.
+// Every function here must run inside a transaction (db/transaction.js).
+
+const ARCHIVABLE = { book: "books", student: "students" };
+
+const lockRow = async (entity, id, conn) => {
+  const [[row]] = await conn.execute(`SELECT id, deleted_at FROM ${ARCHIVABLE[entity]} WHERE id = ? FOR UPDATE`, [id]);
+  return row || null;
+};
+
+const countActiveLoans = async (column, id, conn) => {
+  const [[{ active_loans }]] = await conn.execute(
+    `SELECT COUNT(*) AS active_loans FROM borrows WHERE ${column} = ? AND return_date IS NULL`,
+    [id]
+  );
+  return active_loans;
+};
+
+/**
+ * Archives a book. Refused while any copy is on loan. Holds on the book are
+ * cancelled and copies set aside for them go back on the shelf.
+ * Returns `{ notFound }`, `{ alreadyArchived }`, `{ activeLoans }` or
+ * `{ cancelledHolds }` on success.
+ */
+const archiveBook = async (bookId, deletedBy, conn) => {
+  const book = await lockRow("book", bookId, conn);
+  if (!book) return { notFound: true };
+  if (book.deleted_at) return { alreadyArchived: true };
+
+  const activeLoans = await countActiveLoans("book_id", book.id, conn);
+  if (activeLoans > 0) return { activeLoans };
+
+  const [result] = await conn.execute(
+    "UPDATE holds SET status = 'cancelled', closed_at = NOW() WHERE book_id = ? AND status IN ('waiting', 'ready')",
+    [book.id]
+  );
+  await conn.execute("UPDATE copies SET status = 'available' WHERE book_id = ? AND status = 'on_hold'", [book.id]);
+  await conn.execute("UPDATE books SET deleted_at = NOW(), deleted_by = ? WHERE id = ?", [deletedBy, book.id]);
+
+  return { cancelledHolds: result.affectedRows };
+};
+
+/**
+ * Archives a student. Refused while they have books out. Their holds are
+ * cancelled, with any copy set aside for them passed to the next student in
+ * line, and they are logged out everywhere. Returns the same shapes as
+ * archiveBook.
+ */
+const archiveStudent = async (studentId, deletedBy, conn) => {
+  const student = await lockRow("student", studentId, conn);
+  if (!student) return { notFound: true };
+  if (student.deleted_at) return { alreadyArchived: true };
+
+  const activeLoans = await countActiveLoans("student_id", student.id, conn);
+  if (activeLoans > 0) return { activeLoans };
+
+  const [holds] = await conn.execute(
+    "SELECT id, copy_id, status FROM holds WHERE student_id = ? AND status IN ('waiting', 'ready') FOR UPDATE",
+    [student.id]
+  );
+  for (const hold of holds) {
+    await conn.execute("UPDATE holds SET status = 'cancelled', closed_at = NOW() WHERE id = ?", [hold.id]);
+    if (hold.status === "ready") await allocateReturnedCopy(hold.copy_id, conn);
+  }
+
+  await conn.execute("UPDATE students SET deleted_at = NOW(), deleted_by = ? WHERE id = ?", [deletedBy, student.id]);
+  await revokeAllSessions("student", student.id, conn);
+
+  return { cancelledHolds: holds.length };
+};
+
+/** Brings an archived book or student back. Returns `{ notFound }`, `{ notArchived }` or `{}`. */
+const restore = async (entity, id, conn) => {
+  const row = await lockRow(entity, id, conn);
+  if (!row) return { notFound: true };
+  if (!row.deleted_at) return { notArchived: true };
+
+  await conn.execute(`UPDATE ${ARCHIVABLE[entity]} SET deleted_at = NULL, deleted_by = NULL WHERE id = ?`, [row.id]);
+  return {};
+};
+
+module.exports = { archiveBook, archiveStudent, restore };
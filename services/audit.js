@@ -0,0 +1,59 @@
+const db = require("../db/connection");
+
+// Columns never copied into the audit log
+const SECRET_COLUMNS = ["password", "token_hash"];
+
+const subjectTypeFor = (role) => (role === "student" ? "student" : "user");
+
+/**
+ * A row as stored, minus secrets, for the before/after values of an audit
+ * entry. Null when the row does not exist.
+ */
+const snapshot = async (table, id, conn = db) => {
+  const [[row]] = await conn.execute(`SELECT * FROM ${table} WHERE id = ?`, [id]);
+  if (!row) return null;
+
+  for (const column of SECRET_COLUMNS) delete row[column];
+  return row;
+};
+
+/**
+ * Records a write in the audit log, with the logged-in user from `req` as
+ * the actor. Pass the transaction's connection so the entry is only kept if
+ * the change itself is committed.
+ */
+const recordAudit = async (req, { action, entity, entityId = null, before = null, after = null }, conn = db) => {
+  const actor = req.user || null;
+  await conn.execute(
+    `INSERT INTO audit_logs (actor_type, actor_id, action, entity, entity_id, before_data, after_data, ip)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      actor ? subjectTypeFor(actor.role) : null,
+      actor ? actor.id : null,
+      action,
+      entity,
+      entityId === null ? null : String(entityId),
+      before ? JSON.stringify(before) : null,
+      after ? JSON.stringify(after) : null,
+      req.ip || null
+    ]
+  );
+};
+
+/**
+ * Runs `update(id, conn)` against one row of `table` and records the row
+ * before and after under `action`. Resolves to false, without calling
+ * `update`, when the row does not exist.
+ */
+const auditedUpdate = async (req, { table, entity, id, action }, update, conn = db) => {
+  const before = await snapshot(table, id, conn);
+  if (!before) return false;
+
+  await update(before.id, conn);
+  await recordAudit(req, {
+    action, entity, entityId: before.id, before, after: await snapshot(table, before.id, conn)
+  }, conn);
+  return true;
+};
+
+module.exports = { snapshot, recordAudit, auditedUpdate };
@@ -0,0 +1,78 @@
+const db = require("../db/connection");
+const { badRequest } = require("../utils/errors");
+
+// Select-list entry giving a book's people as one display string,
+// e.g. "Thomas H. Cormen, Charles E. Leiserson"
+const AUTHOR_NAMES = `(
+  SELECT GROUP_CONCAT(authors.full_name ORDER BY book_authors.position SEPARATOR ', ')
+  FROM book_authors JOIN authors ON authors.id = book_authors.author_id
+  WHERE book_authors.book_id = books.id
+) AS author_name`;
+
+/**
+ * Reads the `authors` list of a book payload, `[{ id, role }]` in display
+ * order, falling back to the older single `author_id`.
+ */
+const authorsFromBody = (body) => {
+  if (body.authors) return body.authors.map((author) => ({ id: author.id, role: author.role || "author" }));
+  return body.author_id ? [{ id: body.author_id, role: "author" }] : [];
+};
+
+/**
+ * Replaces the people listed on a book. Refuses an author named twice in
+ * the same role, or ids that are not authors.
+ */
+const setBookAuthors = async (bookId, authors, conn = db) => {
+  const seen = new Set();
+  for (const author of authors) {
+    const key = `${author.id}:${author.role}`;
+    if (seen.has(key)) {
+      throw badRequest(`Author ${author.id} is listed twice as ${author.role}`, "DUPLICATE_AUTHOR");
+    }
+    seen.add(key);
+  }
+
+  const ids = [...new Set(authors.map((author) => author.id))];
+  if (ids.length) {
+    const [rows] = await conn.query("SELECT id FROM authors WHERE id IN (?)", [ids]);
+    const known = new Set(rows.map((row) => row.id));
+    const unknown = ids.filter((id) => !known.has(id));
+    if (unknown.length) throw badRequest("Unknown authors", "UNKNOWN_AUTHORS", { unknown });
+  }
+
+  await conn.execute("DELETE FROM book_authors WHERE book_id = ?", [bookId]);
+  if (authors.length) {
+    await conn.query(
+      "INSERT INTO book_authors (book_id, author_id, role, position) VALUES ?",
+      [authors.map((author, i) => [bookId, author.id, author.role, i + 1])]
+    );
+  }
+};
+
+/**
+ * Loads the people listed on each of `bookIds`. Resolves to a Map from book
+ * id to `[{ id, full_name, role }]` in display order; books without any map
+ * to an empty list.
+ */
+const loadBookAuthors = async (bookIds, conn = db) => {
+  const byBook = new Map(bookIds.map((id) => [id, []]));
+  if (!bookIds.length) return byBook;
+
+  const [rows] = await conn.query(
+    `SELECT book_authors.book_id, authors.id, authors.full_name, book_authors.role
+     FROM book_authors JOIN authors ON authors.id = book_authors.author_id
+     WHERE book_authors.book_id IN (?)
+     ORDER BY book_authors.book_id, book_authors.position`,
+    [bookIds]
+  );
+  for (const { book_id, ...author } of rows) byBook.get(book_id).push(author);
+  return byBook;
+};
+
+/** Adds an `authors` list to each book row. */
+const withAuthors = async (books, conn = db) => {
+  const byBook = await loadBookAuthors(books.map((book) => book.id), conn);
+  return books.map((book) => ({ ...book, authors: byBook.get(book.id) }));
+};
+
+module.exports = { AUTHOR_NAMES, authorsFromBody, setBookAuthors, loadBookAuthors, withAuthors };
@@ -0,0 +1,113 @@
+const db = require("../db/connection");
+const { STOCK_COLUMNS } = require("./copies");
+const { AUTHOR_NAMES, withAuthors } = require("./bookAuthors");
+
+// InnoDB leaves words shorter than innodb_ft_min_token_size (3 by default)
+// out of its full-text indexes, so they can never match
+const MIN_WORD_LENGTH = 3;
+
+// Subquery over the people listed on the book, optionally narrowed down
+const bookAuthors = (select, condition = null) => `(
+  SELECT ${select} FROM book_authors JOIN authors ON authors.id = book_authors.author_id
+  WHERE book_authors.book_id = books.id${condition ? ` AND ${condition}` : ""}
+)`;
+
+// A title match counts for more than an author match, which counts for more
+// than a description or category match
+const RELEVANCE = `(
+  MATCH(books.title) AGAINST (? IN BOOLEAN MODE) * 3
+  + MATCH(books.title, books.description) AGAINST (? IN BOOLEAN MODE)
+  + COALESCE(${bookAuthors("MAX(MATCH(authors.full_name) AGAINST (? IN BOOLEAN MODE))")}, 0) * 2
+  + MATCH(categories.name) AGAINST (? IN BOOLEAN MODE)
+)`;
+
+const MATCHES = `(
+  MATCH(books.title, books.description) AGAINST (? IN BOOLEAN MODE)
+  OR EXISTS ${bookAuthors("1", "MATCH(authors.full_name) AGAINST (? IN BOOLEAN MODE)")}
+  OR MATCH(categories.name) AGAINST (? IN BOOLEAN MODE)
+)`;
+
+const SORTS = {
+  relevance: "relevance DESC, books.title",
+  title: "books.title",
+  newest: "books.created_at DESC",
+  oldest: "books.created_at",
+  available: "quantity DESC, books.title",
+};
+
+const AVAILABLE_COPY = "SELECT 1 FROM copies WHERE copies.book_id = books.id AND copies.status = 'available'";
+
+/**
+ * Turns what the user typed into a boolean-mode expression where each word
+ * also matches as a prefix, so "prog" finds "programming". Operators are
+ * stripped so they cannot change the meaning of the search. Returns null when
+ * no word is long enough for the full-text index.
+ */
+const toBooleanQuery = (text) => {
+  const words = text
+    .split(/\s+/)
+    .map((word) => word.replace(/[+\-<>()~*"@]/g, ""))
+    .filter((word) => word.length >= MIN_WORD_LENGTH);
+  return words.length ? words.map((word) => `${word}*`).join(" ") : null;
+};
+
+/**
+ * Searches the catalogue, leaving out archived books. `query` is matched
+ * against title, description, author name and category name through the
+ * full-text indexes and ranks the results; queries made only of short words
+ * fall back to a title/author substring match. `categoryIds`, `authorId` and
+ * `available` narrow the results down. Resolves to `{ total, books }` where
+ * `books` is one page.
+ */
+const searchBooks = async ({ query, categoryIds, authorId, available, sort, limit, offset }, conn = db) => {
+  const conditions = ["books.deleted_at IS NULL"];
+  const params = [];
+  let relevance = "0";
+  const relevanceParams = [];
+
+  if (query) {
+    const booleanQuery = toBooleanQuery(query);
+    if (booleanQuery) {
+      conditions.push(MATCHES);
+      params.push(booleanQuery, booleanQuery, booleanQuery);
+      relevance = RELEVANCE;
+      relevanceParams.push(booleanQuery, booleanQuery, booleanQuery, booleanQuery);
+    } else {
+      conditions.push(`(books.title LIKE ? OR EXISTS ${bookAuthors("1", "authors.full_name LIKE ?")})`);
+      params.push(`%${query}%`, `%${query}%`);
+    }
+  }
+  if (categoryIds) {
+    conditions.push(`books.category_id IN (${categoryIds.map(() => "?").join(", ")})`);
+    params.push(...categoryIds);
+  }
+  if (authorId) {
+    conditions.push(`EXISTS ${bookAuthors("1", "book_authors.author_id = ?")}`);
+    params.push(authorId);
+  }
+  if (available !== undefined) conditions.push(`${available ? "" : "NOT "}EXISTS (${AVAILABLE_COPY})`);
+
+  const from = `
+    FROM books
+    LEFT JOIN categories ON books.category_id = categories.id
+    WHERE ${conditions.join(" AND ")}`;
+
+  const [[{ total }]] = await conn.execute(`SELECT COUNT(*) AS total ${from}`, params);
+
+  const order = SORTS[sort] || (relevanceParams.length ? SORTS.relevance : SORTS.title);
+  const [books] = await conn.execute(
+    `SELECT
+      books.id, books.title, books.description, ${STOCK_COLUMNS},
+      ${AUTHOR_NAMES},
+      books.category_id, categories.name AS category,
+      books.created_at, ${relevance} AS relevance
+    ${from}
+    ORDER BY ${order}, books.id
+    LIMIT ${limit} OFFSET ${offset}`,
+    [...relevanceParams, ...params]
+  );
+
+  return { total, books: await withAuthors(books, conn) };
+};
+
+module.exports = { searchBooks, SORT_OPTIONS: Object.keys(SORTS) };
@@ -0,0 +1,112 @@
+const db = require("../db/connection");
+
+// A loan is active until returned, and overdue while active past its due date
+const STATUS = `CASE
+  WHEN b.return_date IS NOT NULL THEN 'returned'
+  WHEN b.due_date < NOW() THEN 'overdue'
+  ELSE 'active'
+END`;
+
+const STATUS_CONDITIONS = {
+  active: "b.return_date IS NULL",
+  returned: "b.return_date IS NOT NULL",
+  overdue: "b.return_date IS NULL AND b.due_date < NOW()",
+};
+
+const SORTS = {
+  newest: "b.borrow_date DESC",
+  oldest: "b.borrow_date",
+  due_date: "b.due_date",
+  return_date: "b.return_date DESC",
+  student: "s.full_name, b.borrow_date DESC",
+  title: "bk.title, b.borrow_date DESC",
+};
+
+// Query parameters every loan history takes, for validate()
+const HISTORY_QUERY_PROPERTIES = {
+  status: { type: "string", enum: Object.keys(STATUS_CONDITIONS) },
+  from: { type: "string", format: "date" },
+  to: { type: "string", format: "date" },
+  class: { type: "string", maxLength: 50 },
+  sort: { type: "string", enum: Object.keys(SORTS) },
+  page: { type: "integer", minimum: 1 },
+  limit: { type: "integer", minimum: 1, maximum: 100 },
+};
+
+/**
+ * Lists loans, newest first unless `sort` says otherwise. `status` is one of
+ * active, returned or overdue (active includes overdue); `from` and `to` are
+ * dates (YYYY-MM-DD, both days included) matched against the borrow date.
+ * Resolves to `{ total, borrows }` where `borrows` is one page.
+ */
+const listBorrows = async ({ studentId, bookId, status, from, to, studentClass, sort, limit, offset }, conn = db) => {
+  const conditions = [];
+  const params = [];
+  const filters = [
+    [studentId, "b.student_id = ?"],
+    [bookId, "b.book_id = ?"],
+    [from, "b.borrow_date >= ?"],
+    [to, "b.borrow_date < DATE_ADD(?, INTERVAL 1 DAY)"],
+    [studentClass, "s.class = ?"],
+  ];
+  for (const [value, condition] of filters) {
+    if (value) {
+      conditions.push(condition);
+      params.push(value);
+    }
+  }
+  if (status) conditions.push(STATUS_CONDITIONS[status]);
+
+  const source = `
+    FROM borrows b
+    JOIN students s ON b.student_id = s.id
+    JOIN books bk ON b.book_id = bk.id
+    LEFT JOIN copies c ON b.copy_id = c.id
+    ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}`;
+
+  const [[{ total }]] = await conn.execute(`SELECT COUNT(*) AS total ${source}`, params);
+
+  const [borrows] = await conn.execute(
+    `SELECT b.id, b.student_id, s.id_card, s.full_name, s.class, b.book_id, bk.title, c.barcode,
+       b.borrow_date, b.due_date, b.renew_count, b.return_date, b.lost_at, ${STATUS} AS status
+     ${source}
+     ORDER BY ${SORTS[sort] || SORTS.newest}, b.id DESC
+     LIMIT ${limit} OFFSET ${offset}`,
+    params
+  );
+
+  return { total, borrows };
+};
+
+/**
+ * One page of loans in the paginated shape of GET /api/borrows, from its
+ * query string (see HISTORY_QUERY_PROPERTIES). `scope` pins `studentId` or
+ * `bookId` for the per-student and per-book histories.
+ */
+const borrowHistoryPage = async (query, scope = {}, conn = db) => {
+  const page = parseInt(query.page) || 1;
+  const limit = parseInt(query.limit) || 10;
+
+  const { total, borrows } = await listBorrows({
+    studentId: parseInt(query.student_id) || null,
+    bookId: parseInt(query.book_id) || null,
+    status: query.status,
+    from: query.from,
+    to: query.to,
+    studentClass: query.class,
+    sort: query.sort,
+    ...scope,
+    limit,
+    offset: (page - 1) * limit
+  }, conn);
+
+  return {
+    currentPage: page,
+    limit: limit,
+    totalPages: Math.ceil(total / limit),
+    totalBorrows: total,
+    borrows: borrows
+  };
+};
+
+module.exports = { HISTORY_QUERY_PROPERTIES, listBorrows, borrowHistoryPage };
@@ -0,0 +1,77 @@
+const db = require("../db/connection");
+const { policies, fines } = require("../config/library");
+const { getOutstandingBalance } = require("./fines");
+
+/** Max concurrent loans for a class, falling back to the library default. */
+const getLoanLimit = async (studentClass, conn = db) => {
+  if (studentClass) {
+    const [[limit]] = await conn.execute(
+      "SELECT max_active_loans FROM class_loan_limits WHERE class = ?",
+      [studentClass]
+    );
+    if (limit) return limit.max_active_loans;
+  }
+  return policies.maxActiveLoans;
+};
+
+/**
+ * Checks whether a student may borrow a book. Returns every rule the checkout
+ * breaks as `{ code, message, ... }` so the front end can explain the refusal;
+ * an empty array means the student may borrow.
+ */
+const evaluateCheckout = async (studentId, bookId, conn = db) => {
+  const [[student]] = await conn.execute(
+    `SELECT id, class, suspension_reason, suspended_until,
+       suspended_at IS NOT NULL AND (suspended_until IS NULL OR suspended_until > NOW()) AS is_suspended
+     FROM students WHERE id = ? AND deleted_at IS NULL`,
+    [studentId]
+  );
+  if (!student) {
+    return [{ code: "STUDENT_NOT_FOUND", message: "Student not found" }];
+  }
+
+  const reasons = [];
+
+  if (student.is_suspended) {
+    reasons.push({
+      code: "STUDENT_SUSPENDED",
+      message: "Student's borrowing privileges are suspended",
+      reason: student.suspension_reason,
+      suspended_until: student.suspended_until
+    });
+  }
+
+  const [[{ active_loans, same_book_loans }]] = await conn.execute(
+    `SELECT COUNT(*) AS active_loans, COALESCE(SUM(book_id = ?), 0) AS same_book_loans
+     FROM borrows WHERE student_id = ? AND return_date IS NULL`,
+    [bookId, studentId]
+  );
+
+  const limit = await getLoanLimit(student.class, conn);
+  if (active_loans >= limit) {
+    reasons.push({
+      code: "LOAN_LIMIT_REACHED",
+      message: `Student already has ${active_loans} of ${limit} allowed loans`,
+      active_loans,
+      limit
+    });
+  }
+
+  if (!policies.allowDuplicateLoans && same_book_loans > 0) {
+    reasons.push({ code: "DUPLICATE_LOAN", message: "Student already has a copy of this book on loan" });
+  }
+
+  const balance = await getOutstandingBalance(studentId, conn);
+  if (balance > fines.blockThreshold) {
+    reasons.push({
+      code: "FINES_OUTSTANDING",
+      message: `Student owes ${balance} in unpaid fines, more than the allowed ${fines.blockThreshold}`,
+      outstanding_balance: balance,
+      threshold: fines.blockThreshold
+    });
+  }
+
+  return reasons;
+};
+
+module.exports = { getLoanLimit, evaluateCheckout };
@@ -0,0 +1,37 @@
+const db = require("../db/connection");
+
+/**
+ * Returns the id of a category followed by the ids of all of its descendants.
+ * Returns an empty array when the category does not exist.
+ */
+const getDescendantIds = async (categoryId, conn = db) => {
+  const [rows] = await conn.execute(
+    `WITH RECURSIVE tree AS (
+       SELECT id FROM categories WHERE id = ?
+       UNION ALL
+       SELECT c.id FROM categories c JOIN tree t ON c.parent_id = t.id
+     )
+     SELECT id FROM tree`,
+    [categoryId]
+  );
+  return rows.map((row) => row.id);
+};
+
+/**
+ * Nests a flat list of `{ id, parent_id, ... }` rows into a tree where each
+ * node carries a `children` array. Rows whose parent is missing become roots.
+ */
+const buildTree = (rows) => {
+  const nodes = new Map(rows.map((row) => [row.id, { ...row, children: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parent_id && nodes.get(node.parent_id);
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  }
+
+  return roots;
+};
+
+module.exports = { getDescendantIds, buildTree };
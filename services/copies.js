@@ -0,0 +1,46 @@
+const db = require("../db/connection");
+
+const CONDITIONS = ["new", "good", "fair", "poor", "damaged"];
+
+// Select-list expressions for a book's stock, derived from its copies.
+// Used wherever `books` is queried; `quantity` keeps its old meaning of
+// copies available to lend.
+const STOCK_COLUMNS = `
+  (SELECT COUNT(*) FROM copies WHERE copies.book_id = books.id AND copies.status = 'available') AS quantity,
+  (SELECT COUNT(*) FROM copies WHERE copies.book_id = books.id AND copies.status <> 'withdrawn') AS total_copies
+`;
+
+// Select-list for a copy as returned by the API.
+const COPY_COLUMNS =
+  "copies.id, copies.book_id, copies.barcode, copies.shelf_location, copies.copy_condition AS `condition`, " +
+  "copies.status, copies.withdrawn_reason, copies.withdrawn_at, copies.created_at";
+
+/**
+ * Adds a copy of a book. Without a barcode one is generated from the copy id
+ * (e.g. C00000042). Returns `{ id, barcode }`.
+ */
+const createCopy = async ({ bookId, barcode, shelfLocation, condition, createdBy }, conn = db) => {
+  const [result] = await conn.execute(
+    `INSERT INTO copies (book_id, barcode, shelf_location, copy_condition, created_by)
+     VALUES (?, COALESCE(?, CONCAT('TMP-', UUID())), ?, ?, ?)`,
+    [bookId, barcode || null, shelfLocation ?? null, condition || "good", createdBy ?? null]
+  );
+
+  if (!barcode) {
+    await conn.execute("UPDATE copies SET barcode = CONCAT('C', LPAD(id, 8, '0')) WHERE id = ?", [result.insertId]);
+  }
+
+  const [[copy]] = await conn.execute("SELECT id, barcode FROM copies WHERE id = ?", [result.insertId]);
+  return copy;
+};
+
+/** Number of copies of a book on the shelf and free to lend. */
+const countAvailable = async (bookId, conn = db) => {
+  const [[{ available }]] = await conn.execute(
+    "SELECT COUNT(*) AS available FROM copies WHERE book_id = ? AND status = 'available'",
+    [bookId]
+  );
+  return available;
+};
+
+module.exports = { CONDITIONS, STOCK_COLUMNS, COPY_COLUMNS, createCopy, countAvailable };
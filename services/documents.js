@@ -0,0 +1,283 @@
+const db = require("../db/connection");
+const { AUTHOR_NAMES } = require("./bookAuthors");
+const { documents, fines } = require("../config/library");
+const { SIZES, REGULAR, BOLD, renderPdf, barcodeImage } = require("../utils/pdf");
+
+// Printable documents, drawn locally with pdfkit and bwip-js. Loaders read
+// what a document shows and resolve to null when the record is missing;
+// the *Pdf functions lay it out and resolve to the PDF bytes.
+
+const formatDate = (date) => new Date(date).toLocaleDateString("en-GB", { day: "numeric", month: "short", year: "numeric" });
+const formatDateTime = (date) => `${formatDate(date)} ${new Date(date).toTimeString().slice(0, 5)}`;
+const formatMoney = (amount) => Number(amount).toFixed(2);
+
+const LABEL_WIDTH = 72;
+
+const contentWidth = (doc) => doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+// Library name, then the document title, then a rule
+const heading = (doc, title, subtitle = null) => {
+  const options = { width: contentWidth(doc), align: "center" };
+  doc.font(BOLD).fontSize(12).text(documents.libraryName, options);
+  doc.font(REGULAR).fontSize(10).text(title, options);
+  if (subtitle) doc.fontSize(8).text(subtitle, options);
+  doc.moveDown(0.5);
+  const y = doc.y;
+  doc.moveTo(doc.page.margins.left, y).lineTo(doc.page.width - doc.page.margins.right, y).lineWidth(0.5).stroke();
+  doc.moveDown(0.5);
+};
+
+// A bold label with its value to the right
+const field = (doc, label, value) => {
+  const x = doc.page.margins.left;
+  const y = doc.y;
+  doc.font(BOLD).text(label, x, y, { width: LABEL_WIDTH });
+  const labelBottom = doc.y;
+  doc.font(REGULAR).text(value === null || value === undefined ? "-" : String(value), x + LABEL_WIDTH, y, {
+    width: contentWidth(doc) - LABEL_WIDTH
+  });
+  doc.x = x;
+  doc.y = Math.max(labelBottom, doc.y) + 2;
+};
+
+// Rows of text under a header row that repeats on every page the table
+// runs onto. Column widths are fractions of the page width.
+const table = (doc, columns, rows) => {
+  const x0 = doc.page.margins.left;
+  const widths = columns.map((column) => column.width * contentWidth(doc));
+
+  const rowHeight = (cells, font) => {
+    doc.font(font);
+    return Math.max(...cells.map((text, i) => doc.heightOfString(text, { width: widths[i] - 4 }))) + 4;
+  };
+  const drawRow = (cells, font) => {
+    const height = rowHeight(cells, font);
+    const y = doc.y;
+    let x = x0;
+    cells.forEach((text, i) => {
+      doc.text(text, x + 2, y + 2, { width: widths[i] - 4 });
+      x += widths[i];
+    });
+    doc.x = x0;
+    doc.y = y + height;
+  };
+  const drawHeader = () => {
+    drawRow(columns.map((column) => column.header), BOLD);
+    doc.moveTo(x0, doc.y).lineTo(x0 + contentWidth(doc), doc.y).lineWidth(0.5).stroke();
+  };
+
+  drawHeader();
+  for (const row of rows) {
+    const cells = columns.map((column) => String(column.value(row) ?? "-"));
+    if (doc.y + rowHeight(cells, REGULAR) > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      drawHeader();
+    }
+    drawRow(cells, REGULAR);
+  }
+};
+
+const LOAN_COLUMNS = `
+  borrows.id, borrows.borrow_date, borrows.due_date, borrows.return_date,
+  students.id AS student_id, students.full_name, students.id_card, students.class,
+  books.title, ${AUTHOR_NAMES}, copies.barcode`;
+
+/** A loan with its student, book, copy, the staff member who lent it and any fine. */
+const loadLoan = async (borrowId, conn = db) => {
+  const [[loan]] = await conn.execute(
+    `SELECT ${LOAN_COLUMNS},
+       users.full_name AS issued_by, fines.days_late, fines.amount AS fine_amount, fines.status AS fine_status
+     FROM borrows
+     JOIN students ON students.id = borrows.student_id
+     JOIN books ON books.id = borrows.book_id
+     LEFT JOIN copies ON copies.id = borrows.copy_id
+     LEFT JOIN users ON users.id = borrows.created_by
+     LEFT JOIN fines ON fines.borrow_id = borrows.id
+     WHERE borrows.id = ?`,
+    [borrowId]
+  );
+  return loan || null;
+};
+
+/**
+ * An A6 slip for the desk: a `checkout` receipt with the due date, or a
+ * `return` receipt with the fine charged, if any.
+ */
+const receiptPdf = (loan, type) => renderPdf({ size: SIZES.A6, margin: 24 }, (doc) => {
+  doc.fontSize(9);
+  heading(doc, type === "return" ? "Return receipt" : "Loan receipt");
+
+  field(doc, "Receipt", `#${loan.id}`);
+  field(doc, "Student", loan.full_name);
+  field(doc, "ID card", loan.id_card);
+  field(doc, "Class", loan.class);
+  doc.moveDown(0.5);
+  field(doc, "Title", loan.title);
+  field(doc, "By", loan.author_name);
+  field(doc, "Copy", loan.barcode);
+  doc.moveDown(0.5);
+  field(doc, "Borrowed", formatDateTime(loan.borrow_date));
+  field(doc, "Due", formatDate(loan.due_date));
+
+  if (type === "return") {
+    field(doc, "Returned", formatDateTime(loan.return_date));
+    if (loan.fine_amount !== null) {
+      field(doc, "Days late", loan.days_late);
+      field(doc, "Fine", `${formatMoney(loan.fine_amount)} (${loan.fine_status.replace("_", " ")})`);
+    } else {
+      field(doc, "Fine", "None");
+    }
+  } else {
+    field(doc, "Issued by", loan.issued_by);
+    doc.moveDown();
+    doc.font(BOLD).text(`Please return this book by ${formatDate(loan.due_date)}.`, { width: contentWidth(doc) });
+    doc.font(REGULAR).text(
+      `Late returns are charged ${formatMoney(fines.dailyRate)} per day, up to ${formatMoney(fines.maxAmount)}.`,
+      { width: contentWidth(doc) }
+    );
+  }
+});
+
+/** A student who is not archived, for their library card. */
+const loadCardholder = async (studentId, conn = db) => {
+  const [[student]] = await conn.execute(
+    "SELECT id, full_name, id_card, class FROM students WHERE id = ? AND deleted_at IS NULL",
+    [studentId]
+  );
+  return student || null;
+};
+
+const CARD_BAND = "#1f3a5f";
+
+/**
+ * A card-sized library card with the student's id_card as a Code 128
+ * barcode (`code128`) or a QR code (`qrcode`), for scanning at the desk.
+ */
+const libraryCardPdf = async (student, symbology) => {
+  const code = await barcodeImage(student.id_card, symbology);
+
+  return renderPdf({ size: SIZES.CARD, margin: 0 }, (doc) => {
+    const { width, height } = doc.page;
+    doc.rect(0, 0, width, 34).fill(CARD_BAND);
+    doc.fillColor("white").font(BOLD).fontSize(11).text(documents.libraryName, 12, 8, { width: width - 24, lineBreak: false });
+    doc.font(REGULAR).fontSize(7).text("LIBRARY CARD", 12, 22);
+    doc.fillColor("black");
+
+    if (symbology === "qrcode") {
+      const textWidth = width - 100;
+      doc.font(BOLD).fontSize(11).text(student.full_name, 12, 46, { width: textWidth });
+      doc.font(REGULAR).fontSize(8);
+      if (student.class) doc.text(`Class ${student.class}`, { width: textWidth });
+      doc.text(student.id_card, { width: textWidth });
+      doc.image(code, width - 84, 42, { fit: [72, 72] });
+    } else {
+      doc.font(BOLD).fontSize(11).text(student.full_name, 12, 42, { width: width - 24 });
+      doc.font(REGULAR).fontSize(8).text(student.class ? `Class ${student.class}` : " ", { width: width - 24 });
+      doc.image(code, 12, height - 56, { fit: [width - 24, 46], align: "center" });
+    }
+  });
+};
+
+/**
+ * Loans out past their due date, by class, then student, then due date.
+ * `studentClass` keeps only one class.
+ */
+const loadOverdueLoans = async ({ studentClass } = {}, conn = db) => {
+  const conditions = ["borrows.return_date IS NULL", "borrows.due_date < NOW()"];
+  const params = [];
+  if (studentClass) {
+    conditions.push("students.class = ?");
+    params.push(studentClass);
+  }
+
+  const [loans] = await conn.execute(
+    `SELECT ${LOAN_COLUMNS}, DATEDIFF(NOW(), borrows.due_date) AS days_overdue
+     FROM borrows
+     JOIN students ON students.id = borrows.student_id
+     JOIN books ON books.id = borrows.book_id
+     LEFT JOIN copies ON copies.id = borrows.copy_id
+     WHERE ${conditions.join(" AND ")}
+     ORDER BY students.class IS NULL, students.class, students.full_name, students.id, borrows.due_date`,
+    params
+  );
+  return loans;
+};
+
+// Map of class => Map of student id => { student, loans }, in query order
+const groupByClass = (loans) => {
+  const classes = new Map();
+  for (const loan of loans) {
+    if (!classes.has(loan.class)) classes.set(loan.class, new Map());
+    const students = classes.get(loan.class);
+    if (!students.has(loan.student_id)) students.set(loan.student_id, { student: loan, loans: [] });
+    students.get(loan.student_id).loans.push(loan);
+  }
+  return classes;
+};
+
+const className = (studentClass) => (studentClass ? `Class ${studentClass}` : "Students without a class");
+
+/**
+ * Overdue notices for homeroom teachers, on A4. Each class starts with a
+ * list of its overdue loans, followed by one notice per student to hand out.
+ */
+const overdueNoticesPdf = (loans) => renderPdf({ size: SIZES.A4, margin: 50, autoFirstPage: false }, (doc) => {
+  const asOf = `As of ${formatDate(new Date())}`;
+
+  if (loans.length === 0) {
+    doc.addPage().fontSize(10);
+    heading(doc, "Overdue books", asOf);
+    doc.text("No loans are overdue.");
+    return;
+  }
+
+  for (const [studentClass, students] of groupByClass(loans)) {
+    const classLoans = [...students.values()].flatMap((entry) => entry.loans);
+    doc.addPage().fontSize(10);
+    heading(doc, `Overdue books: ${className(studentClass)}`, asOf);
+    doc.text(`${classLoans.length} overdue loan${classLoans.length === 1 ? "" : "s"} for ${students.size} student${students.size === 1 ? "" : "s"}.`);
+    doc.moveDown();
+    table(doc, [
+      { header: "Student", width: 0.25, value: (loan) => loan.full_name },
+      { header: "ID card", width: 0.15, value: (loan) => loan.id_card },
+      { header: "Title", width: 0.35, value: (loan) => loan.title },
+      { header: "Due", width: 0.13, value: (loan) => formatDate(loan.due_date) },
+      { header: "Days late", width: 0.12, value: (loan) => loan.days_overdue },
+    ], classLoans);
+
+    for (const { student, loans: studentLoans } of students.values()) {
+      doc.addPage().fontSize(10);
+      heading(doc, "Overdue notice", asOf);
+      field(doc, "Student", student.full_name);
+      field(doc, "ID card", student.id_card);
+      field(doc, "Class", student.class);
+      doc.moveDown();
+      doc.text(
+        `The following book${studentLoans.length === 1 ? " is" : "s are"} past the due date. ` +
+        "Please bring them back to the library as soon as possible.",
+        { width: contentWidth(doc) }
+      );
+      doc.moveDown();
+      table(doc, [
+        { header: "Title", width: 0.45, value: (loan) => loan.title },
+        { header: "Copy", width: 0.2, value: (loan) => loan.barcode },
+        { header: "Due", width: 0.2, value: (loan) => formatDate(loan.due_date) },
+        { header: "Days late", width: 0.15, value: (loan) => loan.days_overdue },
+      ], studentLoans);
+      doc.moveDown();
+      doc.text(
+        `Late returns are charged ${formatMoney(fines.dailyRate)} per day for each book, up to ${formatMoney(fines.maxAmount)}.`,
+        { width: contentWidth(doc) }
+      );
+    }
+  }
+});
+
+module.exports = {
+  loadLoan,
+  receiptPdf,
+  loadCardholder,
+  libraryCardPdf,
+  loadOverdueLoans,
+  overdueNoticesPdf,
+};
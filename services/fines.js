@@ -0,0 +1,44 @@
+const db = require("../db/connection");
+const { fines } = require("../config/library");
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/** Fine owed for a loan returned `daysLate` days after its due date. */
+const calculateFine = (daysLate) => {
+  if (daysLate <= 0) return 0;
+  return roundMoney(Math.min(daysLate * fines.dailyRate, fines.maxAmount));
+};
+
+/**
+ * Records a fine for a borrow that has just been returned late.
+ * Returns the created fine, or null when the book came back on time.
+ */
+const assessLateReturn = async (borrowId, conn = db) => {
+  const [[borrow]] = await conn.execute(
+    "SELECT id, student_id, DATEDIFF(return_date, due_date) AS days_late FROM borrows WHERE id = ? AND return_date IS NOT NULL",
+    [borrowId]
+  );
+  if (!borrow) return null;
+
+  const amount = calculateFine(borrow.days_late);
+  if (amount <= 0) return null;
+
+  const [result] = await conn.execute(
+    "INSERT INTO fines (borrow_id, student_id, days_late, amount) VALUES (?, ?, ?, ?)",
+    [borrow.id, borrow.student_id, borrow.days_late, amount]
+  );
+  return { id: result.insertId, borrow_id: borrow.id, days_late: borrow.days_late, amount };
+};
+
+/** Total a student still owes across unpaid and partially paid fines. */
+const getOutstandingBalance = async (studentId, conn = db) => {
+  const [[{ balance }]] = await conn.execute(
+    `SELECT COALESCE(SUM(amount - paid_amount), 0) AS balance
+     FROM fines
+     WHERE student_id = ? AND status IN ('unpaid', 'partially_paid')`,
+    [studentId]
+  );
+  return roundMoney(balance);
+};
+
+module.exports = { roundMoney, calculateFine, assessLateReturn, getOutstandingBalance };
@@ -0,0 +1,71 @@
+const db = require("../db/connection");
+const { holds } = require("../config/library");
+
+/**
+ * Hands a copy that has just come back to the first student waiting for its
+ * book, setting it aside for the pickup window. When nobody is waiting the
+ * copy goes back on the shelf. Returns the hold that received the copy, or null.
+ * Must run inside a transaction (db/transaction.js), so the copy and the
+ * hold it goes to change together.
+ */
+const allocateReturnedCopy = async (copyId, conn) => {
+  const [[copy]] = await conn.execute("SELECT id, book_id FROM copies WHERE id = ? FOR UPDATE", [copyId]);
+  const [[next]] = await conn.execute(
+    "SELECT id, student_id FROM holds WHERE book_id = ? AND status = 'waiting' ORDER BY created_at, id LIMIT 1 FOR UPDATE",
+    [copy.book_id]
+  );
+
+  if (!next) {
+    await conn.execute("UPDATE copies SET status = 'available' WHERE id = ?", [copy.id]);
+    return null;
+  }
+
+  await conn.execute("UPDATE copies SET status = 'on_hold' WHERE id = ?", [copy.id]);
+  await conn.execute(
+    `UPDATE holds SET status = 'ready', copy_id = ?, ready_at = NOW(), expires_at = DATE_ADD(NOW(), INTERVAL ? DAY)
+     WHERE id = ?`,
+    [copy.id, holds.pickupDays, next.id]
+  );
+  const [[hold]] = await conn.execute(
+    "SELECT id, student_id, book_id, copy_id, expires_at FROM holds WHERE id = ?",
+    [next.id]
+  );
+  return hold;
+};
+
+/**
+ * Expires ready holds whose pickup window has passed and rolls each set-aside
+ * copy on to the next student in the queue. Returns how many holds expired.
+ * Must run inside a transaction (db/transaction.js); on its own,
+ * `withTransaction(expireHolds)`.
+ */
+const expireHolds = async (conn) => {
+  const [expired] = await conn.execute(
+    "SELECT id, copy_id FROM holds WHERE status = 'ready' AND expires_at < NOW() ORDER BY expires_at FOR UPDATE"
+  );
+
+  for (const hold of expired) {
+    const [result] = await conn.execute(
+      "UPDATE holds SET status = 'expired', closed_at = NOW() WHERE id = ? AND status = 'ready'",
+      [hold.id]
+    );
+    if (result.affectedRows > 0) await allocateReturnedCopy(hold.copy_id, conn);
+  }
+
+  return expired.length;
+};
+
+/** 1-based position of a waiting hold in its book's queue. */
+const getQueuePosition = async (holdId, conn = db) => {
+  const [[{ position }]] = await conn.execute(
+    `SELECT COUNT(*) AS position
+     FROM holds h
+     JOIN holds target ON target.id = ? AND h.book_id = target.book_id
+     WHERE h.status = 'waiting'
+       AND (h.created_at < target.created_at OR (h.created_at = target.created_at AND h.id <= target.id))`,
+    [holdId]
+  );
+  return position;
+};
+
+module.exports = { allocateReturnedCopy, expireHolds, getQueuePosition };
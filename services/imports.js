@@ -0,0 +1,224 @@
+const db = require("../db/connection");
+const withTransaction = require("../db/transaction");
+const { checkRecord } = require("../middleware/validate");
+const { snapshot, recordAudit } = require("./audit");
+const { createCopy } = require("./copies");
+const { setBookAuthors } = require("./bookAuthors");
+const { toIsbn13 } = require("../utils/isbn");
+const { badRequest } = require("../utils/errors");
+
+// Imports check every row first and only write when all of them are valid,
+// in one transaction, so a file is either imported whole or not at all.
+// Problems are reported as `{ row, field, code, message }`, `row` being the
+// row number in the file.
+
+const rowError = (row, field, code, message) => ({ row, field, code, message });
+
+const report = (rows, valid, errors, dryRun, created = 0) => ({
+  dry_run: dryRun,
+  total_rows: rows.length,
+  valid_rows: valid.length,
+  created,
+  errors,
+});
+
+// Valid rows no later check found a problem with
+const withoutErrors = (valid, errors) => {
+  const failed = new Set(errors.map((error) => error.row));
+  return valid.filter(({ line }) => !failed.has(line));
+};
+
+const refuseInvalid = (errors) => {
+  if (errors.length) {
+    throw badRequest("The file has errors; nothing was imported", "IMPORT_INVALID", errors);
+  }
+};
+
+/**
+ * Imports students from rows read by services/spreadsheets.js, with columns
+ * full_name, id_card and class. An id_card already taken, in the file or in
+ * the database (archived students included), is an error. With `dryRun`
+ * nothing is written. Resolves to the import report.
+ */
+const importStudents = async (req, rows, { dryRun }) => {
+  const errors = [];
+  const valid = [];
+  const lineByIdCard = new Map();
+
+  for (const { line, record } of rows) {
+    const { value, errors: problems } = checkRecord("StudentInput", {
+      ...record,
+      student_class: record.student_class ?? record.class,
+    });
+    problems.forEach((problem) => errors.push({ row: line, ...problem }));
+    if (problems.length) continue;
+
+    // id_card is compared the way MySQL's default collation does, ignoring case
+    const idCard = value.id_card.toLowerCase();
+    if (lineByIdCard.has(idCard)) {
+      errors.push(rowError(line, "id_card", "DUPLICATE_ID_CARD", `id_card also appears in row ${lineByIdCard.get(idCard)}`));
+      continue;
+    }
+    lineByIdCard.set(idCard, line);
+    valid.push({ line, value });
+  }
+
+  if (valid.length) {
+    const [taken] = await db.query(
+      "SELECT id_card FROM students WHERE id_card IN (?)",
+      [valid.map(({ value }) => value.id_card)]
+    );
+    const takenIds = new Set(taken.map((student) => student.id_card.toLowerCase()));
+    for (const { line, value } of valid) {
+      if (takenIds.has(value.id_card.toLowerCase())) {
+        errors.push(rowError(line, "id_card", "ID_CARD_TAKEN", "A student with this id_card already exists"));
+      }
+    }
+  }
+
+  errors.sort((a, b) => a.row - b.row);
+  const ready = withoutErrors(valid, errors);
+  if (dryRun) return report(rows, ready, errors, true);
+  refuseInvalid(errors);
+
+  await withTransaction(async (conn) => {
+    for (const { value } of ready) {
+      const [result] = await conn.execute(
+        "INSERT INTO students (full_name, id_card, class, created_by) VALUES (?, ?, ?, ?)",
+        [value.full_name, value.id_card, value.student_class ?? null, req.user.id]
+      );
+      await recordAudit(req, {
+        action: "import", entity: "student", entityId: result.insertId,
+        after: await snapshot("students", result.insertId, conn)
+      }, conn);
+    }
+  });
+  return report(rows, ready, errors, false, ready.length);
+};
+
+// Category names to ids, case-insensitively. A name several categories
+// share maps to all of their ids.
+const loadCategoryIds = async () => {
+  const [categories] = await db.execute("SELECT id, name FROM categories");
+  const byName = new Map();
+  for (const { id, name } of categories) {
+    const key = name.trim().toLowerCase();
+    byName.set(key, [...(byName.get(key) || []), id]);
+  }
+  return { byName, ids: new Set(categories.map((category) => category.id)) };
+};
+
+// Author names to ids, case-insensitively
+const loadAuthorIds = async (names) => {
+  if (!names.length) return new Map();
+  const [authors] = await db.query("SELECT id, full_name FROM authors WHERE full_name IN (?)", [names]);
+  return new Map(authors.map((author) => [author.full_name.trim().toLowerCase(), author.id]));
+};
+
+const splitNames = (text) => (text ? text.split(";").map((name) => name.trim()).filter(Boolean) : []);
+
+/**
+ * Imports books from rows read by services/spreadsheets.js; see the
+ * BookImportRow schema for the columns. Categories are looked up by name
+ * (or `category_id`); authors by name, creating those not in the catalogue
+ * yet. An ISBN already used, in the file or the catalogue, is an error.
+ * Each book gets `quantity` copies with generated barcodes. With `dryRun`
+ * nothing is written; the report then also lists `new_authors`.
+ */
+const importBooks = async (req, rows, { dryRun }) => {
+  const errors = [];
+  const valid = [];
+  const lineByIsbn = new Map();
+  const categories = await loadCategoryIds();
+
+  for (const { line, record } of rows) {
+    const { value, errors: problems } = checkRecord("BookImportRow", record);
+    problems.forEach((problem) => errors.push({ row: line, ...problem }));
+    if (problems.length) continue;
+
+    if (value.isbn) {
+      value.isbn = toIsbn13(value.isbn);
+      if (lineByIsbn.has(value.isbn)) {
+        errors.push(rowError(line, "isbn", "DUPLICATE_ISBN", `ISBN also appears in row ${lineByIsbn.get(value.isbn)}`));
+        continue;
+      }
+      lineByIsbn.set(value.isbn, line);
+    }
+
+    if (value.category_id) {
+      if (!categories.ids.has(value.category_id)) {
+        errors.push(rowError(line, "category_id", "UNKNOWN_CATEGORY", "No category has this id"));
+        continue;
+      }
+    } else if (value.category) {
+      const ids = categories.byName.get(value.category.toLowerCase()) || [];
+      if (ids.length !== 1) {
+        errors.push(ids.length
+          ? rowError(line, "category", "AMBIGUOUS_CATEGORY", "Several categories have this name; give category_id instead")
+          : rowError(line, "category", "UNKNOWN_CATEGORY", `No category is named "${value.category}"`));
+        continue;
+      }
+      value.category_id = ids[0];
+    }
+
+    value.authorNames = splitNames(value.authors);
+    valid.push({ line, value });
+  }
+
+  const isbns = valid.map(({ value }) => value.isbn).filter(Boolean);
+  if (isbns.length) {
+    const [taken] = await db.query("SELECT id, isbn FROM books WHERE isbn IN (?)", [isbns]);
+    const bookByIsbn = new Map(taken.map((book) => [book.isbn, book.id]));
+    for (const { line, value } of valid) {
+      if (bookByIsbn.has(value.isbn)) {
+        errors.push(rowError(line, "isbn", "ISBN_TAKEN", `Book ${bookByIsbn.get(value.isbn)} already has this ISBN`));
+      }
+    }
+  }
+
+  const names = [...new Set(valid.flatMap(({ value }) => value.authorNames))];
+  const authorIds = await loadAuthorIds(names);
+  const newAuthors = [...new Map(
+    names.filter((name) => !authorIds.has(name.toLowerCase())).map((name) => [name.toLowerCase(), name])
+  ).values()];
+
+  errors.sort((a, b) => a.row - b.row);
+  const ready = withoutErrors(valid, errors);
+  if (dryRun) return { ...report(rows, ready, errors, true), new_authors: newAuthors };
+  refuseInvalid(errors);
+
+  await withTransaction(async (conn) => {
+    for (const name of newAuthors) {
+      const [result] = await conn.execute("INSERT INTO authors (full_name, created_by) VALUES (?, ?)", [name, req.user.id]);
+      authorIds.set(name.toLowerCase(), result.insertId);
+      await recordAudit(req, {
+        action: "import", entity: "author", entityId: result.insertId, after: await snapshot("authors", result.insertId, conn)
+      }, conn);
+    }
+
+    for (const { value } of ready) {
+      const [result] = await conn.execute(
+        `INSERT INTO books
+           (title, isbn, description, publisher, edition, published_year, language, category_id, loan_days, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          value.title, value.isbn ?? null, value.description ?? null, value.publisher ?? null, value.edition ?? null,
+          value.published_year ?? null, value.language ?? null, value.category_id ?? null, value.loan_days ?? null,
+          req.user.id
+        ]
+      );
+      const bookId = result.insertId;
+      const authors = [...new Set(value.authorNames.map((name) => authorIds.get(name.toLowerCase())))];
+      await setBookAuthors(bookId, authors.map((id) => ({ id, role: "author" })), conn);
+      for (let i = 0; i < (value.quantity || 0); i++) {
+        await createCopy({ bookId, createdBy: req.user.id }, conn);
+      }
+      await recordAudit(req, {
+        action: "import", entity: "book", entityId: bookId, after: await snapshot("books", bookId, conn)
+      }, conn);
+    }
+  });
+  return report(rows, ready, errors, false, ready.length);
+};
+
+module.exports = { importStudents, importBooks };
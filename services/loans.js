@@ -0,0 +1,162 @@
+const db = require("../db/connection");
+const { loans } = require("../config/library");
+const { evaluateCheckout } = require("./borrowingPolicy");
+const { allocateReturnedCopy, expireHolds } = require("./holds");
+const { assessLateReturn } = require("./fines");
+
+/**
+ * Resolves the loan period in days for a book: the book's own loan_days, else
+ * the nearest category up the hierarchy that sets one, else the library default.
+ */
+const getLoanDays = async (bookId, conn = db) => {
+  const [[book]] = await conn.execute("SELECT loan_days, category_id FROM books WHERE id = ?", [bookId]);
+  if (book && book.loan_days) return book.loan_days;
+
+  if (book && book.category_id) {
+    const [[category]] = await conn.execute(
+      `WITH RECURSIVE ancestors AS (
+         SELECT id, parent_id, loan_days, 0 AS depth FROM categories WHERE id = ?
+         UNION ALL
+         SELECT c.id, c.parent_id, c.loan_days, a.depth + 1
+         FROM categories c JOIN ancestors a ON c.id = a.parent_id
+       )
+       SELECT loan_days FROM ancestors WHERE loan_days IS NOT NULL ORDER BY depth LIMIT 1`,
+      [book.category_id]
+    );
+    if (category) return category.loan_days;
+  }
+
+  return loans.defaultDays;
+};
+
+/**
+ * Works out which copy a checkout would lend and collects every reason it
+ * would be refused (see services/borrowingPolicy.js), without changing
+ * anything. The copy is the one asked for by `copy_id` or `barcode`, else the
+ * copy a ready hold set aside for the student, else any copy of `book_id` on
+ * the shelf. `error` is set when the book or requested copy does not exist.
+ *
+ * With `lock`, which needs a transaction, the student row and the chosen copy
+ * are locked so concurrent checkouts for either wait for this one to finish.
+ */
+const planCheckout = async ({ student_id, book_id, copy_id, barcode }, conn = db, { lock = false } = {}) => {
+  const forUpdate = lock ? "FOR UPDATE" : "";
+
+  if (lock) {
+    await conn.execute("SELECT id FROM students WHERE id = ? FOR UPDATE", [student_id ?? null]);
+  }
+
+  let requested = null;
+  if (copy_id || barcode) {
+    const [[copy]] = await conn.execute(
+      `SELECT id, book_id, status FROM copies WHERE ${copy_id ? "id = ?" : "barcode = ?"} ${forUpdate}`,
+      [copy_id || barcode]
+    );
+    if (!copy) return { error: "Copy not found" };
+    requested = copy;
+    book_id = copy.book_id;
+  }
+
+  const [[book]] = await conn.execute("SELECT id FROM books WHERE id = ? AND deleted_at IS NULL", [book_id ?? null]);
+  if (!book) return { error: "Book not found" };
+
+  const [[hold]] = await conn.execute(
+    `SELECT id, copy_id FROM holds WHERE book_id = ? AND student_id = ? AND status = 'ready' ${forUpdate}`,
+    [book.id, student_id]
+  );
+
+  const reasons = await evaluateCheckout(student_id, book.id, conn);
+
+  let copy = null;
+  if (requested) {
+    if (requested.status === "available" || (hold && requested.id === hold.copy_id)) {
+      copy = requested;
+    } else {
+      reasons.push({ code: "COPY_UNAVAILABLE", message: `Copy is ${requested.status.replace("_", " ")}` });
+    }
+  } else if (hold) {
+    copy = { id: hold.copy_id };
+  } else {
+    // Copies another checkout has locked are skipped rather than waited on
+    const [[available]] = await conn.execute(
+      `SELECT id FROM copies WHERE book_id = ? AND status = 'available' ORDER BY id LIMIT 1 ${lock ? "FOR UPDATE SKIP LOCKED" : ""}`,
+      [book.id]
+    );
+    if (available) copy = available;
+    else reasons.push({ code: "OUT_OF_STOCK", message: "Book is out of stock" });
+  }
+
+  return { book, copy, hold, reasons };
+};
+
+/**
+ * Lends a copy to a student. Must run inside a transaction (db/transaction.js).
+ * Returns the plan from planCheckout, plus `borrow` when the copy was lent.
+ */
+const checkout = async (input, createdBy, conn) => {
+  await expireHolds(conn);
+
+  const plan = await planCheckout(input, conn, { lock: true });
+  if (plan.error || plan.reasons.length > 0) return plan;
+
+  const { book, copy, hold } = plan;
+  const fromHold = hold && hold.copy_id === copy.id;
+
+  // Only succeeds while the copy is still in the state we planned against
+  const [claimed] = await conn.execute(
+    "UPDATE copies SET status = 'on_loan' WHERE id = ? AND status = ?",
+    [copy.id, fromHold ? "on_hold" : "available"]
+  );
+  if (claimed.affectedRows === 0) {
+    return { ...plan, reasons: [{ code: "COPY_UNAVAILABLE", message: "Copy has just been lent out" }] };
+  }
+
+  const loanDays = await getLoanDays(book.id, conn);
+  const [result] = await conn.execute(
+    `INSERT INTO borrows (student_id, book_id, copy_id, due_date, created_by)
+     VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY), ?)`,
+    [input.student_id, book.id, copy.id, loanDays, createdBy]
+  );
+
+  // Fulfil the student's hold; if they took a different copy, pass the held one on
+  if (hold) {
+    await conn.execute(
+      "UPDATE holds SET status = 'fulfilled', borrow_id = ?, closed_at = NOW() WHERE id = ?",
+      [result.insertId, hold.id]
+    );
+    if (!fromHold) await allocateReturnedCopy(hold.copy_id, conn);
+  }
+
+  const [[borrow]] = await conn.execute("SELECT id, copy_id, due_date FROM borrows WHERE id = ?", [result.insertId]);
+  return { ...plan, borrow };
+};
+
+/**
+ * Takes back a borrowed copy: stamps the return, hands the copy to the next
+ * student waiting for the book or puts it back on the shelf, and charges a
+ * fine if it is late. A copy that was marked lost while out goes back into
+ * circulation, and `found` is true. Must run inside a transaction
+ * (db/transaction.js).
+ */
+const checkin = async (borrowId, conn) => {
+  const [[borrow]] = await conn.execute(
+    "SELECT id, copy_id FROM borrows WHERE id = ? AND return_date IS NULL FOR UPDATE",
+    [borrowId]
+  );
+  if (!borrow) return { error: "Borrow record not found or already returned" };
+
+  await conn.execute("UPDATE borrows SET return_date = NOW() WHERE id = ?", [borrow.id]);
+  const [[copy]] = await conn.execute("SELECT id, status FROM copies WHERE id = ? FOR UPDATE", [borrow.copy_id]);
+  const found = copy.status === "lost";
+  if (found) {
+    await conn.execute("UPDATE copies SET withdrawn_reason = NULL, withdrawn_at = NULL WHERE id = ?", [copy.id]);
+  }
+
+  await expireHolds(conn);
+  const hold = await allocateReturnedCopy(borrow.copy_id, conn);
+  const fine = await assessLateReturn(borrow.id, conn);
+
+  return { borrow, fine, hold, found };
+};
+
+module.exports = { getLoanDays, planCheckout, checkout, checkin };
@@ -0,0 +1,68 @@
+const db = require("../db/connection");
+const { login: limits } = require("../config/auth");
+
+// Subject types map to the table holding their lockout columns
+const TABLES = { user: "users", student: "students" };
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Decides how to treat a login attempt before the password is checked, from
+ * the failures recorded in the last window for this identifier and this IP.
+ * Returns `{ blocked, retryAfter }` when the IP has failed too often, and
+ * otherwise `{ delayMs }`, which doubles with each recent failure.
+ */
+const checkThrottle = async (identifier, ip) => {
+  const [[failures]] = await db.execute(
+    `SELECT COALESCE(SUM(identifier = ?), 0) AS by_identifier, COALESCE(SUM(ip <=> ?), 0) AS by_ip
+     FROM login_attempts
+     WHERE outcome <> 'success' AND created_at > NOW() - INTERVAL ? MINUTE
+       AND (identifier = ? OR ip <=> ?)`,
+    [identifier, ip, limits.windowMinutes, identifier, ip]
+  );
+
+  if (failures.by_ip >= limits.ipMaxFailures) {
+    return { blocked: true, retryAfter: limits.windowMinutes * 60 };
+  }
+
+  const count = Math.max(failures.by_identifier, failures.by_ip);
+  const delayMs = count ? Math.min(limits.baseDelayMs * 2 ** (count - 1), limits.maxDelayMs) : 0;
+  return { blocked: false, delayMs };
+};
+
+/** Records an attempt; `outcome` is `success` or the reason it failed. */
+const recordAttempt = async ({ subjectType, identifier, req }, outcome) => {
+  const userAgent = (req.get("user-agent") || "").slice(0, 255);
+  await db.execute(
+    "INSERT INTO login_attempts (subject_type, identifier, ip, user_agent, outcome) VALUES (?, ?, ?, ?, ?)",
+    [subjectType, identifier.slice(0, 100), req.ip || null, userAgent || null, outcome]
+  );
+};
+
+/**
+ * Counts a wrong password against an account, locking it for a while once
+ * it reaches the limit. Every further failure while over the limit locks it
+ * again.
+ */
+const registerFailure = async (subjectType, id) => {
+  // MySQL applies SET assignments left to right, so the second one already
+  // sees the incremented count
+  await db.execute(
+    `UPDATE ${TABLES[subjectType]}
+     SET failed_login_count = failed_login_count + 1,
+         locked_until = IF(failed_login_count >= ?, NOW() + INTERVAL ? MINUTE, locked_until)
+     WHERE id = ?`,
+    [limits.maxFailures, limits.lockMinutes, id]
+  );
+};
+
+/** Clears an account's failure count and any lock, after a good login or an unlock. */
+const clearFailures = async (subjectType, id, conn = db) => {
+  const [result] = await conn.execute(
+    `UPDATE ${TABLES[subjectType]} SET failed_login_count = 0, locked_until = NULL WHERE id = ?`,
+    [id]
+  );
+  return result.affectedRows > 0;
+};
+
+module.exports = { sleep, checkThrottle, recordAttempt, registerFailure, clearFailures };
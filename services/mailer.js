@@ -0,0 +1,36 @@
+const fs = require("fs/promises");
+const path = require("path");
+const mailConfig = require("../config/mail");
+
+// A transport takes a full message `{ from, to, subject, text }` and delivers
+// it. Development transports never leave the machine; a real one (SMTP, an
+// HTTP mail API) can be added with `registerTransport`.
+const transports = {
+  console: async (message) => {
+    console.log(`--- mail to ${message.to} ---\nSubject: ${message.subject}\n\n${message.text}\n---`);
+  },
+
+  file: async (message) => {
+    await fs.mkdir(mailConfig.dir, { recursive: true });
+    const safeTo = message.to.replace(/[^a-z0-9@._-]/gi, "_");
+    const file = path.join(mailConfig.dir, `${Date.now()}-${safeTo}.txt`);
+    await fs.writeFile(
+      file,
+      `From: ${message.from}\nTo: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n`
+    );
+  },
+};
+
+const registerTransport = (name, send) => {
+  transports[name] = send;
+};
+
+/** Sends a plain-text email through the transport named by MAIL_TRANSPORT. */
+const sendMail = async ({ to, subject, text }) => {
+  const send = transports[mailConfig.transport];
+  if (!send) throw new Error(`Unknown mail transport '${mailConfig.transport}'`);
+
+  await send({ from: mailConfig.from, to, subject, text });
+};
+
+module.exports = { sendMail, registerTransport };
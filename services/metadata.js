@@ -0,0 +1,49 @@
+const fs = require("fs/promises");
+const metadataConfig = require("../config/metadata");
+
+// A provider takes an ISBN-13 and resolves to what it knows about that
+// edition, `{ title, description, authors, publisher, edition,
+// published_year, language }` with `authors` a list of names, or to null when
+// it has no record. Throwing means the provider could not be asked. More
+// providers can be added with `registerProvider`.
+const providers = {
+  // Reads the file on every lookup so fixtures can be edited without a restart
+  fixture: async (isbn) => {
+    const records = JSON.parse(await fs.readFile(metadataConfig.fixtureFile, "utf8"));
+    return records[isbn] || null;
+  },
+
+  openlibrary: async (isbn) => {
+    const url = `${metadataConfig.openLibraryUrl}/api/books?bibkeys=ISBN:${isbn}&format=json&jscmd=data`;
+    const response = await fetch(url, { signal: AbortSignal.timeout(metadataConfig.timeoutMs) });
+    if (!response.ok) throw new Error(`Open Library answered ${response.status}`);
+
+    const record = (await response.json())[`ISBN:${isbn}`];
+    if (!record) return null;
+
+    const year = /\d{4}/.exec(record.publish_date || "");
+    return {
+      title: record.subtitle ? `${record.title}: ${record.subtitle}` : record.title,
+      description: null,
+      authors: (record.authors || []).map((author) => author.name),
+      publisher: record.publishers?.[0]?.name || null,
+      edition: null,
+      published_year: year ? Number(year[0]) : null,
+      language: null,
+    };
+  },
+};
+
+const registerProvider = (name, lookup) => {
+  providers[name] = lookup;
+};
+
+/** Looks an ISBN-13 up with the provider named by METADATA_PROVIDER. */
+const lookupMetadata = async (isbn) => {
+  const lookup = providers[metadataConfig.provider];
+  if (!lookup) throw new Error(`Unknown metadata provider '${metadataConfig.provider}'`);
+
+  return lookup(isbn);
+};
+
+module.exports = { lookupMetadata, registerProvider };
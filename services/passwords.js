@@ -0,0 +1,79 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const db = require("../db/connection");
+const { hashToken } = require("./sessions");
+const { sendMail } = require("./mailer");
+const { resetTokenHours, inviteTokenHours, passwordResetUrl } = require("../config/auth");
+
+/** Hashes and stores a new password for a staff user. */
+const setUserPassword = async (userId, password, conn = db) => {
+  const hash = await bcrypt.hash(password, 10);
+  await conn.execute("UPDATE users SET password = ?, password_changed_at = NOW() WHERE id = ?", [hash, userId]);
+};
+
+/**
+ * Issues a single-use token for setting a password, replacing any earlier
+ * token the user had not used yet. `purpose` is `reset` or `invite`; invites
+ * stay valid for longer.
+ */
+const createPasswordToken = async (userId, purpose, conn = db) => {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const hours = purpose === "invite" ? inviteTokenHours : resetTokenHours;
+
+  await conn.execute(
+    "UPDATE password_resets SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL",
+    [userId]
+  );
+  await conn.execute(
+    "INSERT INTO password_resets (user_id, purpose, token_hash, expires_at) VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR))",
+    [userId, purpose, hashToken(token), hours]
+  );
+  return token;
+};
+
+/**
+ * Marks a password token used and returns `{ user_id, purpose }`, or null if
+ * the token is unknown, already used or expired. Call inside a transaction so
+ * the token cannot be redeemed twice.
+ */
+const redeemPasswordToken = async (token, conn) => {
+  const [[row]] = await conn.execute(
+    `SELECT pr.id, pr.user_id, pr.purpose
+     FROM password_resets pr
+     JOIN users u ON pr.user_id = u.id
+     WHERE pr.token_hash = ? AND pr.used_at IS NULL AND pr.expires_at > NOW() AND u.is_active = 1
+     FOR UPDATE`,
+    [hashToken(token)]
+  );
+  if (!row) return null;
+
+  await conn.execute("UPDATE password_resets SET used_at = NOW() WHERE id = ?", [row.id]);
+  return { user_id: row.user_id, purpose: row.purpose };
+};
+
+/** Emails the link a user follows to set their password. */
+const sendPasswordEmail = async ({ email, full_name, username }, purpose, token) => {
+  const link = `${passwordResetUrl}?token=${encodeURIComponent(token)}`;
+
+  if (purpose === "invite") {
+    await sendMail({
+      to: email,
+      subject: "You have been invited to the library system",
+      text:
+        `Hello ${full_name},\n\nA staff account has been created for you with the username '${username}'.\n` +
+        `Set your password here within ${inviteTokenHours} hours:\n\n${link}\n`,
+    });
+    return;
+  }
+
+  await sendMail({
+    to: email,
+    subject: "Reset your library system password",
+    text:
+      `Hello ${full_name},\n\nSomeone asked to reset the password for '${username}'.\n` +
+      `If it was you, choose a new password here within ${resetTokenHours} hour(s):\n\n${link}\n\n` +
+      "If not, you can ignore this email.\n",
+  });
+};
+
+module.exports = { setUserPassword, createPasswordToken, redeemPasswordToken, sendPasswordEmail };
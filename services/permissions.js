@@ -0,0 +1,28 @@
+const db = require("../db/connection");
+
+// Role permissions are read on every request, so they are cached briefly.
+// Edits through /api/roles clear the cache straight away; edits made
+// elsewhere show up within CACHE_MS.
+const CACHE_MS = 30 * 1000;
+const cache = new Map();
+
+/** Set of permission names granted to a role (empty for unknown roles). */
+const getRolePermissions = async (role) => {
+  const cached = cache.get(role);
+  if (cached && cached.expires > Date.now()) return cached.permissions;
+
+  const [rows] = await db.execute("SELECT permission FROM role_permissions WHERE role = ?", [role]);
+  const permissions = new Set(rows.map((row) => row.permission));
+  cache.set(role, { permissions, expires: Date.now() + CACHE_MS });
+  return permissions;
+};
+
+const clearPermissionCache = () => cache.clear();
+
+/** Whether a role exists that staff accounts can be given. */
+const roleExists = async (role, conn = db) => {
+  const [[row]] = await conn.execute("SELECT name FROM roles WHERE name = ?", [role]);
+  return Boolean(row);
+};
+
+module.exports = { getRolePermissions, clearPermissionCache, roleExists };
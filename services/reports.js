@@ -0,0 +1,261 @@
+const db = require("../db/connection");
+const { AUTHOR_NAMES } = require("./bookAuthors");
+const { badRequest } = require("../utils/errors");
+
+// Every report takes the same filters: `from` and `to` are dates
+// (YYYY-MM-DD, both days included) matched against when the loan was made,
+// and `categoryIds` keeps only loans of books in those categories.
+
+// The first day of the period a date falls in, as YYYY-MM-DD; weeks start on Monday
+const PERIOD_STARTS = {
+  day: "DATE_FORMAT(borrows.borrow_date, '%Y-%m-%d')",
+  week: "DATE_FORMAT(DATE_SUB(borrows.borrow_date, INTERVAL WEEKDAY(borrows.borrow_date) DAY), '%Y-%m-%d')",
+  month: "DATE_FORMAT(borrows.borrow_date, '%Y-%m-01')",
+};
+
+// A daily series over a few years is still readable; one over centuries is a typo
+const MAX_PERIODS = 1000;
+
+const loanFilter = ({ from, to, categoryIds }) => {
+  const conditions = [];
+  const params = [];
+  if (from) {
+    conditions.push("borrows.borrow_date >= ?");
+    params.push(from);
+  }
+  if (to) {
+    conditions.push("borrows.borrow_date < DATE_ADD(?, INTERVAL 1 DAY)");
+    params.push(to);
+  }
+  if (categoryIds) {
+    conditions.push(`books.category_id IN (${categoryIds.map(() => "?").join(", ")})`);
+    params.push(...categoryIds);
+  }
+  return { conditions, params };
+};
+
+const whereClause = (conditions) => (conditions.length ? `WHERE ${conditions.join(" AND ")}` : "");
+
+// Dates are handled as UTC midnights so adding days never trips over DST
+const parseDay = (day) => new Date(`${day}T00:00:00Z`);
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+const periodStart = (day, interval) => {
+  const date = parseDay(day);
+  if (interval === "week") date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  if (interval === "month") date.setUTCDate(1);
+  return date;
+};
+
+// The start of the following period, or the previous one with `step` -1
+const nextPeriod = (date, interval, step = 1) => {
+  const next = new Date(date);
+  if (interval === "day") next.setUTCDate(next.getUTCDate() + step);
+  if (interval === "week") next.setUTCDate(next.getUTCDate() + 7 * step);
+  if (interval === "month") next.setUTCMonth(next.getUTCMonth() + step);
+  return next;
+};
+
+// How far back a series reaches when no `from` is given
+const DEFAULT_SPANS = { day: 30, week: 12, month: 12 };
+
+// Today in the server's time zone, which is the one MySQL dates are in
+const today = () => {
+  const now = new Date();
+  return formatDay(new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())));
+};
+
+/**
+ * Loans made per day, week or month. `to` defaults to today and `from` to
+ * 30 days, 12 weeks or 12 months before it. Every period in the range is
+ * listed, those without loans with a count of zero; each is named by its
+ * first day, so the first and last may be partial. Resolves to
+ * `{ from, to, periods }`.
+ */
+const loansOverTime = async ({ interval, ...filters }, conn = db) => {
+  const to = filters.to || today();
+  let from = filters.from;
+  if (!from) {
+    let start = periodStart(to, interval);
+    for (let i = 1; i < DEFAULT_SPANS[interval]; i++) start = nextPeriod(start, interval, -1);
+    from = formatDay(start);
+  }
+
+  const periods = [];
+  for (let date = periodStart(from, interval); date <= parseDay(to); date = nextPeriod(date, interval)) {
+    periods.push(formatDay(date));
+    if (periods.length > MAX_PERIODS) {
+      throw badRequest(`The range covers more than ${MAX_PERIODS} periods; pick a longer interval`, "RANGE_TOO_LONG");
+    }
+  }
+
+  const { conditions, params } = loanFilter({ ...filters, from, to });
+  const [rows] = await conn.execute(
+    `SELECT ${PERIOD_STARTS[interval]} AS period, COUNT(*) AS loans
+     FROM borrows
+     JOIN books ON books.id = borrows.book_id
+     ${whereClause(conditions)}
+     GROUP BY period`,
+    params
+  );
+
+  const loansByPeriod = new Map(rows.map((row) => [row.period, row.loans]));
+  return { from, to, periods: periods.map((period) => ({ period, loans: loansByPeriod.get(period) || 0 })) };
+};
+
+/** The `limit` titles lent most often, with how many times and to how many students. */
+const mostBorrowedBooks = async ({ limit, ...filters }, conn = db) => {
+  const { conditions, params } = loanFilter(filters);
+  const [books] = await conn.execute(
+    `SELECT books.id AS book_id, books.title, ${AUTHOR_NAMES}, MAX(categories.name) AS category,
+       COUNT(*) AS loans, COUNT(DISTINCT borrows.student_id) AS borrowers
+     FROM borrows
+     JOIN books ON books.id = borrows.book_id
+     LEFT JOIN categories ON categories.id = books.category_id
+     ${whereClause(conditions)}
+     GROUP BY books.id
+     ORDER BY loans DESC, books.title
+     LIMIT ${limit}`,
+    params
+  );
+  return books;
+};
+
+/** The `limit` categories lent from most often; uncategorised books count together. */
+const mostBorrowedCategories = async ({ limit, ...filters }, conn = db) => {
+  const { conditions, params } = loanFilter(filters);
+  const [categories] = await conn.execute(
+    `SELECT books.category_id, MAX(categories.name) AS category,
+       COUNT(*) AS loans, COUNT(DISTINCT borrows.book_id) AS titles
+     FROM borrows
+     JOIN books ON books.id = borrows.book_id
+     LEFT JOIN categories ON categories.id = books.category_id
+     ${whereClause(conditions)}
+     GROUP BY books.category_id
+     ORDER BY loans DESC, category
+     LIMIT ${limit}`,
+    params
+  );
+  return categories;
+};
+
+/** The `limit` students who borrowed most, archived ones included. */
+const mostActiveStudents = async ({ limit, ...filters }, conn = db) => {
+  const { conditions, params } = loanFilter(filters);
+  const [students] = await conn.execute(
+    `SELECT students.id AS student_id, students.full_name, students.id_card, students.class,
+       COUNT(*) AS loans, COUNT(DISTINCT borrows.book_id) AS titles
+     FROM borrows
+     JOIN books ON books.id = borrows.book_id
+     JOIN students ON students.id = borrows.student_id
+     ${whereClause(conditions)}
+     GROUP BY students.id
+     ORDER BY loans DESC, students.full_name
+     LIMIT ${limit}`,
+    params
+  );
+  return students;
+};
+
+/** The `limit` classes whose students borrowed most; students without a class count together. */
+const mostActiveClasses = async ({ limit, ...filters }, conn = db) => {
+  const { conditions, params } = loanFilter(filters);
+  const [classes] = await conn.execute(
+    `SELECT students.class, COUNT(*) AS loans, COUNT(DISTINCT borrows.student_id) AS borrowers
+     FROM borrows
+     JOIN books ON books.id = borrows.book_id
+     JOIN students ON students.id = borrows.student_id
+     ${whereClause(conditions)}
+     GROUP BY students.class
+     ORDER BY loans DESC, students.class
+     LIMIT ${limit}`,
+    params
+  );
+  return classes;
+};
+
+/**
+ * Books in the catalogue (archived ones left out) with no loan in the date
+ * range, or none at all when no range is given, oldest additions first.
+ */
+const neverBorrowedBooks = async ({ from, to, categoryIds }, conn = db) => {
+  const loans = loanFilter({ from, to });
+  const conditions = [
+    "books.deleted_at IS NULL",
+    `NOT EXISTS (
+       SELECT 1 FROM borrows
+       WHERE ${["borrows.book_id = books.id", ...loans.conditions].join(" AND ")}
+     )`,
+  ];
+  const params = [...loans.params];
+  if (categoryIds) {
+    conditions.push(`books.category_id IN (${categoryIds.map(() => "?").join(", ")})`);
+    params.push(...categoryIds);
+  }
+
+  const [books] = await conn.execute(
+    `SELECT books.id AS book_id, books.title, ${AUTHOR_NAMES}, categories.name AS category,
+       (SELECT COUNT(*) FROM copies WHERE copies.book_id = books.id AND copies.status <> 'withdrawn') AS total_copies,
+       books.created_at
+     FROM books
+     LEFT JOIN categories ON categories.id = books.category_id
+     ${whereClause(conditions)}
+     ORDER BY books.created_at, books.id`,
+    params
+  );
+  return books;
+};
+
+/** How long returned loans were out, in days. */
+const loanDuration = async (filters, conn = db) => {
+  const { conditions, params } = loanFilter(filters);
+  const [[row]] = await conn.execute(
+    `SELECT COUNT(*) AS returned_loans,
+       AVG(TIMESTAMPDIFF(SECOND, borrows.borrow_date, borrows.return_date)) / 86400 AS average_days,
+       MIN(TIMESTAMPDIFF(SECOND, borrows.borrow_date, borrows.return_date)) / 86400 AS shortest_days,
+       MAX(TIMESTAMPDIFF(SECOND, borrows.borrow_date, borrows.return_date)) / 86400 AS longest_days
+     FROM borrows
+     JOIN books ON books.id = borrows.book_id
+     ${whereClause(["borrows.return_date IS NOT NULL", ...conditions])}`,
+    params
+  );
+
+  const days = (value) => (value === null ? null : Math.round(value * 10) / 10);
+  return {
+    returned_loans: row.returned_loans,
+    average_days: days(row.average_days),
+    shortest_days: days(row.shortest_days),
+    longest_days: days(row.longest_days),
+  };
+};
+
+/** The share of loans still out that are past their due date, right now. */
+const overdueRate = async (filters, conn = db) => {
+  const { conditions, params } = loanFilter(filters);
+  const [[row]] = await conn.execute(
+    `SELECT COUNT(*) AS active_loans, COALESCE(SUM(borrows.due_date < NOW()), 0) AS overdue_loans
+     FROM borrows
+     JOIN books ON books.id = borrows.book_id
+     ${whereClause(["borrows.return_date IS NULL", ...conditions])}`,
+    params
+  );
+
+  const { active_loans, overdue_loans } = row;
+  return {
+    active_loans,
+    overdue_loans,
+    overdue_rate: active_loans ? Math.round((overdue_loans / active_loans) * 1000) / 1000 : null,
+  };
+};
+
+module.exports = {
+  INTERVALS: Object.keys(PERIOD_STARTS),
+  loansOverTime,
+  mostBorrowedBooks,
+  mostBorrowedCategories,
+  mostActiveStudents,
+  mostActiveClasses,
+  neverBorrowedBooks,
+  loanDuration,
+  overdueRate,
+};
@@ -0,0 +1,65 @@
+const db = require("../db/connection");
+const { isValidIsbn, toIsbn13 } = require("../utils/isbn");
+
+// Desk scanners read a student's library card (their id_card) and either the
+// barcode on a copy or the ISBN barcode printed on the book itself. These
+// turn what was scanned into the ids services/loans.js works with.
+
+/** The student, not archived, whose card was scanned, or null. */
+const findStudentByIdCard = async (idCard, conn = db) => {
+  const [[student]] = await conn.execute(
+    "SELECT id, full_name, id_card, class FROM students WHERE id_card = ? AND deleted_at IS NULL",
+    [idCard.trim()]
+  );
+  return student || null;
+};
+
+/**
+ * Resolves a scanned item barcode to `{ copy_id }` when it is a copy's
+ * barcode, else to `{ book_id }` when it is the ISBN of a book in the
+ * catalogue. Copy barcodes win, since a library may label its copies with
+ * the ISBN. Resolves to null when neither matches.
+ */
+const resolveItem = async (barcode, conn = db) => {
+  const code = barcode.trim();
+  const [[copy]] = await conn.execute("SELECT id FROM copies WHERE barcode = ?", [code]);
+  if (copy) return { copy_id: copy.id };
+
+  if (isValidIsbn(code)) {
+    const [[book]] = await conn.execute("SELECT id FROM books WHERE isbn = ? AND deleted_at IS NULL", [toIsbn13(code)]);
+    if (book) return { book_id: book.id };
+  }
+  return null;
+};
+
+/**
+ * The loan a returned item closes: the active loan of the copy, or for a
+ * book scanned by ISBN, the given student's oldest active loan of it.
+ * Resolves to null when there is none.
+ */
+const findActiveLoan = async ({ copy_id, book_id }, studentId = null, conn = db) => {
+  const [[borrow]] = copy_id
+    ? await conn.execute("SELECT id, student_id FROM borrows WHERE copy_id = ? AND return_date IS NULL", [copy_id])
+    : await conn.execute(
+      `SELECT id, student_id FROM borrows
+       WHERE book_id = ? AND student_id = ? AND return_date IS NULL
+       ORDER BY borrow_date, id LIMIT 1`,
+      [book_id, studentId]
+    );
+  return borrow || null;
+};
+
+/** What the desk shows for a loan: the copy, the title and the due date. */
+const loanSummary = async (borrowId, conn = db) => {
+  const [[loan]] = await conn.execute(
+    `SELECT borrows.id, borrows.copy_id, copies.barcode, borrows.book_id, books.title, borrows.due_date
+     FROM borrows
+     JOIN books ON books.id = borrows.book_id
+     LEFT JOIN copies ON copies.id = borrows.copy_id
+     WHERE borrows.id = ?`,
+    [borrowId]
+  );
+  return loan;
+};
+
+module.exports = { findStudentByIdCard, resolveItem, findActiveLoan, loanSummary };
@@ -0,0 +1,126 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const db = require("../db/connection");
+const withTransaction = require("../db/transaction");
+const { accessTokenTtl, refreshTokenDays } = require("../config/auth");
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const subjectTypeFor = (role) => (role === "student" ? "student" : "user");
+
+const signAccessToken = ({ id, role, sid }) =>
+  jwt.sign({ id, role, sid }, process.env.JWT_SECRET, { expiresIn: accessTokenTtl });
+
+const issueRefreshToken = async (sessionId, conn = db) => {
+  const token = crypto.randomBytes(48).toString("base64url");
+  await conn.execute(
+    "INSERT INTO refresh_tokens (session_id, token_hash, expires_at) VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))",
+    [sessionId, hashToken(token), refreshTokenDays]
+  );
+  return token;
+};
+
+const tokenResponse = (accessToken, refreshToken) => {
+  const { iat, exp } = jwt.decode(accessToken);
+  return { token: accessToken, refresh_token: refreshToken, expires_in: exp - iat };
+};
+
+// Current identity behind a session, or null once the account can no longer log in
+const loadSubject = async (subjectType, subjectId, conn = db) => {
+  if (subjectType === "student") {
+    const [[student]] = await conn.execute("SELECT id FROM students WHERE id = ? AND deleted_at IS NULL", [subjectId]);
+    return student ? { id: student.id, role: "student" } : null;
+  }
+
+  const [[user]] = await conn.execute("SELECT id, role FROM users WHERE id = ? AND is_active = 1", [subjectId]);
+  return user || null;
+};
+
+/**
+ * Starts a session for a user or student who has just logged in.
+ * Returns `{ token, refresh_token, expires_in }`.
+ */
+const startSession = async ({ id, role }, req) => {
+  const userAgent = (req.get("user-agent") || "").slice(0, 255);
+  const [result] = await db.execute(
+    "INSERT INTO auth_sessions (subject_type, subject_id, ip, user_agent) VALUES (?, ?, ?, ?)",
+    [subjectTypeFor(role), id, req.ip || null, userAgent || null]
+  );
+
+  const refreshToken = await issueRefreshToken(result.insertId);
+  return tokenResponse(signAccessToken({ id, role, sid: result.insertId }), refreshToken);
+};
+
+const revokeSession = async (sessionId, conn = db) => {
+  await conn.execute("UPDATE auth_sessions SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL", [sessionId]);
+};
+
+/** Logs a user or student out everywhere, optionally keeping one session. */
+const revokeAllSessions = async (role, subjectId, conn = db, exceptSessionId = null) => {
+  await conn.execute(
+    `UPDATE auth_sessions SET revoked_at = NOW()
+     WHERE subject_type = ? AND subject_id = ? AND revoked_at IS NULL AND id <> ?`,
+    [subjectTypeFor(role), subjectId, exceptSessionId ?? 0]
+  );
+};
+
+/**
+ * Exchanges a refresh token for a new access token and refresh token in the
+ * same session. Presenting a refresh token that was already used means it has
+ * leaked, so the whole session is revoked. Returns null when the token cannot
+ * be used.
+ */
+const rotateRefreshToken = (refreshToken) => withTransaction(async (conn) => {
+  const [[row]] = await conn.execute(
+    `SELECT rt.id, rt.session_id, rt.used_at, rt.expires_at < NOW() AS expired,
+       s.subject_type, s.subject_id, s.revoked_at
+     FROM refresh_tokens rt
+     JOIN auth_sessions s ON rt.session_id = s.id
+     WHERE rt.token_hash = ?
+     FOR UPDATE`,
+    [hashToken(refreshToken)]
+  );
+  if (!row || row.revoked_at || row.expired) return null;
+
+  if (row.used_at) {
+    await revokeSession(row.session_id, conn);
+    return null;
+  }
+
+  const subject = await loadSubject(row.subject_type, row.subject_id, conn);
+  if (!subject) {
+    await revokeSession(row.session_id, conn);
+    return null;
+  }
+
+  await conn.execute("UPDATE refresh_tokens SET used_at = NOW() WHERE id = ?", [row.id]);
+  await conn.execute("UPDATE auth_sessions SET last_used_at = NOW() WHERE id = ?", [row.session_id]);
+
+  const newRefreshToken = await issueRefreshToken(row.session_id, conn);
+  return tokenResponse(
+    signAccessToken({ id: subject.id, role: subject.role, sid: row.session_id }),
+    newRefreshToken
+  );
+});
+
+/**
+ * Whether the session behind a verified access token is still good: not
+ * logged out, for students the student is not archived, and for staff the
+ * account is active and still has the role the token was issued with.
+ */
+const isSessionActive = async ({ id, role, sid }) => {
+  if (!sid) return false;
+
+  const [[session]] = await db.execute(
+    `SELECT s.id
+     FROM auth_sessions s
+     LEFT JOIN users u ON s.subject_type = 'user' AND u.id = s.subject_id
+     LEFT JOIN students st ON s.subject_type = 'student' AND st.id = s.subject_id
+     WHERE s.id = ? AND s.subject_type = ? AND s.subject_id = ? AND s.revoked_at IS NULL
+       AND ((st.id IS NOT NULL AND st.deleted_at IS NULL) OR (u.is_active = 1 AND u.role = ?))`,
+    [sid, subjectTypeFor(role), id, role]
+  );
+  return Boolean(session);
+};
+
+module.exports = { hashToken, startSession, rotateRefreshToken, revokeSession, revokeAllSessions, isSessionActive };
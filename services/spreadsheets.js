@@ -0,0 +1,70 @@
+const ExcelJS = require("exceljs");
+const { parseCsv } = require("../utils/csv");
+const { imports } = require("../config/library");
+const { AppError, badRequest } = require("../utils/errors");
+
+const XLSX_TYPE = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+// "Full Name" and "full-name" both become "full_name"
+const normalizeHeader = (header) => String(header).trim().toLowerCase().replace(/[\s-]+/g, "_");
+
+const readCsvRows = (buffer) => parseCsv(buffer.toString("utf8"));
+
+// The first worksheet, as text the way it is displayed
+const readXlsxRows = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  for (let i = 1; i <= sheet.rowCount; i++) {
+    const row = sheet.getRow(i);
+    const cells = [];
+    for (let j = 1; j <= sheet.columnCount; j++) cells.push(row.getCell(j).text);
+    rows.push(cells);
+  }
+  return rows;
+};
+
+/**
+ * Reads an uploaded CSV or XLSX file whose first row holds the column
+ * names. Resolves to `[{ line, record }]`, one entry per non-blank row, where
+ * `line` is the row number people see in a spreadsheet program and `record`
+ * maps each normalized column name to the cell text.
+ */
+const readSpreadsheet = async (file) => {
+  const name = file.originalname.toLowerCase();
+  let cells;
+  if (name.endsWith(".xlsx") || file.mimetype === XLSX_TYPE) {
+    cells = await readXlsxRows(file.buffer).catch(() => {
+      throw badRequest("File is not a readable XLSX workbook", "INVALID_FILE");
+    });
+  } else if (name.endsWith(".csv") || file.mimetype === "text/csv") {
+    cells = readCsvRows(file.buffer);
+  } else {
+    throw new AppError(415, "UNSUPPORTED_FILE_TYPE", "Upload a .csv or .xlsx file");
+  }
+
+  const [headerRow, ...dataRows] = cells;
+  if (!headerRow) throw badRequest("File is empty", "EMPTY_FILE");
+  const headers = headerRow.map(normalizeHeader);
+
+  const rows = [];
+  dataRows.forEach((cellsInRow, i) => {
+    if (cellsInRow.every((cell) => String(cell).trim() === "")) return;
+    const record = {};
+    headers.forEach((header, j) => {
+      if (header) record[header] = cellsInRow[j] ?? "";
+    });
+    rows.push({ line: i + 2, record });
+  });
+
+  if (rows.length === 0) throw badRequest("File has no rows below the header", "EMPTY_FILE");
+  if (rows.length > imports.maxRows) {
+    throw badRequest(`File has ${rows.length} rows; the limit is ${imports.maxRows}`, "TOO_MANY_ROWS");
+  }
+  return rows;
+};
+
+module.exports = { readSpreadsheet };
@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { listBorrows, borrowHistoryPage } = require("../services/borrowHistory");
+
+// Stands in for a connection: records each statement and answers the count
+// query with `total` and the page query with `rows`
+const recorder = ({ total = 0, rows = [] } = {}) => {
+  const calls = [];
+  return {
+    calls,
+    execute: async (sql, params) => {
+      calls.push({ sql: sql.replace(/\s+/g, " ").trim(), params });
+      return sql.includes("COUNT(*)") ? [[{ total }]] : [rows];
+    },
+  };
+};
+
+test("without filters every loan is counted and the newest come first", async () => {
+  const conn = recorder();
+  await listBorrows({ limit: 10, offset: 0 }, conn);
+
+  const [count, page] = conn.calls;
+  assert.doesNotMatch(count.sql, /WHERE/);
+  assert.deepStrictEqual(count.params, []);
+  assert.match(page.sql, /ORDER BY b\.borrow_date DESC, b\.id DESC LIMIT 10 OFFSET 0$/);
+});
+
+test("filters become placeholders, in the same order in both queries", async () => {
+  const conn = recorder();
+  await listBorrows({
+    studentId: 4, bookId: 9, from: "2024-01-01", to: "2024-01-31", studentClass: "10A", limit: 10, offset: 0
+  }, conn);
+
+  const [count, page] = conn.calls;
+  assert.match(count.sql, new RegExp([
+    "WHERE b\\.student_id = \\?",
+    "b\\.book_id = \\?",
+    "b\\.borrow_date >= \\?",
+    "b\\.borrow_date < DATE_ADD\\(\\?, INTERVAL 1 DAY\\)",
+    "s\\.class = \\?$",
+  ].join(" AND ")));
+  assert.deepStrictEqual(count.params, [4, 9, "2024-01-01", "2024-01-31", "10A"]);
+  assert.deepStrictEqual(page.params, count.params);
+});
+
+test("status adds its condition without a parameter", async () => {
+  const conn = recorder();
+  await listBorrows({ status: "overdue", limit: 10, offset: 0 }, conn);
+  assert.match(conn.calls[0].sql, /WHERE b\.return_date IS NULL AND b\.due_date < NOW\(\)$/);
+  assert.deepStrictEqual(conn.calls[0].params, []);
+});
+
+test("a known sort picks its order and anything else falls back to newest", async () => {
+  const sorted = recorder();
+  await listBorrows({ sort: "title", limit: 10, offset: 0 }, sorted);
+  assert.match(sorted.calls[1].sql, /ORDER BY bk\.title, b\.borrow_date DESC, b\.id DESC/);
+
+  const unknown = recorder();
+  await listBorrows({ sort: "id; DROP TABLE borrows", limit: 10, offset: 0 }, unknown);
+  assert.match(unknown.calls[1].sql, /ORDER BY b\.borrow_date DESC, b\.id DESC/);
+});
+
+test("borrowHistoryPage turns the query string into a page", async () => {
+  const rows = [{ id: 1 }, { id: 2 }];
+  const conn = recorder({ total: 45, rows });
+  const page = await borrowHistoryPage({ page: "3", limit: "20", student_id: "7", status: "returned" }, {}, conn);
+
+  assert.deepStrictEqual(page, { currentPage: 3, limit: 20, totalPages: 3, totalBorrows: 45, borrows: rows });
+  assert.match(conn.calls[1].sql, /LIMIT 20 OFFSET 40$/);
+  assert.deepStrictEqual(conn.calls[0].params, [7]);
+});
+
+test("borrowHistoryPage defaults to the first page of 10", async () => {
+  const conn = recorder();
+  const page = await borrowHistoryPage({}, {}, conn);
+  assert.strictEqual(page.currentPage, 1);
+  assert.strictEqual(page.limit, 10);
+  assert.match(conn.calls[1].sql, /LIMIT 10 OFFSET 0$/);
+});
+
+test("borrowHistoryPage scope overrides the student or book in the query string", async () => {
+  const conn = recorder();
+  await borrowHistoryPage({ student_id: "7", book_id: "8" }, { studentId: 3 }, conn);
+  assert.deepStrictEqual(conn.calls[0].params, [3, 8]);
+});
@@ -0,0 +1,68 @@
+// Runs against the database configured in .env (DB_*), which must be
+// migrated (`npm run migrate`). The rows it creates are removed afterwards.
+// Without a database it is skipped; CI jobs that provide one (a MySQL
+// service, then `npm run migrate` and `npm test`) set TEST_DB=required so a
+// connection problem fails the run instead.
+const test = require("node:test");
+const assert = require("node:assert");
+const db = require("../db/connection");
+const withTransaction = require("../db/transaction");
+const { checkout } = require("../services/loans");
+const { createCopy } = require("../services/copies");
+
+const databaseReachable = async () => {
+  try {
+    await db.query("SELECT 1");
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+test("the last copy of a book cannot be lent twice", async (t) => {
+  if (!(await databaseReachable())) {
+    await db.end();
+    if (process.env.TEST_DB === "required") assert.fail("No database to connect to, and TEST_DB=required");
+    t.skip("No database to connect to; set DB_* in .env");
+    return;
+  }
+
+  const tag = `concurrency-${Date.now()}`;
+  const [book] = await db.execute("INSERT INTO books (title) VALUES (?)", [tag]);
+  const bookId = book.insertId;
+  const copy = await createCopy({ bookId });
+  const studentIds = [];
+  for (const suffix of ["a", "b"]) {
+    const [student] = await db.execute("INSERT INTO students (full_name, id_card) VALUES (?, ?)", [tag, `${tag}-${suffix}`]);
+    studentIds.push(student.insertId);
+  }
+
+  t.after(async () => {
+    await db.execute("DELETE FROM borrows WHERE book_id = ?", [bookId]);
+    await db.execute("DELETE FROM copies WHERE book_id = ?", [bookId]);
+    await db.execute("DELETE FROM books WHERE id = ?", [bookId]);
+    await db.query("DELETE FROM students WHERE id IN (?)", [studentIds]);
+    await db.end();
+  });
+
+  // Two students at two desks ask for the only copy at the same moment
+  const outcomes = await Promise.all(studentIds.map((studentId) =>
+    withTransaction((conn) => checkout({ student_id: studentId, book_id: bookId }, null, conn))
+  ));
+
+  const lent = outcomes.filter((outcome) => outcome.borrow);
+  const refused = outcomes.filter((outcome) => !outcome.borrow);
+  assert.strictEqual(lent.length, 1);
+  assert.strictEqual(lent[0].borrow.copy_id, copy.id);
+  assert.strictEqual(refused.length, 1);
+  assert.ok(
+    refused[0].reasons.some((reason) => ["COPY_UNAVAILABLE", "OUT_OF_STOCK"].includes(reason.code)),
+    `refused with ${JSON.stringify(refused[0].reasons)}`
+  );
+
+  const [[{ borrows }]] = await db.execute("SELECT COUNT(*) AS borrows FROM borrows WHERE book_id = ?", [bookId]);
+  assert.strictEqual(borrows, 1);
+
+  const [[{ status }]] = await db.execute("SELECT status FROM copies WHERE id = ?", [copy.id]);
+  assert.strictEqual(status, "on_loan");
+});
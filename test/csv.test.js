@@ -0,0 +1,47 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { parseCsv, toCsv } = require("../utils/csv");
+
+const COLUMNS = [{ key: "name", header: "Name" }, { key: "note", header: "Note" }];
+
+test("toCsv writes a header line and CRLF-terminated rows", () => {
+  assert.strictEqual(toCsv(COLUMNS, [{ name: "Dara", note: "ok" }]), "Name,Note\r\nDara,ok\r\n");
+});
+
+test("toCsv quotes fields holding commas, quotes or line breaks", () => {
+  const csv = toCsv(COLUMNS, [{ name: "Sok, Dara", note: 'said "hi"\nthen left' }]);
+  assert.strictEqual(csv, 'Name,Note\r\n"Sok, Dara","said ""hi""\nthen left"\r\n');
+});
+
+test("toCsv writes null and undefined as empty fields and dates as ISO strings", () => {
+  const csv = toCsv(COLUMNS, [{ name: null, note: new Date(Date.UTC(2024, 0, 2)) }, {}]);
+  assert.strictEqual(csv, "Name,Note\r\n,2024-01-02T00:00:00.000Z\r\n,\r\n");
+});
+
+test("toCsv defuses text a spreadsheet would run as a formula", () => {
+  for (const text of ["=SUM(A1:A9)", "+1", "-1", "@cmd", "\tx", "\rx"]) {
+    const [, row] = parseCsv(toCsv(COLUMNS, [{ name: text }]));
+    assert.strictEqual(row[0], `'${text}`, JSON.stringify(text));
+  }
+});
+
+test("toCsv leaves numbers alone, even negative ones", () => {
+  assert.strictEqual(toCsv(COLUMNS, [{ name: -5, note: 0 }]), "Name,Note\r\n-5,0\r\n");
+});
+
+test("parseCsv reads quoted fields, escaped quotes and embedded line breaks", () => {
+  assert.deepStrictEqual(parseCsv('a,b\r\n"x, ""y""","line\nbreak"\r\n'), [["a", "b"], ['x, "y"', "line\nbreak"]]);
+});
+
+test("parseCsv ignores a byte-order mark and accepts LF or CRLF line ends", () => {
+  assert.deepStrictEqual(parseCsv("\ufeffa,b\n1,2\r\n3,4"), [["a", "b"], ["1", "2"], ["3", "4"]]);
+});
+
+test("parseCsv keeps a trailing empty field", () => {
+  assert.deepStrictEqual(parseCsv("1,"), [["1", ""]]);
+});
+
+test("parseCsv reads back what toCsv writes", () => {
+  const rows = [{ name: "Sok, Dara", note: 'a "quoted"\r\nnote' }];
+  assert.deepStrictEqual(parseCsv(toCsv(COLUMNS, rows)), [["Name", "Note"], ["Sok, Dara", 'a "quoted"\r\nnote']]);
+});
@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { isValidIsbn, toIsbn13 } = require("../utils/isbn");
+
+test("ISBN-10 and ISBN-13 with a correct check digit are valid, hyphens and spaces allowed", () => {
+  for (const isbn of ["0-306-40615-2", "978-0-13-235088-4", "979-10-90636-07-1", " 978 0306406157 "]) {
+    assert.strictEqual(isValidIsbn(isbn), true, isbn);
+  }
+});
+
+test("an ISBN-10 check digit may be X, in either case", () => {
+  assert.strictEqual(isValidIsbn("080442957X"), true);
+  assert.strictEqual(isValidIsbn("080442957x"), true);
+});
+
+test("a wrong check digit, a wrong length or letters are refused", () => {
+  for (const isbn of ["0306406153", "9780306406158", "12345", "abcdefghij", "1234567890123", ""]) {
+    assert.strictEqual(isValidIsbn(isbn), false, isbn);
+  }
+});
+
+test("an ISBN-13 must start with 978 or 979", () => {
+  assert.strictEqual(isValidIsbn("9770306406158"), false);
+});
+
+test("toIsbn13 converts an ISBN-10 and recomputes the check digit", () => {
+  assert.strictEqual(toIsbn13("0-306-40615-2"), "9780306406157");
+  assert.strictEqual(toIsbn13("080442957X"), "9780804429573");
+});
+
+test("toIsbn13 strips an ISBN-13 down to its digits", () => {
+  assert.strictEqual(toIsbn13("978-0-13-235088-4"), "9780132350884");
+});
+
+test("toIsbn13 resolves to null for an invalid ISBN", () => {
+  assert.strictEqual(toIsbn13("0306406153"), null);
+});
@@ -0,0 +1,121 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { validate, validateId, checkRecord, PAGE_QUERY_PROPERTIES } = require("../middleware/validate");
+
+// Runs the middleware; returns the `details` it fails with, or null when it lets the request through
+const failures = (parts, req) => {
+  let passed = false;
+  try {
+    validate(parts)(req, {}, () => {
+      passed = true;
+    });
+  } catch (error) {
+    assert.strictEqual(error.status, 400);
+    assert.strictEqual(error.code, "VALIDATION_FAILED");
+    return error.details;
+  }
+  assert.ok(passed, "next() was not called");
+  return null;
+};
+
+const codes = (details) => details.map((detail) => `${detail.field}:${detail.code}`);
+
+test("a body matching a named schema from docs/schemas.js passes", () => {
+  assert.strictEqual(failures({ body: "StudentInput" }, { body: { full_name: "Dara", id_card: "STU0001" } }), null);
+});
+
+test("missing, blank, too long and unknown fields are each reported", () => {
+  const details = failures({ body: "StudentInput" }, {
+    body: { full_name: "   ", student_class: "x".repeat(51), nickname: "D" }
+  });
+  assert.deepStrictEqual(codes(details).sort(), [
+    "full_name:REQUIRED",
+    "id_card:REQUIRED",
+    "nickname:UNKNOWN_FIELD",
+    "student_class:TOO_LONG",
+  ]);
+});
+
+test("body values are not coerced from strings", () => {
+  const details = failures({ body: { type: "object", properties: { year: { type: "integer" } } } }, { body: { year: "2020" } });
+  assert.deepStrictEqual(codes(details), ["year:INVALID_TYPE"]);
+});
+
+test("null is refused unless the property is nullable", () => {
+  const schema = { type: "object", properties: { a: { type: "string" }, b: { type: "string", nullable: true } } };
+  assert.deepStrictEqual(codes(failures({ body: schema }, { body: { a: null, b: null } })), ["a:INVALID_TYPE"]);
+});
+
+test("query values are coerced for the check but left as strings", () => {
+  const req = { query: { page: "2", limit: "50" } };
+  assert.strictEqual(failures({ query: { type: "object", properties: PAGE_QUERY_PROPERTIES } }, req), null);
+  assert.deepStrictEqual(req.query, { page: "2", limit: "50" });
+});
+
+test("page and limit must be positive and limit at most 100", () => {
+  const schema = { query: { type: "object", properties: PAGE_QUERY_PROPERTIES } };
+  assert.deepStrictEqual(codes(failures(schema, { query: { page: "-1", limit: "0" } })), ["page:TOO_SMALL", "limit:TOO_SMALL"]);
+  assert.deepStrictEqual(codes(failures(schema, { query: { limit: "101" } })), ["limit:TOO_LARGE"]);
+  assert.deepStrictEqual(codes(failures(schema, { query: { page: "1.5" } })), ["page:INVALID_TYPE"]);
+  assert.deepStrictEqual(codes(failures(schema, { query: { page: "abc" } })), ["page:INVALID_TYPE"]);
+});
+
+test("enums, booleans and formats are checked", () => {
+  const schema = {
+    type: "object",
+    properties: {
+      status: { type: "string", enum: ["active", "returned"] },
+      available: { type: "boolean" },
+      from: { type: "string", format: "date" },
+      isbn: { type: "string", format: "isbn" },
+    },
+  };
+  const valid = { status: "active", available: "true", from: "2024-02-29", isbn: "0-306-40615-2" };
+  assert.strictEqual(failures({ query: schema }, { query: valid }), null);
+
+  const invalid = { status: "lost", available: "yes", from: "2024-13-01", isbn: "0306406153" };
+  assert.deepStrictEqual(codes(failures({ query: schema }, { query: invalid })), [
+    "status:INVALID_VALUE",
+    "available:INVALID_TYPE",
+    "from:INVALID_FORMAT",
+    "isbn:INVALID_FORMAT",
+  ]);
+});
+
+test("array items are checked with their index in the field name", () => {
+  const schema = { type: "object", properties: { ids: { type: "array", maxItems: 2, items: { type: "integer", minimum: 1 } } } };
+  assert.deepStrictEqual(codes(failures({ body: schema }, { body: { ids: [1, 0] } })), ["ids[1]:TOO_SMALL"]);
+  assert.deepStrictEqual(codes(failures({ body: schema }, { body: { ids: [1, 2, 3] } })), ["ids:TOO_LONG"]);
+});
+
+test("anyOf naming required fields asks for one of them", () => {
+  const schema = { type: "object", anyOf: [{ required: ["book_id"] }, { required: ["barcode"] }] };
+  const details = failures({ body: schema }, { body: {} });
+  assert.deepStrictEqual(details, [{ field: null, code: "REQUIRED", message: "One of book_id, barcode is required" }]);
+  assert.strictEqual(failures({ body: schema }, { body: { barcode: "ACC-1" } }), null);
+});
+
+test("checkRecord converts spreadsheet cells to the schema's types", () => {
+  const { value, errors } = checkRecord("StudentInput", { full_name: " Dara ", id_card: "STU0001", student_class: "", extra: "x" });
+  assert.deepStrictEqual(value, { full_name: "Dara", id_card: "STU0001" });
+  assert.deepStrictEqual(errors, []);
+
+  const year = checkRecord({ type: "object", properties: { published_year: { type: "integer", minimum: 1 } } }, { published_year: "0" });
+  assert.deepStrictEqual(year.value, { published_year: 0 });
+  assert.deepStrictEqual(codes(year.errors), ["published_year:TOO_SMALL"]);
+});
+
+test("validateId lets positive integer ids through and refuses anything else", () => {
+  let calls = 0;
+  validateId({}, {}, () => calls++, "42", "id");
+  assert.strictEqual(calls, 1);
+
+  for (const value of ["0", "-1", "abc", "1.5", "01"]) {
+    assert.throws(
+      () => validateId({}, {}, () => calls++, value, "id"),
+      (error) => error.code === "VALIDATION_FAILED" && error.details[0].code === "INVALID_TYPE",
+      value
+    );
+  }
+  assert.strictEqual(calls, 1);
+});
@@ -0,0 +1,77 @@
+/**
+ * Minimal RFC 4180 CSV reading and writing: comma-separated, fields quoted
+ * with double quotes when they hold a comma, quote or line break.
+ */
+
+/** Splits CSV text into rows of string fields. A leading byte-order mark is ignored. */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// Spreadsheet programs run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const formatField = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Formats rows as CSV with a header line. `columns` is a list of
+ * `{ key, header }`; each row is an object read by `key`.
+ */
+const toCsv = (columns, rows) => {
+  const lines = [columns.map((column) => formatField(column.header)).join(",")];
+  for (const row of rows) lines.push(columns.map((column) => formatField(row[column.key])).join(","));
+  return `${lines.join("\r\n")}\r\n`;
+};
+
+/**
+ * Sends rows as a CSV download named `filename`. The byte-order mark makes
+ * Excel read the file as UTF-8, so names outside ASCII survive.
+ */
+const sendCsv = (res, filename, columns, rows) => {
+  res.attachment(filename);
+  res.set("Content-Type", "text/csv; charset=utf-8");
+  res.send(`\ufeff${toCsv(columns, rows)}`);
+};
+
+module.exports = { parseCsv, toCsv, sendCsv };
@@ -0,0 +1,23 @@
+/**
+ * An error meant for the client. Thrown from a route or middleware, it is
+ * turned into the standard error response by middleware/errors.js:
+ * `{ error, code, details? }`, where `code` is a stable UPPER_SNAKE_CASE
+ * name clients can branch on and `error` is a message for people.
+ */
+class AppError extends Error {
+  constructor(status, code, message, details = undefined) {
+    super(message);
+    this.name = "AppError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const badRequest = (message, code = "BAD_REQUEST", details) => new AppError(400, code, message, details);
+const unauthorized = (message, code = "UNAUTHORIZED") => new AppError(401, code, message);
+const forbidden = (message, code = "FORBIDDEN", details) => new AppError(403, code, message, details);
+const notFound = (message, code = "NOT_FOUND") => new AppError(404, code, message);
+const conflict = (message, code = "CONFLICT", details) => new AppError(409, code, message, details);
+
+module.exports = { AppError, badRequest, unauthorized, forbidden, notFound, conflict };
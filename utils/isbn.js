@@ -0,0 +1,42 @@
+/**
+ * ISBN helpers. Books store the ISBN-13 form only, so the same edition
+ * entered once as ISBN-10 and once as ISBN-13 is still caught as a duplicate.
+ */
+
+// Drops the hyphens and spaces people type; an ISBN-10 check digit may be "x"
+const clean = (value) => String(value).replace(/[\s-]/g, "").toUpperCase();
+
+const isValidIsbn10 = (digits) => {
+  if (!/^\d{9}[\dX]$/.test(digits)) return false;
+  const sum = [...digits].reduce((total, char, i) => total + (char === "X" ? 10 : Number(char)) * (10 - i), 0);
+  return sum % 11 === 0;
+};
+
+const isbn13CheckDigit = (first12) => {
+  const sum = [...first12].reduce((total, char, i) => total + Number(char) * (i % 2 ? 3 : 1), 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+const isValidIsbn13 = (digits) =>
+  /^97[89]\d{10}$/.test(digits) && isbn13CheckDigit(digits.slice(0, 12)) === digits[12];
+
+/** True for an ISBN-10 or ISBN-13 whose check digit is right, hyphens allowed. */
+const isValidIsbn = (value) => {
+  const digits = clean(value);
+  return digits.length === 10 ? isValidIsbn10(digits) : isValidIsbn13(digits);
+};
+
+/**
+ * Returns the ISBN-13 form of a valid ISBN-10 or ISBN-13, without hyphens,
+ * or null when `value` is not a valid ISBN.
+ */
+const toIsbn13 = (value) => {
+  if (!isValidIsbn(value)) return null;
+  const digits = clean(value);
+  if (digits.length === 13) return digits;
+
+  const first12 = `978${digits.slice(0, 9)}`;
+  return first12 + isbn13CheckDigit(first12);
+};
+
+module.exports = { isValidIsbn, toIsbn13 };
@@ -0,0 +1,58 @@
+const PDFDocument = require("pdfkit");
+const bwipjs = require("bwip-js");
+const { documents } = require("../config/library");
+
+// Page sizes in points; CARD is the ID-1 size of bank and ID cards
+const SIZES = {
+  A4: "A4",
+  A6: "A6",
+  CARD: [242.65, 153.01],
+};
+
+const REGULAR = "regular";
+const BOLD = "bold";
+
+/**
+ * Creates a PDF with `draw(doc)`, which may be async, and resolves to its
+ * bytes. `doc.font(BOLD)` and `doc.font(REGULAR)` pick the document fonts,
+ * which are the configured font file when there is one.
+ */
+const renderPdf = (options, draw) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument(options);
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  doc.on("end", () => resolve(Buffer.concat(chunks)));
+  doc.on("error", reject);
+
+  if (documents.fontFile) {
+    doc.registerFont(REGULAR, documents.fontFile);
+    doc.registerFont(BOLD, documents.fontFile);
+  } else {
+    doc.registerFont(REGULAR, "Helvetica");
+    doc.registerFont(BOLD, "Helvetica-Bold");
+  }
+  doc.font(REGULAR);
+
+  Promise.resolve()
+    .then(() => draw(doc))
+    .then(() => doc.end(), reject);
+});
+
+/**
+ * A barcode as a PNG for `doc.image`: `code128` with the text printed under
+ * it, or `qrcode`. Drawn locally by bwip-js.
+ */
+const barcodeImage = (text, symbology = "code128") => bwipjs.toBuffer(
+  symbology === "qrcode"
+    ? { bcid: "qrcode", text, scale: 4 }
+    : { bcid: "code128", text, scale: 3, height: 10, includetext: true, textxalign: "center" }
+);
+
+/** Sends PDF bytes, shown in the browser rather than downloaded. */
+const sendPdf = (res, filename, pdf) => {
+  res.set("Content-Type", "application/pdf");
+  res.set("Content-Disposition", `inline; filename="${filename}"`);
+  res.send(pdf);
+};
+
+module.exports = { SIZES, REGULAR, BOLD, renderPdf, barcodeImage, sendPdf };